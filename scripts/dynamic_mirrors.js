@@ -0,0 +1,313 @@
+// Dynamic Mirrors
+// Mirrors that shift during play. Each dynamic mirror owns a few internal edges
+// (its positions) and sits on one of them at a time; on every shift it moves on:
+//
+// - rotate: around the three sides of its triangle, clockwise
+// - slide: back and forth along a track of parallel edges in one row
+// - toggle: on and off its edge (the off position is null)
+//
+// A shift only happens when every triangle that can reach the exit (as the grid
+// is right then, doors included) still can afterwards, and never closes a side of
+// the player's or an enemy's triangle; a mirror that can't shift waits for the next
+// one. Shifts are tried out on a copy of the sides they change, so only accepted
+// ones touch the grid; its change events carry them on to the GridGraph and the
+// renderer's maze texture.
+
+import gameState from './player_logic/game_state.js';
+import { SideType } from './side_types.js';
+import { createRng, shuffle } from './rng.js';
+
+/**
+ * Enum for how a dynamic mirror moves
+ */
+const MirrorBehavior = Object.freeze({
+    ROTATE: 'rotate',
+    SLIDE: 'slide',
+    TOGGLE: 'toggle'
+});
+
+/**
+ * Enum for what drives the shifts
+ */
+const MirrorClock = Object.freeze({
+    REAL_TIME: 'real_time',   // Every `interval` seconds (SimpleMovement)
+    TURN_BASED: 'turn_based'  // Every `interval` turns of GameState (MovementSystem)
+});
+
+// Sides of a triangle in clockwise order (same rotation as GridGraph.getRotatedOrientation)
+const CLOCKWISE_SIDES = {
+    up: ['left', 'right', 'third'],
+    down: ['left', 'third', 'right']
+};
+
+const DEFAULT_SLIDE_LENGTH = 3; // Positions on a generated slide track
+
+class DynamicMirrorSystem {
+    /**
+     * @param {string} clock - MirrorClock value
+     * @param {Object} options
+     * @param {number} options.interval - Seconds (real time) or turns (turn-based) between shifts
+     * @param {number} options.count - Number of dynamic mirrors to pick from the grid's mirrors
+     * @param {Array<Object>} options.mirrors - Explicit mirrors {behavior, positions, index} instead
+     *                                         (positions are {row, col, side} or null, index is the
+     *                                         one the mirror starts on, default 0)
+     * @param {Array<string>} options.behaviors - MirrorBehavior values to pick from (default all)
+     * @param {number|string|null} options.seed - Seed for picking mirrors (default: the grid's seed)
+     */
+    constructor(clock = MirrorClock.REAL_TIME, options = {}) {
+        this.clock = clock;
+        this.interval = options.interval ?? 5;
+        this.count = options.count ?? 0;
+        this.definitions = options.mirrors ?? null;
+        this.behaviors = options.behaviors ?? Object.values(MirrorBehavior);
+        this.seed = options.seed;
+
+        this.grid = null;
+        this.mirrors = [];           // {behavior, positions, index, step}
+        this.elapsed = 0;            // Seconds since the last shift (real time)
+        this.lastShiftTurn = 0;      // Turn of the last shift (turn-based)
+    }
+
+    /**
+     * Set the grid and pick (or check) its dynamic mirrors
+     * @param {TriangularGrid} grid
+     * @throws {Error} If an explicit mirror doesn't fit the grid
+     */
+    setGrid(grid) {
+        this.grid = grid;
+        this.elapsed = 0;
+        this.lastShiftTurn = gameState.getCurrentTurn();
+
+        const rng = createRng(this.seed ?? grid.generationParams?.seed ?? null);
+        const definitions = this.definitions ?? this.pickMirrors(this.count, rng);
+        this.mirrors = [];
+        definitions.forEach(definition => {
+            this.mirrors.push(this.createMirror(definition));
+        });
+
+        console.log(`🪞 ${this.mirrors.length} dynamic mirrors (${this.mirrors.map(mirror => mirror.behavior).join(', ')})`);
+    }
+
+    update(deltaTime) {
+        if (!this.grid || this.mirrors.length === 0) return;
+
+        if (this.clock === MirrorClock.REAL_TIME) {
+            this.elapsed += deltaTime;
+            if (this.elapsed < this.interval) return;
+            this.elapsed -= this.interval;
+        } else {
+            const turn = gameState.getCurrentTurn();
+            if (turn - this.lastShiftTurn < this.interval) return;
+            this.lastShiftTurn = turn;
+        }
+
+        this.shift();
+    }
+
+    /**
+     * Move every dynamic mirror to its next position where it is allowed to
+     * @returns {Array<Object>} {row, col} of every triangle that changed
+     */
+    shift() {
+        const changed = [];
+        this.mirrors.forEach(mirror => {
+            changed.push(...this.shiftMirror(mirror));
+        });
+        if (changed.length > 0) {
+            console.log(`🪞 Mirrors shifted (${changed.length} triangles changed)`);
+        }
+        return changed;
+    }
+
+    /**
+     * Try to move one mirror to its next position
+     * @param {Object} mirror
+     * @returns {Array<Object>} {row, col} of the triangles it changed (empty if it stayed put)
+     */
+    shiftMirror(mirror) {
+        let next = mirror.index + mirror.step;
+        if (mirror.behavior === MirrorBehavior.SLIDE) {
+            // Bounce off the ends of the track
+            if (next < 0 || next >= mirror.positions.length) {
+                mirror.step = -mirror.step;
+                next = mirror.index + mirror.step;
+            }
+        } else {
+            next %= mirror.positions.length;
+        }
+
+        const from = mirror.positions[mirror.index];
+        const to = mirror.positions[next];
+        if (to && this.isOccupied(to)) return [];
+
+        // Compare against the grid as it is now (a door may have changed it since the last shift)
+        const proposed = new Map();
+        if (from) this.getFaceKeys(from).forEach(key => proposed.set(key, SideType.EMPTY));
+        if (to) this.getFaceKeys(to).forEach(key => proposed.set(key, SideType.MIRROR));
+        const exitRegion = this.findExitRegion(proposed);
+        if (![...this.findExitRegion()].every(key => exitRegion.has(key))) return [];
+
+        if (from) this.setEdge(from, SideType.EMPTY);
+        if (to) this.setEdge(to, SideType.MIRROR);
+        mirror.index = next;
+        return [from, to].filter(Boolean).flatMap(edge => this.getFaces(edge));
+    }
+
+    /**
+     * Get every triangle that can reach an exit
+     * @param {Map<string, string>|null} sideStates - Side states to assume, see TriangularGrid.findReachable
+     * @returns {Set<string>} "row,col" keys (empty for a grid without exits)
+     */
+    findExitRegion(sideStates = null) {
+        const region = new Set();
+        this.grid.getExitEdges().forEach(exit => {
+            this.grid.findReachable(exit.row, exit.col, sideStates).forEach((distance, key) => region.add(key));
+        });
+        return region;
+    }
+
+    // Whether closing an edge would shut a side of the player's or an enemy's triangle
+    isOccupied(edge) {
+        const faces = this.getFaces(edge);
+        return [gameState.getPlayer(), ...gameState.getEnemies()].some(character =>
+            faces.some(face => face.row === character.row && face.col === character.col));
+    }
+
+    // Set both faces of an internal edge
+    setEdge(edge, state) {
+        this.grid.getTriangle(edge.row, edge.col).setSideState(edge.side, state);
+    }
+
+    // The triangles on either side of an internal edge
+    getFaces(edge) {
+        const triangle = this.grid.getTriangle(edge.row, edge.col);
+        const neighbor = triangle.neighbors[edge.side];
+        return [{ row: triangle.row, col: triangle.col }, { row: neighbor.row, col: neighbor.col }];
+    }
+
+    // Both faces of an edge, as "row,col,side" keys
+    getFaceKeys(edge) {
+        const neighbor = this.grid.getTriangle(edge.row, edge.col).neighbors[edge.side];
+        const neighborSide = this.grid.getTriangle(edge.row, edge.col).getNeighborCorrespondingSide(edge.side);
+        return [`${edge.row},${edge.col},${edge.side}`, `${neighbor.row},${neighbor.col},${neighborSide}`];
+    }
+
+    // Whether an edge can be part of a dynamic mirror: internal, and a plain mirror or open
+    isMovableEdge(edge, state) {
+        const triangle = this.grid.getTriangle(edge.row, edge.col);
+        return Boolean(triangle?.neighbors[edge.side]) && triangle.getSideState(edge.side) === state;
+    }
+
+    /**
+     * Check a mirror definition against the grid and set up its state
+     * @param {Object} definition - {behavior, positions, index}
+     * @returns {Object} {behavior, positions, index, step}
+     * @throws {Error} If the positions aren't free internal edges or overlap an earlier mirror's
+     */
+    createMirror(definition) {
+        const { behavior, positions } = definition;
+        const index = definition.index ?? 0;
+        if (!Object.values(MirrorBehavior).includes(behavior)) {
+            throw new Error(`Unknown mirror behavior "${behavior}". Expected one of ${Object.values(MirrorBehavior).join(', ')}`);
+        }
+        if (!Array.isArray(positions) || positions.length < 2 || !positions[index]) {
+            throw new Error(`A ${behavior} mirror needs at least two positions and must start on an edge`);
+        }
+
+        const claimed = new Set(this.mirrors.flatMap(mirror =>
+            mirror.positions.filter(Boolean).flatMap(edge => this.getFaceKeys(edge))));
+        positions.forEach((edge, i) => {
+            if (!edge) return;
+            const expected = i === index ? SideType.MIRROR : SideType.EMPTY;
+            if (!this.isMovableEdge(edge, expected)) {
+                throw new Error(`Dynamic mirror position (${edge.row}, ${edge.col}) ${edge.side} must be an internal edge that is ${expected}`);
+            }
+            this.getFaceKeys(edge).forEach(key => {
+                if (claimed.has(key)) {
+                    throw new Error(`Dynamic mirror position (${edge.row}, ${edge.col}) ${edge.side} is already used`);
+                }
+                claimed.add(key);
+            });
+        });
+
+        return { behavior, positions: positions.map(edge => edge && { ...edge }), index, step: 1 };
+    }
+
+    /**
+     * Pick dynamic mirrors among the grid's mirrors, taking the behaviors in turn
+     * @param {number} count
+     * @param {Function} rng
+     * @returns {Array<Object>} Mirror definitions (fewer than count if the grid runs out)
+     */
+    pickMirrors(count, rng) {
+        const candidates = new Map(this.behaviors.map(behavior => [behavior, shuffle(this.findCandidates(behavior), rng)]));
+        const used = new Set();
+        const picked = [];
+
+        const isFree = (positions) => positions.every(edge => !edge || this.getFaceKeys(edge).every(key => !used.has(key)));
+        const pickOne = (behavior) => {
+            const list = candidates.get(behavior);
+            while (list.length > 0) {
+                const positions = list.shift();
+                if (!isFree(positions)) continue;
+                positions.forEach(edge => edge && this.getFaceKeys(edge).forEach(key => used.add(key)));
+                return { behavior, positions, index: 0 };
+            }
+            return null;
+        };
+
+        for (let i = 0; picked.length < count; i++) {
+            // Round robin, falling back to whichever behaviors still have candidates
+            const order = this.behaviors.map((_, j) => this.behaviors[(i + j) % this.behaviors.length]);
+            const definition = order.reduce((found, behavior) => found || pickOne(behavior), null);
+            if (!definition) break;
+            picked.push(definition);
+        }
+
+        if (picked.length < count) {
+            console.warn(`⚠️ Only ${picked.length} of ${count} dynamic mirrors fit this grid`);
+        }
+        return picked;
+    }
+
+    /**
+     * Find every place a mirror with the given behavior could go
+     * @param {string} behavior - MirrorBehavior value
+     * @returns {Array<Array<Object|null>>} Position lists, starting on a mirror
+     */
+    findCandidates(behavior) {
+        const candidates = [];
+        for (const triangle of this.grid.triangles.values()) {
+            const { row, col } = triangle;
+            const sides = CLOCKWISE_SIDES[triangle.pointsUp ? 'up' : 'down'];
+
+            sides.forEach((side, i) => {
+                const edge = { row, col, side };
+                if (!this.isMovableEdge(edge, SideType.MIRROR)) return;
+
+                if (behavior === MirrorBehavior.TOGGLE) {
+                    // Each edge once (from the face with the smaller key)
+                    const [own, other] = this.getFaceKeys(edge);
+                    if (own < other) candidates.push([edge, null]);
+                } else if (behavior === MirrorBehavior.ROTATE) {
+                    const positions = [0, 1, 2].map(turn => ({ row, col, side: sides[(i + turn) % 3] }));
+                    if (positions.slice(1).every(position => this.isMovableEdge(position, SideType.EMPTY))) {
+                        candidates.push(positions);
+                    }
+                } else if (behavior === MirrorBehavior.SLIDE) {
+                    // The same side two columns over is parallel (same orientation); slide right
+                    const positions = [edge];
+                    while (positions.length < DEFAULT_SLIDE_LENGTH) {
+                        const position = { row, col: col + 2 * positions.length, side };
+                        if (!this.isMovableEdge(position, SideType.EMPTY)) break;
+                        positions.push(position);
+                    }
+                    if (positions.length > 1) candidates.push(positions);
+                }
+            });
+        }
+        return candidates;
+    }
+}
+
+export { DynamicMirrorSystem, MirrorBehavior, MirrorClock };
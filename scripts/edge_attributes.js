@@ -0,0 +1,101 @@
+// Edge Attributes
+// What sets one mirror apart from the next, so designers can build landmarks: a
+// tint, how frosted it is and a symbol engraved in it. Kept per face on
+// Triangle.edgeAttributes (both faces of an edge share them, like side types),
+// saved in levels ("edges", see level_format.js) and uploaded by SceneRenderer as
+// a second float texture with one texel per edge, three per cell in shader edge
+// order (third, right, left):
+//
+// RGB: tint (0..1)
+// A:   frost (0..1 stored as 0..255) | symbol << 8
+//
+// Attributes belong to the edge whatever its side type, but only mirror faces show
+// them (castRay in raycast.frag.glsl; keep the SYMBOL_* constants there in sync).
+
+/**
+ * Enum for symbols engraved in a mirror
+ */
+const MirrorSymbol = Object.freeze({
+    NONE: 'none',
+    CIRCLE: 'circle',
+    CROSS: 'cross',
+    TRIANGLE: 'triangle',
+    DIAMOND: 'diamond'
+});
+
+// Shader codes (4 bits)
+const SYMBOL_CODES = Object.freeze({
+    [MirrorSymbol.NONE]: 0,
+    [MirrorSymbol.CIRCLE]: 1,
+    [MirrorSymbol.CROSS]: 2,
+    [MirrorSymbol.TRIANGLE]: 3,
+    [MirrorSymbol.DIAMOND]: 4
+});
+
+const TINT_PATTERN = /^#[0-9a-f]{6}$/i;
+
+const DEFAULT_EDGE_ATTRIBUTES = Object.freeze({
+    tint: '#cccccc',  // What a reflection keeps of each channel (the plain mirror look)
+    frost: 0,         // 0 (clear) .. 1 (fully frosted)
+    symbol: MirrorSymbol.NONE
+});
+
+const ATTRIBUTE_KEYS = Object.freeze(Object.keys(DEFAULT_EDGE_ATTRIBUTES));
+
+/**
+ * Check edge attribute values
+ * @param {Object} values - Any of {tint, frost, symbol}
+ * @throws {Error} For an unknown key or a value out of range
+ */
+function checkEdgeAttributes(values) {
+    Object.keys(values).forEach(key => {
+        if (!ATTRIBUTE_KEYS.includes(key)) {
+            throw new Error(`Unknown edge attribute "${key}". Expected ${ATTRIBUTE_KEYS.join(', ')}`);
+        }
+    });
+    const { tint, frost, symbol } = values;
+    if (tint !== undefined && !(typeof tint === 'string' && TINT_PATTERN.test(tint))) {
+        throw new Error(`Tint must be a "#rrggbb" color (got ${tint})`);
+    }
+    if (frost !== undefined && !(typeof frost === 'number' && frost >= 0 && frost <= 1)) {
+        throw new Error(`Frost must be a number from 0 to 1 (got ${frost})`);
+    }
+    if (symbol !== undefined && !Object.values(MirrorSymbol).includes(symbol)) {
+        throw new Error(`Unknown mirror symbol "${symbol}". Expected one of ${Object.values(MirrorSymbol).join(', ')}`);
+    }
+}
+
+/**
+ * Get the values that differ from the defaults (what levels store)
+ * @param {Object} attributes
+ * @returns {Object} Possibly empty
+ */
+function getChangedEdgeAttributes(attributes) {
+    return Object.fromEntries(ATTRIBUTE_KEYS
+        .filter(key => attributes[key] !== DEFAULT_EDGE_ATTRIBUTES[key])
+        .map(key => [key, attributes[key]]));
+}
+
+/**
+ * Pack edge attributes into one RGBA texel of the edge texture
+ * @param {Object} attributes - {tint, frost, symbol}
+ * @returns {Array<number>} [r, g, b, a]
+ */
+function packEdgeAttributes(attributes) {
+    const rgb = parseInt(attributes.tint.slice(1), 16);
+    const frost = Math.round(Math.max(0, Math.min(1, attributes.frost)) * 255);
+    return [
+        ((rgb >> 16) & 255) / 255,
+        ((rgb >> 8) & 255) / 255,
+        (rgb & 255) / 255,
+        frost | (SYMBOL_CODES[attributes.symbol] << 8)
+    ];
+}
+
+export {
+    MirrorSymbol,
+    DEFAULT_EDGE_ATTRIBUTES,
+    checkEdgeAttributes,
+    getChangedEdgeAttributes,
+    packEdgeAttributes
+};
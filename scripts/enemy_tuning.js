@@ -0,0 +1,107 @@
+// Enemy Tuning
+// Per-level settings of the enemy AI (see player_logic/enemy_ai.js): what the
+// enemy can see and hear, plus one section per behaviour state. Levels only store
+// what they change ("enemy", see level_format.js); the rest keeps the defaults.
+//
+// Durations count enemy steps (a move or a turn in place), so they mean the same
+// in real time and turn-based play. Speeds scale EnemyController's speed and only
+// apply in real time.
+
+const DEFAULT_ENEMY_TUNING = Object.freeze({
+    perception: Object.freeze({
+        sightRange: 8,     // How far it sees, in triangle steps along the sight line (bounces included)
+        fieldOfView: 180,  // Degrees, centred on the side it faces
+        mirrorBounces: 2,  // Mirrors a sight line may bounce off (0 = only sees straight on)
+        hearing: 1         // Scales how far the player's noises carry to it (0 = deaf, see noise.js)
+    }),
+    patrol: Object.freeze({
+        route: null,       // [{row, col}, ...] waypoints walked in a loop (default: picked from the grid)
+        waypoints: 4,      // Waypoints to pick when there is no route
+        speed: 0.6
+    }),
+    investigate: Object.freeze({
+        maxSteps: 30,      // Give up on reaching the last known position after this many steps
+        speed: 0.9
+    }),
+    chase: Object.freeze({
+        memory: 3,         // Steps it keeps following the player after losing sight of them
+        speed: 1
+    }),
+    search: Object.freeze({
+        radius: 3,         // Triangle steps around the last known position it looks at
+        duration: 15,      // Steps before it goes back to patrolling
+        speed: 0.7
+    })
+});
+
+// Allowed range of every numeric setting
+const TUNING_LIMITS = Object.freeze({
+    perception: {
+        sightRange: { min: 0, integer: true },
+        fieldOfView: { min: 0, max: 360 },
+        mirrorBounces: { min: 0, max: 8, integer: true },
+        hearing: { min: 0 }
+    },
+    patrol: { waypoints: { min: 1, integer: true }, speed: { min: 0 } },
+    investigate: { maxSteps: { min: 1, integer: true }, speed: { min: 0 } },
+    chase: { memory: { min: 0, integer: true }, speed: { min: 0 } },
+    search: { radius: { min: 1, integer: true }, duration: { min: 0, integer: true }, speed: { min: 0 } }
+});
+
+const SECTIONS = Object.freeze(Object.keys(DEFAULT_ENEMY_TUNING));
+
+function checkNumber(path, value, limits) {
+    const valid = typeof value === 'number' && Number.isFinite(value) &&
+        (!limits.integer || Number.isInteger(value)) &&
+        value >= limits.min && (limits.max === undefined || value <= limits.max);
+    if (!valid) {
+        const kind = limits.integer ? 'an integer' : 'a number';
+        const range = limits.max === undefined ? `of at least ${limits.min}` : `from ${limits.min} to ${limits.max}`;
+        throw new Error(`${path} must be ${kind} ${range} (got ${value})`);
+    }
+}
+
+/**
+ * Check enemy tuning overrides. Route positions are only checked for shape - whether
+ * they are on the grid is up to the caller.
+ * @param {Object} values - Any sections of DEFAULT_ENEMY_TUNING, each with any of its settings
+ * @throws {Error} For an unknown section or setting, or a value out of range
+ */
+function checkEnemyTuning(values) {
+    Object.entries(values).forEach(([section, settings]) => {
+        if (!SECTIONS.includes(section)) {
+            throw new Error(`Unknown enemy tuning section "${section}". Expected ${SECTIONS.join(', ')}`);
+        }
+        if (settings === null || typeof settings !== 'object' || Array.isArray(settings)) {
+            throw new Error(`${section} must be an object of settings`);
+        }
+
+        const keys = Object.keys(DEFAULT_ENEMY_TUNING[section]);
+        Object.entries(settings).forEach(([key, value]) => {
+            if (!keys.includes(key)) {
+                throw new Error(`Unknown ${section} setting "${key}". Expected ${keys.join(', ')}`);
+            }
+            if (section === 'patrol' && key === 'route') {
+                const isPosition = point => point !== null && typeof point === 'object' &&
+                    Number.isInteger(point.row) && Number.isInteger(point.col);
+                if (value !== null && !(Array.isArray(value) && value.length > 0 && value.every(isPosition))) {
+                    throw new Error('patrol.route must be a non-empty array of {row, col} positions');
+                }
+                return;
+            }
+            checkNumber(`${section}.${key}`, value, TUNING_LIMITS[section][key]);
+        });
+    });
+}
+
+/**
+ * Fill in the defaults around tuning overrides
+ * @param {Object|null} overrides - Checked overrides (see checkEnemyTuning)
+ * @returns {Object} Every section with every setting
+ */
+function resolveEnemyTuning(overrides = null) {
+    return Object.fromEntries(SECTIONS.map(section =>
+        [section, { ...DEFAULT_ENEMY_TUNING[section], ...(overrides?.[section] ?? {}) }]));
+}
+
+export { DEFAULT_ENEMY_TUNING, checkEnemyTuning, resolveEnemyTuning };
@@ -3,6 +3,8 @@
 
 import gameState from './player_logic/game_state.js';
 
+const MAX_DELTA_TIME = 0.1; // Seconds; a longer frame (e.g. back from a background tab) is slowed down
+
 class GameLoop {
     constructor() {
         this.isRunning = false;
@@ -13,6 +15,9 @@ class GameLoop {
         this.sceneRenderer = null;
         this.uiOverlay = null;
         this.movement = null;
+        this.enemyController = null;
+        this.dynamicMirrors = null;
+        this.gameOutcome = null;
         
         // Game state
         this.gameState = gameState;
@@ -34,11 +39,24 @@ class GameLoop {
         this.movement = movement;
     }
     
+    setEnemyController(enemyController) {
+        this.enemyController = enemyController;
+    }
+    
+    setDynamicMirrors(dynamicMirrors) {
+        this.dynamicMirrors = dynamicMirrors;
+    }
+    
+    setGameOutcome(gameOutcome) {
+        this.gameOutcome = gameOutcome;
+        gameOutcome.setGameLoop(this);
+    }
+    
     // Start the game loop
     start() {
         this.isRunning = true;
         this.lastTime = performance.now();
-        this.loop();
+        requestAnimationFrame(this.loop);
     }
     
     // Stop the game loop
@@ -47,11 +65,11 @@ class GameLoop {
     }
     
     // Main game loop
-    loop(currentTime = 0) {
+    loop(currentTime) {
         if (!this.isRunning) return;
         
-        // Calculate delta time
-        this.deltaTime = (currentTime - this.lastTime) / 1000; // Convert to seconds
+        // Calculate delta time (clamped, so a stalled frame can't make the world jump ahead)
+        this.deltaTime = Math.min(Math.max(0, (currentTime - this.lastTime) / 1000), MAX_DELTA_TIME); // Convert to seconds
         this.lastTime = currentTime;
         
         // Update phase
@@ -71,6 +89,25 @@ class GameLoop {
             this.movement.update(deltaTime);
         }
         
+        // Shift dynamic mirrors (before the enemies so they plan around them)
+        if (this.dynamicMirrors) {
+            this.dynamicMirrors.update(deltaTime);
+        }
+        
+        // Freeze the enemies the player can see (with that rule on), then move the
+        // rest (after the player so they chase the latest position)
+        if (this.sceneRenderer) {
+            gameState.updateWatchedEnemies(this.sceneRenderer.getCameraView());
+        }
+        if (this.enemyController) {
+            this.enemyController.update(deltaTime);
+        }
+        
+        // Check win/lose conditions (may stop the loop)
+        if (this.gameOutcome) {
+            this.gameOutcome.update(deltaTime);
+        }
+        
         // Update UI
         if (this.uiOverlay) {
             this.uiOverlay.update(deltaTime, {});
@@ -0,0 +1,111 @@
+// Game Outcome
+// Detects win/lose conditions and moves to the matching end screen
+
+import gameState from './player_logic/game_state.js';
+import { CARRIED_URL_PARAMS } from './url_params.js';
+
+/**
+ * Enum for game results
+ */
+const GameResult = Object.freeze({
+    WIN: 'win',
+    LOSE: 'lose'
+});
+
+/**
+ * Enum for why the game ended
+ */
+const EndReason = Object.freeze({
+    ESCAPED: 'escaped', // Player left through the maze exit
+    CAUGHT: 'caught'    // An enemy reached the player's triangle
+});
+
+const END_SCREENS = Object.freeze({
+    [GameResult.WIN]: 'end_win.html',
+    [GameResult.LOSE]: 'end_lose.html'
+});
+
+class GameOutcome {
+    constructor() {
+        this.gameLoop = null;
+        this.hasEnded = false;
+
+        // Short pause so the final frame is visible before switching screens
+        this.endScreenDelay = 0.5; // Seconds
+    }
+
+    setGameLoop(gameLoop) {
+        this.gameLoop = gameLoop;
+    }
+
+    /**
+     * Check the current game state for a win or loss (called every frame)
+     * @returns {Object|null} {result, reason} if the game is over, otherwise null
+     */
+    evaluate() {
+        if (gameState.hasPlayerEscaped()) {
+            return { result: GameResult.WIN, reason: EndReason.ESCAPED };
+        }
+
+        if (gameState.isPlayerCaught()) {
+            return { result: GameResult.LOSE, reason: EndReason.CAUGHT };
+        }
+
+        return null;
+    }
+
+    update(deltaTime) {
+        if (this.hasEnded) return;
+
+        const outcome = this.evaluate();
+        if (outcome) {
+            this.endGame(outcome.result, outcome.reason);
+        }
+    }
+
+    /**
+     * Stop the game, record the outcome and go to the end screen
+     * @param {string} result - GameResult value
+     * @param {string} reason - EndReason value
+     */
+    endGame(result, reason) {
+        if (this.hasEnded) return;
+        this.hasEnded = true;
+
+        gameState.setOutcome(result, reason);
+        const outcome = gameState.getOutcome();
+
+        if (this.gameLoop) {
+            this.gameLoop.stop();
+        }
+
+        console.log(result === GameResult.WIN ? '🏆 Player escaped the maze!' : '💀 Player was caught!', outcome);
+
+        setTimeout(() => {
+            window.location.href = this.getEndScreenUrl(outcome);
+        }, this.endScreenDelay * 1000);
+    }
+
+    /**
+     * Build the end screen URL, carrying the reason and seed (with its maze options)
+     * or level file so it can offer a retry
+     * @param {Object} outcome - {result, reason, turn, seed}
+     * @returns {string}
+     */
+    getEndScreenUrl(outcome) {
+        const params = new URLSearchParams({ reason: outcome.reason });
+        if (outcome.seed !== null && outcome.seed !== undefined) {
+            params.set('seed', outcome.seed);
+        }
+        const urlParams = new URLSearchParams(window.location.search);
+        ['level', ...CARRIED_URL_PARAMS].forEach(name => {
+            const value = urlParams.get(name);
+            if (value) {
+                params.set(name, value);
+            }
+        });
+        return `${END_SCREENS[outcome.result]}?${params.toString()}`;
+    }
+}
+
+export { GameOutcome, GameResult, EndReason };
@@ -0,0 +1,24 @@
+// Grid Events
+// What a TriangularGrid tells its listeners when it is edited in place (see
+// TriangularGrid.on). Events only fire for actual changes, once per triangle
+// face: a shared side changes both faces, so it fires twice.
+//
+// - side_changed: {triangle, row, col, side, previous, state} (SideType values)
+// - triangle_state_changed: {triangle, row, col, previous, state}
+// - triangle_meta_changed: {triangle, row, col, previous, meta} (see triangle_meta.js)
+// - edge_attributes_changed: {triangle, row, col, side, previous, attributes} (see edge_attributes.js)
+// - portals_changed: {faces}, the portal sides ({row, col, side}) that lead somewhere else
+//   now, once per relinking (see TriangularGrid.linkPortals)
+
+/**
+ * Enum for grid change events
+ */
+const GridEvent = Object.freeze({
+    SIDE_CHANGED: 'side_changed',
+    TRIANGLE_STATE_CHANGED: 'triangle_state_changed',
+    TRIANGLE_META_CHANGED: 'triangle_meta_changed',
+    EDGE_ATTRIBUTES_CHANGED: 'edge_attributes_changed',
+    PORTALS_CHANGED: 'portals_changed'
+});
+
+export { GridEvent };
@@ -0,0 +1,132 @@
+// Grid Masks
+// Which cells of a numRows x trianglesPerRow box exist, for grids that aren't
+// rectangles. Shapes are lattice-aligned (60° sides), centered in the box and
+// as large as fits; a triangle is in the shape when its centroid is.
+//
+// A mask can be given as:
+// - a GridShape name ('rectangle', 'triangle', 'hexagon', 'ring')
+// - a bitmap: one string per row, '.' = no cell, anything else = cell
+//   (or an array of boolean arrays)
+// - a predicate (row, col) => boolean
+
+import { TRIANGLE_SIZE, TRIANGLE_HEIGHT, getTriangleCenter, pointInTriangle } from './triangle_coords.js';
+
+/**
+ * Enum for built-in grid shapes
+ */
+const GridShape = Object.freeze({
+    RECTANGLE: 'rectangle',
+    TRIANGLE: 'triangle', // Pointing up, base along the bottom row
+    HEXAGON: 'hexagon',   // Flat top and bottom
+    RING: 'ring'          // Hexagon with a hexagonal hole (options.ringInnerRatio of its size, default 0.5)
+});
+
+const MASKED_CELL_CHAR = '.';
+
+// Flat-topped hexagon around (cx, cz) with the given circumradius
+function inHexagon(p, cx, cz, radius) {
+    const dx = Math.abs(p.x - cx);
+    const dz = Math.abs(p.z - cz);
+    return dz <= radius * Math.sqrt(3) / 2 + 1e-6 && Math.sqrt(3) * dx + dz <= Math.sqrt(3) * radius + 1e-6;
+}
+
+// Largest centered hexagon with its center on a lattice vertex: {i, j, size} (size in triangle sides)
+function fitHexagon(numRows, trianglesPerRow) {
+    const j = Math.floor(numRows / 2);
+    let i = Math.floor((trianglesPerRow + 1) / 2);
+    if ((i + j) % 2 === 0) i -= 1; // Lattice vertices have i + j odd
+    // Rows j - size .. j + size - 1 and columns i - 2 * size .. i + 2 * size - 2 must fit
+    const size = Math.min(j, numRows - j, Math.floor(i / 2), Math.floor((trianglesPerRow + 1 - i) / 2));
+    return { i, j, size };
+}
+
+// Largest centered up-pointing triangle with its apex on a lattice vertex in the top row: its corners
+function fitTriangle(numRows, trianglesPerRow) {
+    // Apex on a lattice vertex in the top row (i odd); the base spans columns i - size .. i + size - 2
+    let i = Math.floor((trianglesPerRow + 1) / 2);
+    if (i % 2 === 0) i -= 1;
+    const size = Math.min(numRows, i, trianglesPerRow + 1 - i);
+    const apex = { x: i * TRIANGLE_SIZE * 0.5, z: 0 };
+    const baseLeft = { x: apex.x - size * TRIANGLE_SIZE * 0.5, z: size * TRIANGLE_HEIGHT };
+    const baseRight = { x: apex.x + size * TRIANGLE_SIZE * 0.5, z: size * TRIANGLE_HEIGHT };
+    return { apex, baseLeft, baseRight };
+}
+
+function createShapePredicate(shape, numRows, trianglesPerRow, options) {
+    if (shape === GridShape.RECTANGLE) {
+        return () => true;
+    }
+
+    if (shape === GridShape.TRIANGLE) {
+        const { apex, baseLeft, baseRight } = fitTriangle(numRows, trianglesPerRow);
+        return (row, col) => {
+            const p = getTriangleCenter(row, col);
+            return pointInTriangle(p.x, p.z, apex, baseLeft, baseRight);
+        };
+    }
+
+    if (shape === GridShape.HEXAGON || shape === GridShape.RING) {
+        const { i, j, size } = fitHexagon(numRows, trianglesPerRow);
+        const cx = i * TRIANGLE_SIZE * 0.5;
+        const cz = j * TRIANGLE_HEIGHT;
+        const outer = size * TRIANGLE_SIZE;
+        const innerSize = shape === GridShape.RING ? Math.round(size * (options.ringInnerRatio ?? 0.5)) : 0;
+        const inner = innerSize * TRIANGLE_SIZE;
+        return (row, col) => {
+            const p = getTriangleCenter(row, col);
+            return inHexagon(p, cx, cz, outer) && !(innerSize > 0 && inHexagon(p, cx, cz, inner));
+        };
+    }
+
+    throw new Error(`Unknown grid shape "${shape}". Expected one of ${Object.values(GridShape).join(', ')}`);
+}
+
+/**
+ * Turn any mask form into a predicate
+ * @param {string|Array|Function|null} mask - See the top of this file (null = rectangle)
+ * @param {number} numRows
+ * @param {number} trianglesPerRow
+ * @param {Object} options - {ringInnerRatio}
+ * @returns {Function} (row, col) => boolean
+ * @throws {Error} For an unknown shape name
+ */
+function createGridMask(mask, numRows, trianglesPerRow, options = {}) {
+    if (mask === null || mask === undefined) {
+        return () => true;
+    }
+    if (typeof mask === 'function') {
+        return mask;
+    }
+    if (Array.isArray(mask)) {
+        return (row, col) => {
+            const line = mask[row];
+            if (typeof line === 'string') {
+                return col < line.length && line[col] !== MASKED_CELL_CHAR;
+            }
+            return Boolean(line?.[col]);
+        };
+    }
+    return createShapePredicate(mask, numRows, trianglesPerRow, options);
+}
+
+/**
+ * Get the world-space center of a built-in shape, which its symmetries are taken
+ * around (the triangle's centroid, the hexagon's and ring's center)
+ * @param {string|Array|Function|null} mask - See the top of this file
+ * @param {number} numRows
+ * @param {number} trianglesPerRow
+ * @returns {Object|null} {x, z}, or null for rectangles and bitmap or predicate masks
+ */
+function getGridShapeCenter(mask, numRows, trianglesPerRow) {
+    if (mask === GridShape.TRIANGLE) {
+        const { apex, baseLeft, baseRight } = fitTriangle(numRows, trianglesPerRow);
+        return { x: apex.x, z: (apex.z + baseLeft.z + baseRight.z) / 3 };
+    }
+    if (mask === GridShape.HEXAGON || mask === GridShape.RING) {
+        const { i, j } = fitHexagon(numRows, trianglesPerRow);
+        return { x: i * TRIANGLE_SIZE * 0.5, z: j * TRIANGLE_HEIGHT };
+    }
+    return null;
+}
+
+export { GridShape, MASKED_CELL_CHAR, createGridMask, getGridShapeCenter };
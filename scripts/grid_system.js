@@ -1,25 +1,84 @@
+import {
+    SIDE_NAMES,
+    EDGE_SIDES,
+    isPointingUp,
+    sideToBit,
+    getCorrespondingSide,
+    TRIANGLE_SIZE,
+    TRIANGLE_HEIGHT,
+    getNeighborCoords,
+    getTriangleDistance
+} from './triangle_coords.js';
+import {
+    SideType,
+    isSideTypePassable,
+    isSideTypeTransparent,
+    isDoorSideType,
+    getCounterpartSideType,
+    sideTypeToChar,
+    charToSideType,
+    sideTypeToCode,
+    packEdgeCodes
+} from './side_types.js';
+import { LEVEL_FORMAT_VERSION, parseLevel } from './level_format.js';
+import { MazeAlgorithm, RoomShape, getMazeGenerator } from './maze_generators.js';
+import { MazeSymmetry, getSymmetryTransforms, buildEdgeOrbits } from './maze_symmetry.js';
+import { createGridMask, MASKED_CELL_CHAR } from './grid_masks.js';
+import { GridWrap, checkWrap, wrapCoords, getWrappedTriangleDistance } from './grid_topology.js';
+import { createRng, shuffle } from './rng.js';
+import { placeSpawnsAndExit } from './spawn_placement.js';
+import { GridEvent } from './grid_events.js';
+import { FloorMaterial, DEFAULT_TRIANGLE_META, checkTriangleMeta, getChangedTriangleMeta, packTriangleMeta } from './triangle_meta.js';
+import { DEFAULT_EDGE_ATTRIBUTES, checkEdgeAttributes, getChangedEdgeAttributes, packEdgeAttributes } from './edge_attributes.js';
+
+// Bitmask of a cell that doesn't exist (all three edges blocking)
+const SOLID_CELL_BITMASK = 7;
+
+// Floors of generated rooms, taken in turn by room id
+const ROOM_MATERIALS = Object.freeze([FloorMaterial.TILES, FloorMaterial.STONE, FloorMaterial.WOOD, FloorMaterial.METAL]);
+
 /**
- * Enum for triangle side types
+ * Enum for problems reported by TriangularGrid.validate
  */
-const SideType = Object.freeze({
-    EMPTY: 'empty',
-    MIRROR: 'mirror'
+const GridProblemType = Object.freeze({
+    ASYMMETRIC_SIDE: 'asymmetric_side',             // The two faces of a shared side disagree
+    UNREACHABLE_TRIANGLE: 'unreachable_triangle',   // The player can't walk to this triangle
+    NO_EXIT: 'no_exit',                             // No open boundary side
+    MULTIPLE_EXITS: 'multiple_exits',               // More than one open boundary side
+    BLOCKED_EXIT: 'blocked_exit',                   // A recorded exit is not an open boundary side
+    SPAWN_OUTSIDE_GRID: 'spawn_outside_grid',       // A spawn position has no triangle
+    EXIT_UNREACHABLE: 'exit_unreachable',           // The player spawn can't reach any exit
+    PLAYER_UNREACHABLE: 'player_unreachable'        // The enemy spawn can't reach the player spawn
 });
 
 /**
  * Represents a single triangle in the grid
  */
 class Triangle {
-    constructor(row, col, pointsUp) {
+    /**
+     * @param {number} row
+     * @param {number} col
+     * @param {boolean} pointsUp
+     * @param {TriangularGrid} grid - Owning grid, told about side and state changes (default: none)
+     */
+    constructor(row, col, pointsUp, grid = null) {
         this.row = row;           // Row index
         this.col = col;           // Column index within the row
         this.pointsUp = pointsUp; // true if triangle points up, false if points down
+        this.grid = grid;         // Owning TriangularGrid (emits the change events, see TriangularGrid.on)
         this.state = null;        // Can store game state (empty, player, enemy, etc.)
+        this.meta = { ...DEFAULT_TRIANGLE_META }; // Floor material, region, light level and decal (see triangle_meta.js)
+        this.roomId = null;       // Id of the generated room this triangle belongs to (null = corridor)
         this.neighbors = {        // Adjacent triangles with their relationship
             left: null,
             right: null,
             third: null
         };
+        this.portalLinks = {      // Where each paired portal side leads: {triangle, side} (see TriangularGrid.linkPortals)
+            left: null,
+            right: null,
+            third: null
+        };
         
         // Each side can have its own state (e.g., wall, mirror, door, etc.)
         // For up-pointing triangles: left, right, bottom
@@ -29,13 +88,46 @@ class Triangle {
             right: SideType.EMPTY,
             third: SideType.EMPTY  // bottom for up-pointing, top for down-pointing
         };
+        
+        // Per-side tint, frost and engraved symbol, shown on mirror faces (see edge_attributes.js)
+        this.edgeAttributes = {
+            left: { ...DEFAULT_EDGE_ATTRIBUTES },
+            right: { ...DEFAULT_EDGE_ATTRIBUTES },
+            third: { ...DEFAULT_EDGE_ATTRIBUTES }
+        };
     }
 
     /**
      * Set the state of this triangle
      */
     setState(state) {
+        const previous = this.state;
         this.state = state;
+        if (previous !== state) {
+            this.grid?.emit(GridEvent.TRIANGLE_STATE_CHANGED, { triangle: this, row: this.row, col: this.col, previous, state });
+        }
+    }
+
+    /**
+     * Change some of this triangle's metadata
+     * @param {Object} values - Any of {material, region, light, decal} (see triangle_meta.js)
+     * @throws {Error} For an unknown key or value
+     */
+    setMeta(values) {
+        checkTriangleMeta(values);
+        const previous = this.meta;
+        this.meta = { ...previous, ...values };
+        if (Object.keys(values).some(key => previous[key] !== values[key])) {
+            this.grid?.emit(GridEvent.TRIANGLE_META_CHANGED, { triangle: this, row: this.row, col: this.col, previous, meta: this.getMeta() });
+        }
+    }
+
+    /**
+     * Get this triangle's metadata
+     * @returns {Object} {material, region, light, decal}
+     */
+    getMeta() {
+        return { ...this.meta };
     }
 
     /**
@@ -46,30 +138,65 @@ class Triangle {
      */
     setSideState(side, state, updateNeighbor = true) {
         if (this.sides.hasOwnProperty(side)) {
+            const previous = this.sides[side];
             this.sides[side] = state;
 
-            // Update the neighbor's corresponding side
+            // Update the neighbor's corresponding side (one-way mirrors get their other face)
             if (updateNeighbor && this.neighbors[side]) {
                 const neighborSide = this.getNeighborCorrespondingSide(side);
                 // Pass false to prevent infinite recursion
-                this.neighbors[side].setSideState(neighborSide, state, false);
+                this.neighbors[side].setSideState(neighborSide, getCounterpartSideType(state), false);
+            }
+
+            // After the neighbor, so listeners see both faces of the side agree
+            if (previous !== state) {
+                this.grid?.emit(GridEvent.SIDE_CHANGED, { triangle: this, row: this.row, col: this.col, side, previous, state });
             }
         }
     }
 
+    /**
+     * Change some attributes of a side and update the neighbor's corresponding side
+     * @param {string} side - 'left', 'right', or 'third'
+     * @param {Object} values - Any of {tint, frost, symbol} (see edge_attributes.js)
+     * @param {boolean} updateNeighbor - Whether to update the neighbor's side (default: true)
+     * @throws {Error} For an unknown side, key or value
+     */
+    setEdgeAttributes(side, values, updateNeighbor = true) {
+        if (!this.edgeAttributes.hasOwnProperty(side)) {
+            throw new Error(`Unknown side "${side}". Expected one of ${SIDE_NAMES.join(', ')}`);
+        }
+        checkEdgeAttributes(values);
+        const previous = this.edgeAttributes[side];
+        this.edgeAttributes[side] = { ...previous, ...values };
+
+        if (updateNeighbor && this.neighbors[side]) {
+            this.neighbors[side].setEdgeAttributes(this.getNeighborCorrespondingSide(side), values, false);
+        }
+
+        if (Object.keys(values).some(key => previous[key] !== values[key])) {
+            this.grid?.emit(GridEvent.EDGE_ATTRIBUTES_CHANGED, {
+                triangle: this, row: this.row, col: this.col, side, previous, attributes: this.getEdgeAttributes(side)
+            });
+        }
+    }
+
+    /**
+     * Get the attributes of a side
+     * @param {string} side - 'left', 'right', or 'third'
+     * @returns {Object} {tint, frost, symbol}
+     */
+    getEdgeAttributes(side) {
+        return { ...this.edgeAttributes[side] };
+    }
+
     /**
      * Get the corresponding side on the neighbor
      * @param {string} side - 'left', 'right', or 'third'
      * @returns {string} The corresponding side on the neighbor
      */
     getNeighborCorrespondingSide(side) {
-        // Left neighbor's right side corresponds to our left side
-        if (side === 'left') return 'right';
-        // Right neighbor's left side corresponds to our right side
-        if (side === 'right') return 'left';
-        // Third side neighbor's third side corresponds to our third side
-        if (side === 'third') return 'third';
-        return null;
+        return getCorrespondingSide(side);
     }
 
     /**
@@ -80,6 +207,47 @@ class Triangle {
         return this.sides[side];
     }
 
+    /**
+     * Check if characters can move through a side
+     * @param {string} side - 'left', 'right', or 'third'
+     */
+    isSidePassable(side) {
+        return isSideTypePassable(this.sides[side]);
+    }
+
+    /**
+     * Get where walking through a side leads: the neighbor, or for a paired
+     * portal the triangle behind its partner
+     * @param {string} side - 'left', 'right', or 'third'
+     * @param {string} state - SideType to assume for the side (default: its current one)
+     * @returns {Object|null} {triangle, side} - the triangle entered and the side it is entered
+     *                        through; null if the side is blocked or on the grid boundary
+     */
+    getPassage(side, state = this.sides[side]) {
+        if (state === SideType.PORTAL) {
+            return this.portalLinks[side];
+        }
+        if (!isSideTypePassable(state) || !this.neighbors[side]) {
+            return null;
+        }
+        return { triangle: this.neighbors[side], side: this.getNeighborCorrespondingSide(side) };
+    }
+
+    /**
+     * Check if a side can be seen through from this triangle
+     * @param {string} side - 'left', 'right', or 'third'
+     */
+    isSideTransparent(side) {
+        return isSideTypeTransparent(this.sides[side]);
+    }
+
+    /**
+     * Check if this triangle is part of a room (as opposed to a corridor)
+     */
+    isInRoom() {
+        return this.roomId !== null;
+    }
+
     /**
      * Set states for all sides at once
      * @param {Object} sideStates - Object with left, right, third properties
@@ -145,34 +313,95 @@ class Triangle {
  */
 class TriangularGrid {
     constructor() {
-        this.rows = [];           // Array of rows, each containing triangles
+        this.rows = [];           // Array of rows, each containing triangles (null where a mask removed the cell)
         this.triangles = new Map(); // Map of "row,col" -> Triangle for quick lookup
         this.numRows = 0;        // Number of rows in the grid
+        this.exitEdges = null;   // Array of {row, col, side} set by generateRandomGrid or a level
+        this.generationParams = null; // {numRows, trianglesPerRow, mirrorDensity, seed, algorithm, symmetry, mask, wrap, portals, enemies} of the last generation
+        this.spawns = null;      // {player, enemy} of {row, col, orientation}, or a list as enemies, from a level (any may be missing) or generateRandomGrid
+        this.levelInfo = null;   // {name, author} of the loaded level
+        this.enemyTuning = null; // Enemy AI settings from a level that differ from the defaults (see enemy_tuning.js)
+        this.rooms = [];         // Rooms carved by the rooms algorithm: {id, shape, size, triangles}
+        this.portals = [];       // Paired portal sides: [{row, col, side}, {row, col, side}] (see addPortal)
+        this.wrap = GridWrap.NONE; // GridWrap value (see grid_topology.js)
+        this.wrapAxes = { x: false, y: false }; // Axes that wrap around: x = columns, y = rows
+        this.listeners = new Map(); // GridEvent value -> Set of listeners (see on)
+    }
+
+    /**
+     * Listen for in-place edits (see grid_events.js). Rebuilding the grid (initialize,
+     * initializeFromMap, loadLevel, generateRandomGrid) replaces its triangles, so whatever
+     * was derived from it has to be set up again rather than patched.
+     * @param {string} type - GridEvent value
+     * @param {Function} listener - (event) => void
+     * @returns {Function} Call to stop listening
+     * @throws {Error} For an unknown event type
+     */
+    on(type, listener) {
+        if (!Object.values(GridEvent).includes(type)) {
+            throw new Error(`Unknown grid event "${type}". Expected one of ${Object.values(GridEvent).join(', ')}`);
+        }
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, new Set());
+        }
+        this.listeners.get(type).add(listener);
+        return () => this.off(type, listener);
+    }
+
+    /**
+     * Stop listening
+     * @param {string} type - GridEvent value
+     * @param {Function} listener - As passed to on
+     */
+    off(type, listener) {
+        this.listeners.get(type)?.delete(listener);
+    }
+
+    /**
+     * Call every listener of an event type
+     * @param {string} type - GridEvent value
+     * @param {Object} event
+     */
+    emit(type, event) {
+        this.listeners.get(type)?.forEach(listener => listener(event));
     }
 
     /**
      * Initialize the grid with specified number of rows
      * @param {number} numRows - Number of rows in the grid
      * @param {number} trianglesPerRow - Base number of triangles per row
+     * @param {string|Array|Function|null} mask - Which cells exist: a GridShape, a bitmap or a
+     *                                            predicate (see grid_masks.js). Default: all of them.
+     * @param {Object} options - Shape options ({ringInnerRatio}) and the GridWrap value ({wrap})
+     * @throws {Error} For an unknown wrap mode or one the grid size can't support
      */
-    initialize(numRows, trianglesPerRow) {
+    initialize(numRows, trianglesPerRow, mask = null, options = {}) {
+        const hasCell = createGridMask(mask, numRows, trianglesPerRow, options);
+        this.wrapAxes = checkWrap(options.wrap, numRows, trianglesPerRow);
+        this.wrap = options.wrap ?? GridWrap.NONE;
+
         this.rows = [];
         this.triangles.clear();
         this.numRows = numRows;
+        this.exitEdges = null;
+        this.generationParams = null;
+        this.spawns = null;
+        this.levelInfo = null;
+        this.enemyTuning = null;
+        this.rooms = [];
+        this.portals = [];
 
         for (let row = 0; row < numRows; row++) {
             const rowTriangles = [];
             
-            // Rows alternate starting orientation
-            // Even rows (0, 2, 4...) start with up-pointing triangles
-            // Odd rows (1, 3, 5...) start with down-pointing triangles
-            const rowStartsUp = row % 2 === 0;
-            
             for (let col = 0; col < trianglesPerRow; col++) {
-                // If row starts up: even columns point up, odd columns point down
-                // If row starts down: even columns point down, odd columns point up
-                const pointsUp = rowStartsUp ? (col % 2 === 0) : (col % 2 !== 0);
-                const triangle = new Triangle(row, col, pointsUp);
+                if (!hasCell(row, col)) {
+                    rowTriangles.push(null);
+                    continue;
+                }
+
+                // Orientation alternates along rows and columns (see triangle_coords.js)
+                const triangle = new Triangle(row, col, isPointingUp(row, col), this);
                 
                 rowTriangles.push(triangle);
                 this.triangles.set(`${row},${col}`, triangle);
@@ -192,7 +421,11 @@ class TriangularGrid {
      * - Each row is separated by newline
      * - Each triangle is separated by space
      * - Each triangle is represented as: L|R|T (Left|Right|Third side)
-     * - Side values: 'e' = empty, 'm' = mirror
+     * - '.' marks a cell that doesn't exist (masked grids, see grid_masks.js)
+     * - Side values: 'e' = empty, 'm' = mirror, 'w' = wall, 'd' = closed door,
+     *   'o' = open door, 'g' = glass, 'r' = one-way mirror (reflective from this
+     *   triangle), 'v' = one-way window (the see-through back of a one-way mirror),
+     *   'p' = portal (paired separately, see addPortal)
      * 
      * Example:
      * "e|e|e e|m|e e|e|m
@@ -200,30 +433,36 @@ class TriangularGrid {
      *  e|e|m e|e|e e|e|e"
      * 
      * @param {string} mapString - The map definition string
+     * @param {Object} options
+     * @param {string} options.wrap - GridWrap value (default none)
+     * @throws {Error} For a malformed map, or a wrap mode the map size can't support
      */
-    initializeFromMap(mapString) {
+    initializeFromMap(mapString, options = {}) {
         this.rows = [];
         this.triangles.clear();
+        this.exitEdges = null;
+        this.generationParams = null;
+        this.spawns = null;
+        this.levelInfo = null;
+        this.enemyTuning = null;
+        this.rooms = [];
+        this.portals = [];
 
         const lines = mapString.trim().split('\n');
         this.numRows = lines.length;
 
-        const sideCharMap = {
-            'e': SideType.EMPTY,
-            'm': SideType.MIRROR
-        };
-
         // First pass: Create all triangles and set their side states
         for (let row = 0; row < lines.length; row++) {
             const line = lines[row].trim();
             const triangleDefinitions = line.split(/\s+/);
             const rowTriangles = [];
 
-            // Rows alternate starting orientation
-            const rowStartsUp = row % 2 === 0;
-
             for (let col = 0; col < triangleDefinitions.length; col++) {
                 const def = triangleDefinitions[col];
+                if (def === MASKED_CELL_CHAR) {
+                    rowTriangles.push(null);
+                    continue;
+                }
                 const sides = def.split('|');
 
                 if (sides.length !== 3) {
@@ -231,13 +470,16 @@ class TriangularGrid {
                 }
 
                 // Determine orientation based on row and column
-                const pointsUp = rowStartsUp ? (col % 2 === 0) : (col % 2 !== 0);
-                const triangle = new Triangle(row, col, pointsUp);
+                const triangle = new Triangle(row, col, isPointingUp(row, col), this);
 
                 // Set side states without updating neighbors (they don't exist yet)
-                triangle.setSideState('left', sideCharMap[sides[0]] || SideType.EMPTY, false);
-                triangle.setSideState('right', sideCharMap[sides[1]] || SideType.EMPTY, false);
-                triangle.setSideState('third', sideCharMap[sides[2]] || SideType.EMPTY, false);
+                SIDE_NAMES.forEach((side, index) => {
+                    const sideType = charToSideType(sides[index]);
+                    if (!sideType) {
+                        throw new Error(`Invalid side "${sides[index]}" at row ${row}, col ${col}: "${def}". Expected one of e, m, w, d, o, g, r, v, p`);
+                    }
+                    triangle.setSideState(side, sideType, false);
+                });
 
                 rowTriangles.push(triangle);
                 this.triangles.set(`${row},${col}`, triangle);
@@ -246,6 +488,9 @@ class TriangularGrid {
             this.rows.push(rowTriangles);
         }
 
+        this.wrapAxes = checkWrap(options.wrap, this.numRows, this.getColCount());
+        this.wrap = options.wrap ?? GridWrap.NONE;
+
         // Set up neighbors after all triangles are created
         this.setupNeighbors();
 
@@ -254,13 +499,15 @@ class TriangularGrid {
         for (let row = 0; row < this.rows.length; row++) {
             for (let col = 0; col < this.rows[row].length; col++) {
                 const triangle = this.getTriangle(row, col);
+                if (!triangle) continue;
 
                 // Update neighbors' corresponding sides
-                ['left', 'right', 'third'].forEach(side => {
+                SIDE_NAMES.forEach(side => {
                     if (triangle.neighbors[side]) {
                         const neighborSide = triangle.getNeighborCorrespondingSide(side);
                         const currentState = triangle.getSideState(side);
-                        const neighborState = triangle.neighbors[side].getSideState(neighborSide);
+                        // Compare as seen from this triangle (the back of a one-way mirror is its window)
+                        const neighborState = getCounterpartSideType(triangle.neighbors[side].getSideState(neighborSide));
 
                         // Determine which state should be used (prefer non-empty)
                         let finalState;
@@ -276,8 +523,7 @@ class TriangularGrid {
                         }
 
                         // Update both sides to the final state
-                        triangle.setSideState(side, finalState, false);
-                        triangle.neighbors[side].setSideState(neighborSide, finalState, false);
+                        triangle.setSideState(side, finalState, true);
                     }
                 });
             }
@@ -289,11 +535,6 @@ class TriangularGrid {
      * @returns {string} The map string representation
      */
     exportToMap() {
-        const sideTypeMap = {
-            [SideType.EMPTY]: 'e',
-            [SideType.MIRROR]: 'm'
-        };
-
         const lines = [];
 
         for (let row = 0; row < this.rows.length; row++) {
@@ -301,9 +542,13 @@ class TriangularGrid {
 
             for (let col = 0; col < this.rows[row].length; col++) {
                 const triangle = this.getTriangle(row, col);
-                const left = sideTypeMap[triangle.getSideState('left')] || 'e';
-                const right = sideTypeMap[triangle.getSideState('right')] || 'e';
-                const third = sideTypeMap[triangle.getSideState('third')] || 'e';
+                if (!triangle) {
+                    triangleStrings.push(MASKED_CELL_CHAR);
+                    continue;
+                }
+                const left = sideTypeToChar(triangle.getSideState('left'));
+                const right = sideTypeToChar(triangle.getSideState('right'));
+                const third = sideTypeToChar(triangle.getSideState('third'));
 
                 triangleStrings.push(`${left}|${right}|${third}`);
             }
@@ -314,6 +559,98 @@ class TriangularGrid {
         return lines.join('\n');
     }
 
+    /**
+     * Load a level in the JSON level format (see level_format.js)
+     * @param {string|Object} source - Level JSON text or parsed level data
+     * @returns {Object} The validated level data
+     * @throws {LevelValidationError} If the level is malformed
+     */
+    loadLevel(source) {
+        const level = parseLevel(source);
+
+        this.initializeFromMap(level.grid.map.join('\n'), { wrap: level.grid.wrap });
+        this.exitEdges = level.exits ? level.exits.map(exit => ({ row: exit.row, col: exit.col, side: exit.side })) : null;
+        this.generationParams = level.generator ? { ...level.generator } : null;
+        this.spawns = level.spawns ? { ...level.spawns } : null;
+        this.levelInfo = { name: level.name, author: level.author ?? null };
+        this.enemyTuning = level.enemy ? JSON.parse(JSON.stringify(level.enemy)) : null;
+        (level.portals || []).forEach(([a, b]) => this.addPortal(a, b));
+        (level.meta || []).forEach(({ row, col, ...values }) => this.getTriangle(row, col).setMeta(values));
+        (level.edges || []).forEach(({ row, col, side, ...values }) => this.getTriangle(row, col).setEdgeAttributes(side, values));
+
+        console.log(`📦 Level "${level.name}" loaded (${this.getRowCount()} rows)`);
+
+        // Well-formed but possibly unplayable - report it, let the caller decide (see repair())
+        const report = this.validate();
+        if (!report.valid) {
+            console.warn(`⚠️ Level "${level.name}" has ${report.problems.length} problem(s):\n  - ${report.problems.map(p => p.message).join('\n  - ')}`);
+        }
+        return level;
+    }
+
+    /**
+     * Export the grid as level data in the JSON level format
+     * @param {Object} options - Optional overrides
+     * @param {string} options.name - Level name (defaults to the loaded level's name)
+     * @param {string} options.author - Level author
+     * @param {Object} options.spawns - Spawns to write instead of this.spawns
+     * @returns {Object} Level data, ready for JSON.stringify
+     */
+    exportLevel(options = {}) {
+        const author = options.author ?? this.levelInfo?.author;
+        const spawns = options.spawns ?? this.spawns;
+
+        const level = {
+            version: LEVEL_FORMAT_VERSION,
+            name: options.name ?? this.levelInfo?.name ?? 'Untitled',
+            ...(author ? { author } : {}),
+            grid: {
+                map: this.exportToMap().split('\n'),
+                ...(this.wrap !== GridWrap.NONE ? { wrap: this.wrap } : {})
+            },
+            ...(spawns ? { spawns: JSON.parse(JSON.stringify(spawns)) } : {}),
+            exits: this.getExitEdges(),
+            ...(this.portals.length > 0 ? { portals: this.portals.map(pair => pair.map(face => ({ ...face }))) } : {})
+        };
+
+        // Only triangles whose metadata isn't all defaults
+        const meta = Array.from(this.triangles.values())
+            .map(triangle => ({ row: triangle.row, col: triangle.col, ...getChangedTriangleMeta(triangle.meta) }))
+            .filter(entry => Object.keys(entry).length > 2);
+        if (meta.length > 0) {
+            level.meta = meta;
+        }
+
+        // Only edges with non-default attributes, once each (from the first face found)
+        const edges = [];
+        const written = new Set();
+        this.triangles.forEach(triangle => {
+            SIDE_NAMES.forEach(side => {
+                const changed = getChangedEdgeAttributes(triangle.edgeAttributes[side]);
+                if (Object.keys(changed).length === 0 || written.has(`${triangle.row},${triangle.col},${side}`)) return;
+
+                edges.push({ row: triangle.row, col: triangle.col, side, ...changed });
+                const neighbor = triangle.neighbors[side];
+                if (neighbor) {
+                    written.add(`${neighbor.row},${neighbor.col},${triangle.getNeighborCorrespondingSide(side)}`);
+                }
+            });
+        });
+        if (edges.length > 0) {
+            level.edges = edges;
+        }
+
+        if (this.enemyTuning) {
+            level.enemy = JSON.parse(JSON.stringify(this.enemyTuning));
+        }
+
+        if (this.generationParams) {
+            level.generator = { ...this.generationParams };
+        }
+
+        return level;
+    }
+
     /**
      * Set up neighbor relationships between triangles
      */
@@ -321,33 +658,137 @@ class TriangularGrid {
         for (let row = 0; row < this.rows.length; row++) {
             for (let col = 0; col < this.rows[row].length; col++) {
                 const triangle = this.getTriangle(row, col);
+                if (!triangle) continue;
                 
-                // Horizontal neighbors (left and right)
-                if (col > 0) {
-                    const leftNeighbor = this.getTriangle(row, col - 1);
-                    triangle.addNeighbor(leftNeighbor, 'left');
-                }
-                if (col < this.rows[row].length - 1) {
-                    const rightNeighbor = this.getTriangle(row, col + 1);
-                    triangle.addNeighbor(rightNeighbor, 'right');
+                // Left/right share the row; the third side goes down for UP triangles, up for DOWN.
+                // On a wrapped grid, sides off the edge join the opposite edge.
+                SIDE_NAMES.forEach(side => {
+                    const coords = getNeighborCoords(row, col, side);
+                    const neighbor = this.getTriangleWrapped(coords.row, coords.col);
+                    if (neighbor) {
+                        triangle.addNeighbor(neighbor, side);
+                    }
+                });
+            }
+        }
+    }
+
+    /**
+     * Pair two sides as portals: walking or looking into one comes out of the other,
+     * into the triangle behind it. Both sides become SideType.PORTAL, and the triangles
+     * on their far faces (if both exist) are paired the same way.
+     * @param {Object} a - {row, col, side}
+     * @param {Object} b - {row, col, side}
+     * @throws {Error} If a side is off the grid or already a portal, or both are the same edge
+     */
+    addPortal(a, b) {
+        [a, b].forEach(face => {
+            if (!this.getTriangle(face.row, face.col) || !SIDE_NAMES.includes(face.side)) {
+                throw new Error(`Portal side (${face.row}, ${face.col}) ${face.side} is not on the grid`);
+            }
+            if (this.getPortal(face.row, face.col, face.side)) {
+                throw new Error(`(${face.row}, ${face.col}) ${face.side} is already a portal`);
+            }
+        });
+        const backOfA = this.getFarFace(a);
+        const isSameEdge = (face) => face && face.row === b.row && face.col === b.col && face.side === b.side;
+        if (isSameEdge(a) || isSameEdge(backOfA)) {
+            throw new Error(`A portal can't lead to its own side ((${a.row}, ${a.col}) ${a.side})`);
+        }
+
+        // Linked first, so the sides already lead somewhere when their SIDE_CHANGED events fire
+        this.portals.push([{ row: a.row, col: a.col, side: a.side }, { row: b.row, col: b.col, side: b.side }]);
+        this.linkPortals();
+        this.getTriangle(a.row, a.col).setSideState(a.side, SideType.PORTAL);
+        this.getTriangle(b.row, b.col).setSideState(b.side, SideType.PORTAL);
+    }
+
+    /**
+     * Get the portal pair an edge belongs to (from either of its faces)
+     * @returns {Array<Object>|null} [{row, col, side}, {row, col, side}]
+     */
+    getPortal(row, col, side) {
+        const far = this.getFarFace({ row, col, side });
+        const matches = (face) => (face.row === row && face.col === col && face.side === side) ||
+            (far && face.row === far.row && face.col === far.col && face.side === far.side);
+        return this.portals.find(([a, b]) => matches(a) || matches(b)) || null;
+    }
+
+    /**
+     * Get the other face of a side, as seen from the neighbor
+     * @param {Object} face - {row, col, side}
+     * @returns {Object|null} {row, col, side}, or null on the boundary
+     */
+    getFarFace(face) {
+        const neighbor = this.getTriangle(face.row, face.col)?.neighbors[face.side];
+        return neighbor ? { row: neighbor.row, col: neighbor.col, side: getCorrespondingSide(face.side) } : null;
+    }
+
+    /**
+     * Rebuild every triangle's portalLinks from the pairing table, and tell the
+     * listeners which sides lead somewhere else now (GridEvent.PORTALS_CHANGED)
+     */
+    linkPortals() {
+        const describeLink = (link) => link ? `${link.triangle.row},${link.triangle.col},${link.side}` : null;
+        const previous = new Map(); // "row,col,side" -> where it led, for every linked side
+        for (const triangle of this.triangles.values()) {
+            SIDE_NAMES.forEach(side => {
+                const link = triangle.portalLinks[side];
+                if (link) previous.set(`${triangle.row},${triangle.col},${side}`, describeLink(link));
+            });
+            triangle.portalLinks = { left: null, right: null, third: null };
+        }
+
+        const link = (from, to) => {
+            this.getTriangle(from.row, from.col).portalLinks[from.side] = {
+                triangle: this.getTriangle(to.row, to.col),
+                side: to.side
+            };
+        };
+        this.portals.forEach(([a, b]) => {
+            link(a, b);
+            link(b, a);
+            // Walking in from behind one side comes out behind the other
+            const farA = this.getFarFace(a);
+            const farB = this.getFarFace(b);
+            if (farA && farB) {
+                link(farA, farB);
+                link(farB, farA);
+            }
+        });
+
+        const faces = [];
+        for (const triangle of this.triangles.values()) {
+            SIDE_NAMES.forEach(side => {
+                const key = `${triangle.row},${triangle.col},${side}`;
+                if ((previous.get(key) ?? null) !== describeLink(triangle.portalLinks[side])) {
+                    faces.push({ row: triangle.row, col: triangle.col, side });
                 }
+            });
+        }
+        if (faces.length > 0) {
+            this.emit(GridEvent.PORTALS_CHANGED, { faces });
+        }
+    }
 
-                // Vertical neighbors depend on triangle orientation
-                if (triangle.pointsUp) {
-                    // Up-pointing triangle connects to row below
-                    if (row < this.rows.length - 1 && col < this.rows[row + 1].length) {
-                        const thirdNeighbor = this.getTriangle(row + 1, col);
-                        triangle.addNeighbor(thirdNeighbor, 'third');
-                    }
-                } else {
-                    // Down-pointing triangle connects to row above
-                    if (row > 0 && col < this.rows[row - 1].length) {
-                        const thirdNeighbor = this.getTriangle(row - 1, col);
-                        triangle.addNeighbor(thirdNeighbor, 'third');
-                    }
+    /**
+     * Get every portal side that leads somewhere
+     * @returns {Array<Object>} {from: {row, col, side}, to: {row, col, side}}
+     */
+    getPortalFaces() {
+        const faces = [];
+        for (const triangle of this.triangles.values()) {
+            SIDE_NAMES.forEach(side => {
+                const link = triangle.portalLinks[side];
+                if (link && triangle.getSideState(side) === SideType.PORTAL) {
+                    faces.push({
+                        from: { row: triangle.row, col: triangle.col, side },
+                        to: { row: link.triangle.row, col: link.triangle.col, side: link.side }
+                    });
                 }
-            }
+            });
         }
+        return faces;
     }
 
     /**
@@ -358,10 +799,71 @@ class TriangularGrid {
     }
 
     /**
-     * Get all triangles in a specific row
+     * Get a triangle by coordinates that may lie outside the grid along a wrapped axis
+     * (e.g. col -1 is the last column of a horizontally wrapped grid)
+     */
+    getTriangleWrapped(row, col) {
+        const wrapped = this.wrapCoords(row, col);
+        return this.getTriangle(wrapped.row, wrapped.col);
+    }
+
+    /**
+     * Bring coordinates back onto the grid along the wrapped axes
+     * @returns {Object} {row, col} (unchanged along axes that don't wrap)
+     */
+    wrapCoords(row, col) {
+        return wrapCoords(row, col, this.getRowCount(), this.getColCount(), this.wrapAxes);
+    }
+
+    /**
+     * Get the world-space size of one copy of a wrapped grid
+     * @returns {Object} {x, z} - 0 along axes that don't wrap
+     */
+    getWrapPeriod() {
+        return {
+            x: this.wrapAxes.x ? this.getColCount() * TRIANGLE_SIZE * 0.5 : 0,
+            z: this.wrapAxes.y ? this.getRowCount() * TRIANGLE_HEIGHT : 0
+        };
+    }
+
+    /**
+     * Bring a world position that walked off a wrapped edge back onto the grid
+     * @param {number} x
+     * @param {number} z
+     * @returns {Object} {x, z}
+     */
+    wrapWorldPosition(x, z) {
+        const period = this.getWrapPeriod();
+        return {
+            x: period.x > 0 ? x - Math.floor(x / period.x) * period.x : x,
+            z: period.z > 0 ? z - Math.floor(z / period.z) * period.z : z
+        };
+    }
+
+    /**
+     * Get the step distance between two triangles, ignoring walls but taking
+     * the shortcut across wrapped edges
+     * @returns {number}
+     */
+    getTriangleDistance(row1, col1, row2, col2) {
+        if (!this.wrapAxes.x && !this.wrapAxes.y) {
+            return getTriangleDistance(row1, col1, row2, col2);
+        }
+        return getWrappedTriangleDistance(row1, col1, row2, col2, this.getRowCount(), this.getColCount(), this.wrapAxes);
+    }
+
+    /**
+     * Get all triangles in a specific row (masked cells are left out)
      */
     getRow(rowIndex) {
-        return this.rows[rowIndex] || [];
+        return (this.rows[rowIndex] || []).filter(Boolean);
+    }
+
+    /**
+     * Check whether a cell exists (false outside the grid and for masked cells)
+     */
+    hasTriangle(row, col) {
+        return this.triangles.has(`${row},${col}`);
     }
 
     /**
@@ -380,18 +882,415 @@ class TriangularGrid {
     }
 
     /**
-     * Get the number of triangles in a specific row
+     * Get the number of columns in a specific row, masked cells included
      */
     getRowLength(rowIndex) {
         return this.rows[rowIndex]?.length || 0;
     }
     
+    /**
+     * Get the open boundary edges the player can leave the maze through.
+     * Uses the exit recorded by generateRandomGrid, otherwise scans the
+     * boundary for empty sides (hand-written maps).
+     * @returns {Array<Object>} Array of {row, col, side}
+     */
+    getExitEdges() {
+        if (this.exitEdges) {
+            return this.exitEdges.map(exit => ({ ...exit }));
+        }
+
+        return this.findOpenBoundarySides();
+    }
+
+    /**
+     * Scan the boundary for sides a character can walk out through
+     * @returns {Array<Object>} Array of {row, col, side}
+     */
+    findOpenBoundarySides() {
+        const exits = [];
+        for (let row = 0; row < this.rows.length; row++) {
+            for (let col = 0; col < this.rows[row].length; col++) {
+                const triangle = this.getTriangle(row, col);
+                if (!triangle) continue;
+                SIDE_NAMES.forEach(side => {
+                    if (!triangle.neighbors[side] && triangle.isSidePassable(side)) {
+                        exits.push({ row, col, side });
+                    }
+                });
+            }
+        }
+        return exits;
+    }
+
+    /**
+     * Check whether a side of a triangle is one of the maze exits
+     * @param {number} row
+     * @param {number} col
+     * @param {string} side - 'left', 'right', or 'third'
+     */
+    isExitEdge(row, col, side) {
+        return this.getExitEdges().some(exit => exit.row === row && exit.col === col && exit.side === side);
+    }
+
+    /**
+     * Get the room a triangle belongs to
+     * @param {number} row
+     * @param {number} col
+     * @returns {Object|null} {id, shape, size, triangles}, or null for corridors
+     */
+    getRoomAt(row, col) {
+        const triangle = this.getTriangle(row, col);
+        if (!triangle || triangle.roomId === null) return null;
+        return this.rooms[triangle.roomId] || null;
+    }
+
+    /**
+     * Get a spawn position: the level's spawn if it has one, otherwise the defaults
+     * (player in the first triangle, enemy in the last, in row order)
+     * @param {string} name - 'player' or 'enemy' (the first of several enemies)
+     * @returns {Object} {row, col, orientation}
+     */
+    getSpawn(name) {
+        if (this.spawns?.[name]) {
+            return { ...this.spawns[name] };
+        }
+        if (name === 'enemy' && this.spawns?.enemies?.length > 0) {
+            return { ...this.spawns.enemies[0] };
+        }
+
+        // The first and last existing triangles - (0, 0) and the far corner on rectangles
+        const triangles = Array.from(this.triangles.values());
+        if (name === 'enemy') {
+            const last = triangles[triangles.length - 1];
+            return { row: last?.row ?? 0, col: last?.col ?? 0, orientation: 'right' };
+        }
+        return { row: triangles[0]?.row ?? 0, col: triangles[0]?.col ?? 0, orientation: 'left' };
+    }
+
+    /**
+     * Get the spawn of every enemy: the level's list if it has one, otherwise the one enemy spawn
+     * @returns {Array<Object>} {row, col, orientation}, at least one
+     */
+    getEnemySpawns() {
+        if (this.spawns?.enemies?.length > 0) {
+            return this.spawns.enemies.map(spawn => ({ ...spawn }));
+        }
+        return [this.getSpawn('enemy')];
+    }
+
+    /**
+     * Walk the grid from a triangle through passable sides and portals (the way Character.move does)
+     * @param {number} startRow
+     * @param {number} startCol
+     * @param {Map<string, string>|null} sideStates - "row,col,side" -> SideType to assume instead of
+     *                                               the grid's, to try out an edit without making it
+     * @returns {Map<string, number>} "row,col" -> step distance for every reachable triangle
+     */
+    findReachable(startRow, startCol, sideStates = null) {
+        const distances = new Map();
+        const start = this.getTriangle(startRow, startCol);
+        if (!start) return distances;
+
+        distances.set(`${startRow},${startCol}`, 0);
+        const queue = [start];
+        for (let head = 0; head < queue.length; head++) {
+            const triangle = queue[head];
+            const distance = distances.get(`${triangle.row},${triangle.col}`);
+
+            SIDE_NAMES.forEach(side => {
+                const state = sideStates?.get(`${triangle.row},${triangle.col},${side}`);
+                const passage = triangle.getPassage(side, state);
+                if (!passage) return;
+
+                const neighbor = passage.triangle;
+                const key = `${neighbor.row},${neighbor.col}`;
+                if (!distances.has(key)) {
+                    distances.set(key, distance + 1);
+                    queue.push(neighbor);
+                }
+            });
+        }
+
+        return distances;
+    }
+
+    /**
+     * Group triangles into regions connected by passable sides
+     * @returns {Array<Array<Object>>} Components (largest first), each an array of {row, col}
+     */
+    findComponents() {
+        const seen = new Set();
+        const components = [];
+
+        for (const triangle of this.triangles.values()) {
+            const key = `${triangle.row},${triangle.col}`;
+            if (seen.has(key)) continue;
+
+            const component = [];
+            const stack = [triangle];
+            seen.add(key);
+            while (stack.length > 0) {
+                const current = stack.pop();
+                component.push({ row: current.row, col: current.col });
+
+                SIDE_NAMES.forEach(side => {
+                    let neighbor = current.neighbors[side];
+                    if (current.getSideState(side) === SideType.PORTAL) {
+                        neighbor = current.portalLinks[side]?.triangle;
+                    } else if (neighbor) {
+                        // Connected if either face lets you through (asymmetry is reported separately)
+                        const neighborSide = current.getNeighborCorrespondingSide(side);
+                        if (!current.isSidePassable(side) && !neighbor.isSidePassable(neighborSide)) return;
+                    }
+                    if (!neighbor) return;
+
+                    const neighborKey = `${neighbor.row},${neighbor.col}`;
+                    if (!seen.has(neighborKey)) {
+                        seen.add(neighborKey);
+                        stack.push(neighbor);
+                    }
+                });
+            }
+            components.push(component);
+        }
+
+        return components.sort((a, b) => b.length - a.length);
+    }
+
+    /**
+     * Check the grid for problems that make a map broken or unfair.
+     * Every problem carries the coordinates it refers to (where there are any),
+     * so editors and loaders can point at them, refuse the map, or call repair().
+     * @returns {Object} Report:
+     *   valid - true if no problems were found
+     *   problems - Array of {type (GridProblemType), message, row, col, side}
+     *   asymmetricSides - Array of {row, col, side, state, neighborState}
+     *   components - Connected components (largest first), arrays of {row, col}
+     *   unreachableTriangles - Triangles the player spawn can't walk to, {row, col}
+     *   exits - Open boundary sides, {row, col, side}
+     *   exitCount - exits.length
+     *   playerCanReachExit - Whether the player spawn can walk to an exit
+     *   enemyCanReachPlayer - Whether the enemy spawn can walk to the player spawn
+     */
+    validate() {
+        const problems = [];
+        const addProblem = (type, message, row = null, col = null, side = null) => {
+            problems.push({ type, message, row, col, side });
+        };
+
+        // Both faces of every shared side must agree
+        const asymmetricSides = [];
+        for (const triangle of this.triangles.values()) {
+            SIDE_NAMES.forEach(side => {
+                const neighbor = triangle.neighbors[side];
+                if (!neighbor) return;
+
+                const state = triangle.getSideState(side);
+                const neighborState = neighbor.getSideState(triangle.getNeighborCorrespondingSide(side));
+                // Report each shared side once, from the triangle with the smaller key
+                if (getCounterpartSideType(state) !== neighborState && `${triangle.row},${triangle.col}` < `${neighbor.row},${neighbor.col}`) {
+                    asymmetricSides.push({ row: triangle.row, col: triangle.col, side, state, neighborState });
+                    addProblem(GridProblemType.ASYMMETRIC_SIDE,
+                        `(${triangle.row}, ${triangle.col}) ${side} is ${state} but (${neighbor.row}, ${neighbor.col}) sees ${neighborState}`,
+                        triangle.row, triangle.col, side);
+                }
+            });
+        }
+
+        // Exits
+        const exits = this.findOpenBoundarySides();
+        if (exits.length === 0) {
+            addProblem(GridProblemType.NO_EXIT, 'No open boundary side - the maze has no exit');
+        } else if (exits.length > 1) {
+            exits.forEach(exit => addProblem(GridProblemType.MULTIPLE_EXITS,
+                `(${exit.row}, ${exit.col}) ${exit.side} is one of ${exits.length} exits`,
+                exit.row, exit.col, exit.side));
+        }
+        (this.exitEdges || []).forEach(exit => {
+            const isOpen = exits.some(open => open.row === exit.row && open.col === exit.col && open.side === exit.side);
+            if (!isOpen) {
+                addProblem(GridProblemType.BLOCKED_EXIT,
+                    `Recorded exit (${exit.row}, ${exit.col}) ${exit.side} is not an open boundary side`,
+                    exit.row, exit.col, exit.side);
+            }
+        });
+
+        // Spawns
+        const player = this.getSpawn('player');
+        const enemies = this.getEnemySpawns();
+        const spawnNames = enemies.length === 1 ? ['enemy'] : enemies.map((enemy, index) => `enemy ${index + 1}`);
+        [['player', player], ...enemies.map((enemy, index) => [spawnNames[index], enemy])].forEach(([name, spawn]) => {
+            if (!this.getTriangle(spawn.row, spawn.col)) {
+                addProblem(GridProblemType.SPAWN_OUTSIDE_GRID,
+                    `The ${name} spawn (${spawn.row}, ${spawn.col}) is outside the grid`, spawn.row, spawn.col);
+            }
+        });
+
+        // Reachability, from the player's point of view
+        const reachable = this.findReachable(player.row, player.col);
+        const unreachableTriangles = [];
+        for (const triangle of this.triangles.values()) {
+            if (!reachable.has(`${triangle.row},${triangle.col}`)) {
+                unreachableTriangles.push({ row: triangle.row, col: triangle.col });
+                addProblem(GridProblemType.UNREACHABLE_TRIANGLE,
+                    `(${triangle.row}, ${triangle.col}) can't be reached from the player spawn`,
+                    triangle.row, triangle.col);
+            }
+        }
+
+        const playerCanReachExit = exits.some(exit => reachable.has(`${exit.row},${exit.col}`));
+        if (exits.length > 0 && !playerCanReachExit) {
+            addProblem(GridProblemType.EXIT_UNREACHABLE,
+                `The player spawn (${player.row}, ${player.col}) can't reach any exit`, player.row, player.col);
+        }
+
+        let enemyCanReachPlayer = true;
+        enemies.forEach((enemy, index) => {
+            if (!this.findReachable(enemy.row, enemy.col).has(`${player.row},${player.col}`)) {
+                enemyCanReachPlayer = false;
+                addProblem(GridProblemType.PLAYER_UNREACHABLE,
+                    `The ${spawnNames[index]} spawn (${enemy.row}, ${enemy.col}) can't reach the player spawn (${player.row}, ${player.col})`,
+                    enemy.row, enemy.col);
+            }
+        });
+
+        return {
+            valid: problems.length === 0,
+            problems,
+            asymmetricSides,
+            components: this.findComponents(),
+            unreachableTriangles,
+            exits,
+            exitCount: exits.length,
+            playerCanReachExit,
+            enemyCanReachPlayer
+        };
+    }
+
+    /**
+     * Fix the problems validate() reports, changing as few sides as possible:
+     * - Asymmetric sides take the blocking face (like maze.js fixMazeData, walls win)
+     * - Sealed-off regions are joined to the player's region by opening one side each
+     * - Extra exits are closed with mirrors (the first one is kept); with none, the
+     *   boundary side farthest from the player spawn is opened
+     * Spawns outside the grid can't be repaired here.
+     * @returns {Array<Object>} Changes made, {row, col, side, from, to}
+     */
+    repair() {
+        const changes = [];
+        const setSide = (triangle, side, state, updateNeighbor = true) => {
+            changes.push({ row: triangle.row, col: triangle.col, side, from: triangle.getSideState(side), to: state });
+            triangle.setSideState(side, state, updateNeighbor);
+        };
+
+        // 1. Symmetry
+        this.validate().asymmetricSides.forEach(({ row, col, side, state, neighborState }) => {
+            const triangle = this.getTriangle(row, col);
+            const seenFromHere = getCounterpartSideType(neighborState);
+            const keep = !isSideTypePassable(state) || isSideTypePassable(seenFromHere) ? state : seenFromHere;
+            setSide(triangle, side, keep);
+        });
+
+        // 2. Connectivity - grow the player's region one opened side at a time
+        const player = this.getSpawn('player');
+        const start = this.getTriangle(player.row, player.col);
+        if (start) {
+            let reachable = this.findReachable(start.row, start.col);
+            while (reachable.size < this.triangles.size) {
+                let opened = false;
+                for (const key of reachable.keys()) {
+                    const triangle = this.triangles.get(key);
+                    const side = SIDE_NAMES.find(name => {
+                        const neighbor = triangle.neighbors[name];
+                        return neighbor && !reachable.has(`${neighbor.row},${neighbor.col}`) &&
+                            triangle.getSideState(name) !== SideType.PORTAL;
+                    });
+                    if (side) {
+                        setSide(triangle, side, SideType.EMPTY);
+                        opened = true;
+                        break;
+                    }
+                }
+                if (!opened) break;
+                reachable = this.findReachable(start.row, start.col);
+            }
+
+            // 3. Exactly one exit
+            const exits = this.findOpenBoundarySides();
+            if (exits.length === 0) {
+                let farthest = null;
+                for (const [key, distance] of reachable) {
+                    const triangle = this.triangles.get(key);
+                    SIDE_NAMES.forEach(side => {
+                        if (!triangle.neighbors[side] && triangle.getSideState(side) !== SideType.PORTAL &&
+                            (!farthest || distance > farthest.distance)) {
+                            farthest = { triangle, side, distance };
+                        }
+                    });
+                }
+                if (farthest) {
+                    setSide(farthest.triangle, farthest.side, SideType.EMPTY, false);
+                    this.exitEdges = [{ row: farthest.triangle.row, col: farthest.triangle.col, side: farthest.side }];
+                }
+            } else {
+                const recorded = (this.exitEdges || []).find(exit =>
+                    exits.some(open => open.row === exit.row && open.col === exit.col && open.side === exit.side));
+                const keep = recorded || exits[0];
+                exits.forEach(exit => {
+                    if (exit.row !== keep.row || exit.col !== keep.col || exit.side !== keep.side) {
+                        setSide(this.getTriangle(exit.row, exit.col), exit.side, SideType.MIRROR, false);
+                    }
+                });
+                this.exitEdges = [{ row: keep.row, col: keep.col, side: keep.side }];
+            }
+        }
+
+        if (changes.length > 0) {
+            console.log(`🔧 Grid repaired with ${changes.length} side change(s)`);
+        }
+        return changes;
+    }
+
+    /**
+     * Open or close a door
+     * @param {number} row
+     * @param {number} col
+     * @param {string} side - 'left', 'right', or 'third'
+     * @param {boolean} open
+     * @returns {boolean} False if the side is not a door
+     */
+    setDoorOpen(row, col, side, open) {
+        const triangle = this.getTriangle(row, col);
+        if (!triangle || !isDoorSideType(triangle.getSideState(side))) {
+            return false;
+        }
+
+        triangle.setSideState(side, open ? SideType.DOOR_OPEN : SideType.DOOR_CLOSED);
+        return true;
+    }
+
+    /**
+     * Toggle a door between open and closed
+     * @param {number} row
+     * @param {number} col
+     * @param {string} side - 'left', 'right', or 'third'
+     * @returns {string|null} The new side state, or null if the side is not a door
+     */
+    toggleDoor(row, col, side) {
+        const triangle = this.getTriangle(row, col);
+        if (!triangle) return null;
+
+        const open = triangle.getSideState(side) === SideType.DOOR_CLOSED;
+        return this.setDoorOpen(row, col, side, open) ? triangle.getSideState(side) : null;
+    }
+
     /**
      * Convert the grid to maze.js bitmask format
-     * Returns a 2D array where each cell is a bitmask of walls:
-     * Bit 0 (1): third edge has mirror
-     * Bit 1 (2): right edge has mirror
-     * Bit 2 (4): left edge has mirror
+     * Returns a 2D array where each cell is a bitmask of sides that block movement:
+     * Bit 0 (1): third edge is blocking
+     * Bit 1 (2): right edge is blocking
+     * Bit 2 (4): left edge is blocking
+     * The array is rectangular (getColCount wide); masked and missing cells are solid (7).
      * @returns {Array<Array<number>>} 2D array of wall bitmasks
      */
     toMazeBitmask() {
@@ -399,33 +1298,24 @@ class TriangularGrid {
         
         console.log('🔄 Converting TriangularGrid to maze bitmask format...');
         
+        const colCount = this.getColCount();
         for (let row = 0; row < this.rows.length; row++) {
             const rowBitmasks = [];
             
-            for (let col = 0; col < this.rows[row].length; col++) {
+            for (let col = 0; col < colCount; col++) {
                 const triangle = this.getTriangle(row, col);
+                if (!triangle) {
+                    rowBitmasks.push(SOLID_CELL_BITMASK);
+                    continue;
+                }
                 let bitmask = 0;
                 
-                // Map grid sides to maze.js edge bits
-                // Grid format: left|right|third sides with 'empty' or 'mirror'
-                // Maze format (as used by the raycast shader):
-                //   edge 0 = "third" side
-                //   edge 1 = right side
-                //   edge 2 = left side
-                // So we map:
-                //   third -> bit 0 (1)
-                //   right -> bit 1 (2)
-                //   left  -> bit 2 (4)
-                
-                if (triangle.getSideState('third') === SideType.MIRROR) {
-                    bitmask |= 1;  // Bit 0
-                }
-                if (triangle.getSideState('left') === SideType.MIRROR) {
-                    bitmask |= 4;  // Bit 2
-                }
-                if (triangle.getSideState('right') === SideType.MIRROR) {
-                    bitmask |= 2;  // Bit 1
-                }
+                // Map grid sides to the shader's edge bits (third -> 1, right -> 2, left -> 4)
+                SIDE_NAMES.forEach(side => {
+                    if (!triangle.isSidePassable(side)) {
+                        bitmask |= sideToBit(side);
+                    }
+                });
                 
                 rowBitmasks.push(bitmask);
             }
@@ -442,125 +1332,253 @@ class TriangularGrid {
         return bitmaskData;
     }
 
+    /**
+     * Convert the grid to the per-edge side codes read by the raycast shader.
+     * Each cell packs one 4-bit code per shader edge (see side_types.js):
+     * code(third) | code(right) << 4 | code(left) << 8
+     * Like toMazeBitmask the array is rectangular, with masked and missing cells walled in.
+     * @returns {Array<Array<number>>} 2D array of packed edge codes
+     */
+    toMazeEdgeCodes() {
+        const colCount = this.getColCount();
+        return this.rows.map((rowTriangles, row) => Array.from({ length: colCount }, (_, col) => this.getMazeEdgeCode(row, col)));
+    }
+
+    /**
+     * Convert the grid's triangle metadata to the values of the maze texture's B and A
+     * channels (see triangle_meta.js). Rectangular like toMazeEdgeCodes; masked and missing
+     * cells get the defaults.
+     * @returns {Array<Array<Object>>} 2D array of {b, a}
+     */
+    toMazeMetaCodes() {
+        const colCount = this.getColCount();
+        return this.rows.map((rowTriangles, row) => Array.from({ length: colCount }, (_, col) => this.getMazeMetaCode(row, col)));
+    }
+
+    /**
+     * Convert the grid's edge attributes to the texels of the shader's edge texture
+     * (see edge_attributes.js). Rectangular like toMazeEdgeCodes; masked and missing
+     * cells get the defaults.
+     * @returns {Array<Array<Array<Array<number>>>>} 2D array of three [r, g, b, a] texels per
+     *                                              cell, in shader edge order
+     */
+    toMazeEdgeAttributeCodes() {
+        const colCount = this.getColCount();
+        return this.rows.map((rowTriangles, row) => Array.from({ length: colCount }, (_, col) => this.getMazeEdgeAttributeCode(row, col)));
+    }
+
+    /**
+     * Get the packed edge attributes of one cell (see toMazeEdgeAttributeCodes)
+     * @param {number} row
+     * @param {number} col
+     * @returns {Array<Array<number>>} Three [r, g, b, a] texels: third, right, left
+     */
+    getMazeEdgeAttributeCode(row, col) {
+        const triangle = this.getTriangle(row, col);
+        return EDGE_SIDES.map(side => packEdgeAttributes(triangle?.edgeAttributes[side] ?? DEFAULT_EDGE_ATTRIBUTES));
+    }
+
+    /**
+     * Get the packed metadata of one cell (see toMazeMetaCodes)
+     * @param {number} row
+     * @param {number} col
+     * @returns {Object} {b, a}
+     */
+    getMazeMetaCode(row, col) {
+        return packTriangleMeta(this.getTriangle(row, col)?.meta ?? DEFAULT_TRIANGLE_META);
+    }
+
+    /**
+     * Get the packed edge codes of one cell (see toMazeEdgeCodes)
+     * @param {number} row
+     * @param {number} col
+     * @returns {number}
+     */
+    getMazeEdgeCode(row, col) {
+        const triangle = this.getTriangle(row, col);
+        const sideStates = triangle
+            ? EDGE_SIDES.map(side => triangle.getSideState(side))
+            : EDGE_SIDES.map(() => SideType.WALL);
+        return packEdgeCodes(sideStates.map(sideTypeToCode));
+    }
+
     /**
      * Generate a random connected grid with exactly one boundary exit
      * and an approximate mirror density.
      *
-     * Guarantees:
+     * Guarantees (for every algorithm):
      * - All triangles are mutually reachable (no unreachable areas)
-     * - Exactly one boundary edge is open (the exit)
+     * - Exactly one boundary edge is open (the exit), placed with spawn_placement.js
+     *   along with the player and enemy spawns
      * - Mirror density is clamped to the feasible range given the above constraints
+     *   (braid mazes open extra edges, which lowers the maximum density)
+     * - The same seed and options always produce the same maze
      *
      * @param {number} numRows
      * @param {number} trianglesPerRow
      * @param {number} mirrorDensity - desired fraction of edges that are mirrors (0..1)
      * @param {number|string|null} rngSeed - optional seed for deterministic generation
+     * @param {Object} options
+     * @param {string} options.algorithm - MazeAlgorithm value (see maze_generators.js), default DFS
+     * @param {number} options.minExitDistance - Minimum turns from the player spawn to the exit
+     * @param {number} options.targetExitDistance - Aim for this many turns to the exit instead
+     * @param {number} options.minEnemyDistance - Minimum turns from the player spawn to the enemy spawns
+     * @param {number} options.enemies - Number of enemies to spawn (default 1)
+     * @param {number} options.minEnemySpacing - Minimum triangle steps between two enemy spawns (default 0)
+     * @param {Object} options.playerSpawn - Fixed player {row, col, orientation} (default: random)
+     * @param {string} options.symmetry - MazeSymmetry value (see maze_symmetry.js), default none.
+     *                                    Symmetric mazes use the kruskal algorithm; the exit and spawns
+     *                                    are the only things not mirrored.
+     * @param {string|Array|Function} options.mask - Which cells exist (GridShape, bitmap or predicate,
+     *                                            see grid_masks.js); must leave one connected area
+     * @param {number} options.ringInnerRatio - Hole size for the ring shape (0..1, default 0.5)
+     * @param {Object} options.rooms - Rooms algorithm settings {count, minSize, maxSize, shapes}
+     *                                 (sizes are side lengths in triangles, shapes are RoomShape values)
+     * @param {string} options.wrap - GridWrap value (see grid_topology.js), default none. The exit
+     *                                needs a boundary, so a torus only works with a mask.
+     * @param {number} options.portals - Number of portal pairs to put on closed edges (default 0)
+     *
+     * Rooms get their own region and floor material (triangle metadata, see triangle_meta.js).
+     * @returns {Object} {exit, spawns} as chosen by placeSpawnsAndExit (also stored on the grid)
      */
-    generateRandomGrid(numRows, trianglesPerRow, mirrorDensity = 0.65, rngSeed = null) {
+    generateRandomGrid(numRows, trianglesPerRow, mirrorDensity = 0.65, rngSeed = null, options = {}) {
+        const symmetry = options.symmetry ?? MazeSymmetry.NONE;
+        const isSymmetric = symmetry !== MazeSymmetry.NONE;
+        const algorithm = options.algorithm ?? (isSymmetric ? MazeAlgorithm.KRUSKAL : MazeAlgorithm.DFS);
+        const carve = getMazeGenerator(algorithm);
+        if (!carve) {
+            throw new Error(`Unknown maze algorithm "${algorithm}". Expected one of ${Object.values(MazeAlgorithm).join(', ')}`);
+        }
+        if (isSymmetric && algorithm !== MazeAlgorithm.KRUSKAL) {
+            throw new Error(`Symmetric mazes are carved with ${MazeAlgorithm.KRUSKAL}, not "${algorithm}"`);
+        }
+        const enemyCount = options.enemies ?? 1;
+        if (!Number.isInteger(enemyCount) || enemyCount < 1) {
+            throw new Error(`The number of enemies must be a positive integer (got ${enemyCount})`);
+        }
+        const symmetryTransforms = getSymmetryTransforms(symmetry, numRows, trianglesPerRow, options.mask ?? null);
+
         // Build grid topology first
-        this.initialize(numRows, trianglesPerRow);
+        this.initialize(numRows, trianglesPerRow, options.mask ?? null, { ringInnerRatio: options.ringInnerRatio, wrap: options.wrap });
 
-        const trianglesCount = numRows * trianglesPerRow;
-        const sideNames = ['left', 'right', 'third'];
+        const trianglesCount = this.triangles.size;
+        if (trianglesCount === 0) {
+            throw new Error('The grid mask leaves no triangles');
+        }
+        const areas = this.findComponents().length;
+        if (areas > 1) {
+            throw new Error(`The grid mask leaves ${areas} separate areas; a maze needs one connected area`);
+        }
+        const sideNames = SIDE_NAMES;
 
         // Seeded RNG (Mulberry32). Falls back to Math.random when no seed provided.
-        const rng = (() => {
-            if (rngSeed === null || rngSeed === undefined) return Math.random;
-
-            let seedNum;
-            if (typeof rngSeed === 'number') {
-                seedNum = (rngSeed >>> 0);
-            } else {
-                const s = String(rngSeed);
-                let h = 2166136261 >>> 0; // FNV-1a like hash
-                for (let i = 0; i < s.length; i++) {
-                    h ^= s.charCodeAt(i);
-                    h = Math.imul(h, 16777619);
-                }
-                seedNum = h >>> 0;
-            }
-            function mulberry32(a) {
-                return function() {
-                    let t = a += 0x6D2B79F5;
-                    t = Math.imul(t ^ (t >>> 15), t | 1);
-                    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
-                    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
-                };
-            }
-            return mulberry32(seedNum);
-        })();
-
-        const pickRandom = (arr) => arr[Math.floor(rng() * arr.length)];
-        const shuffle = (arr) => {
-            for (let i = arr.length - 1; i > 0; i--) {
-                const j = Math.floor(rng() * (i + 1));
-                const tmp = arr[i];
-                arr[i] = arr[j];
-                arr[j] = tmp;
-            }
-            return arr;
-        };
+        const rng = createRng(rngSeed);
 
         // Start with all sides set to MIRROR
-        for (let r = 0; r < numRows; r++) {
-            for (let c = 0; c < trianglesPerRow; c++) {
-                const t = this.getTriangle(r, c);
-                t.setAllSides({
-                    left: SideType.MIRROR,
-                    right: SideType.MIRROR,
-                    third: SideType.MIRROR
-                }, true);
-            }
+        for (const t of this.triangles.values()) {
+            t.setAllSides({
+                left: SideType.MIRROR,
+                right: SideType.MIRROR,
+                third: SideType.MIRROR
+            }, true);
         }
 
-        // Collect unique edges and a map for quick lookup by triangle pair
+        // Collect unique edges, and each triangle's internal edges for the generators
         const internalEdges = [];
         const boundaryEdges = [];
-        const edgeByPair = new Map(); // key: "r1,c1|r2,c2" (both orders) -> edge
+        const edgesByTriangle = new Map(); // key: "r,c" -> [{edge, neighbor}] in SIDE_NAMES order
 
-        for (let row = 0; row < numRows; row++) {
-            for (let col = 0; col < trianglesPerRow; col++) {
-                const tri = this.getTriangle(row, col);
-                const triKey = `${row},${col}`;
+        for (const tri of this.triangles.values()) {
+            const triKey = `${tri.row},${tri.col}`;
+            edgesByTriangle.set(triKey, []);
 
-                sideNames.forEach(side => {
-                    const neighbor = tri.neighbors[side];
-                    if (neighbor) {
-                        const neighborKey = `${neighbor.row},${neighbor.col}`;
-                        const neighborSide = tri.getNeighborCorrespondingSide(side);
-                        // Canonicalize so each internal edge appears once
-                        if (triKey < neighborKey) {
-                            const edge = {
-                                a: tri,
-                                aSide: side,
-                                b: neighbor,
-                                bSide: neighborSide,
-                                isBoundary: false
-                            };
-                            internalEdges.push(edge);
-                            edgeByPair.set(`${triKey}|${neighborKey}`, edge);
-                            edgeByPair.set(`${neighborKey}|${triKey}`, edge);
-                        }
-                    } else {
-                        boundaryEdges.push({
+            sideNames.forEach(side => {
+                const neighbor = tri.neighbors[side];
+                if (neighbor) {
+                    const neighborKey = `${neighbor.row},${neighbor.col}`;
+                    const neighborSide = tri.getNeighborCorrespondingSide(side);
+                    // Canonicalize so each internal edge appears once
+                    if (triKey < neighborKey) {
+                        const edge = {
                             a: tri,
                             aSide: side,
-                            isBoundary: true
-                        });
+                            b: neighbor,
+                            bSide: neighborSide,
+                            isBoundary: false
+                        };
+                        internalEdges.push(edge);
                     }
-                });
+                } else {
+                    boundaryEdges.push({
+                        a: tri,
+                        aSide: side,
+                        isBoundary: true
+                    });
+                }
+            });
+        }
+        internalEdges.forEach(edge => {
+            edgesByTriangle.get(`${edge.a.row},${edge.a.col}`).push({ edge, neighbor: edge.b, side: edge.aSide });
+            edgesByTriangle.get(`${edge.b.row},${edge.b.col}`).push({ edge, neighbor: edge.a, side: edge.bSide });
+        });
+        edgesByTriangle.forEach(entries => entries.sort((x, y) => sideNames.indexOf(x.side) - sideNames.indexOf(y.side)));
+        if (boundaryEdges.length === 0) {
+            throw new Error(`A grid that wraps ${this.wrap} has no boundary for the exit; mask some cells out or wrap one axis only`);
+        }
+
+        // Helpers to open an edge (updates both triangles for internal edges)
+        const openEdge = (edge) => {
+            edge.a.setSideState(edge.aSide, SideType.EMPTY, true);
+        };
+        const isEdgeOpen = (edge) => edge.a.getSideState(edge.aSide) === SideType.EMPTY;
+        const orbitOf = buildEdgeOrbits(internalEdges, symmetryTransforms);
+
+        // Start carving from the center, or the existing triangle closest to it
+        const centerRow = Math.floor(numRows / 2);
+        const centerCol = Math.floor(trianglesPerRow / 2);
+        let start = this.getTriangle(centerRow, centerCol);
+        if (!start) {
+            for (const tri of this.triangles.values()) {
+                if (!start || getTriangleDistance(tri.row, tri.col, centerRow, centerCol) < getTriangleDistance(start.row, start.col, centerRow, centerCol)) {
+                    start = tri;
+                }
             }
         }
 
+        // Carve a spanning tree (ensures connectivity, no unreachable areas)
+        const carved = carve({
+            cells: Array.from(this.triangles.values()),
+            edges: internalEdges,
+            start,
+            rng,
+            edgesOf: (triangle) => edgesByTriangle.get(`${triangle.row},${triangle.col}`),
+            isOpen: isEdgeOpen,
+            open: openEdge,
+            getCell: (row, col) => this.getTriangle(row, col),
+            orbitOf,
+            options
+        }) || {};
+
+        this.rooms = carved.rooms || [];
+        this.rooms.forEach(room => {
+            room.triangles.forEach(({ row, col }) => {
+                const triangle = this.getTriangle(row, col);
+                triangle.roomId = room.id;
+                // Each room is its own region, with its own floor
+                triangle.setMeta({ region: room.id + 1, material: ROOM_MATERIALS[room.id % ROOM_MATERIALS.length] });
+            });
+        });
+
+        // Feasible density range, counted from what the generator actually opened
         const totalEdges = internalEdges.length + boundaryEdges.length;
-        const minOpenEdges = trianglesCount;              // (N-1) internal for connectivity + 1 boundary exit
+        const minOpenEdges = internalEdges.filter(isEdgeOpen).length + 1; // carved edges + the exit (opened below)
         const maxOpenEdges = internalEdges.length + 1;    // all internal open + exactly one boundary exit
         const maxDensity = (totalEdges - minOpenEdges) / totalEdges;
         const minDensity = (totalEdges - maxOpenEdges) / totalEdges;
 
         let desiredDensity = Number.isFinite(mirrorDensity) ? Math.max(0, Math.min(1, mirrorDensity)) : 0.65;
         if (desiredDensity > maxDensity) {
-            console.warn(`[TriangularGrid] mirrorDensity ${desiredDensity.toFixed(3)} > max feasible ${maxDensity.toFixed(3)}; clamping.`);
+            console.warn(`[TriangularGrid] mirrorDensity ${desiredDensity.toFixed(3)} > max feasible ${maxDensity.toFixed(3)} (${algorithm}); clamping.`);
             desiredDensity = maxDensity;
         }
         if (desiredDensity < minDensity) {
@@ -568,73 +1586,70 @@ class TriangularGrid {
             desiredDensity = minDensity;
         }
 
-        // Helper to open an edge (updates both triangles for internal edges)
-        const openEdge = (edge) => {
-            edge.a.setSideState(edge.aSide, SideType.EMPTY, true);
-        };
-
-        // Randomized DFS to carve a spanning tree (ensures connectivity, no unreachable areas)
-        const startRow = Math.floor(numRows / 2);
-        const startCol = Math.floor(trianglesPerRow / 2);
-        const start = this.getTriangle(startRow, startCol);
-        const visited = new Set([`${start.row},${start.col}`]);
-        const stack = [start];
-
-        while (stack.length > 0) {
-            const current = stack[stack.length - 1];
-            const curKey = `${current.row},${current.col}`;
+        // Adjust to target density by opening additional INTERNAL edges only (preserve single exit)
+        const targetOpenEdges = Math.round(totalEdges * (1 - desiredDensity));
+        let currentOpenEdges = minOpenEdges; // after carving + single exit
 
-            const candidates = [];
-            sideNames.forEach(side => {
-                const nb = current.neighbors[side];
-                if (!nb) return;
-                const nbKey = `${nb.row},${nb.col}`;
-                if (!visited.has(nbKey)) {
-                    const e = edgeByPair.get(`${curKey}|${nbKey}`);
-                    if (e) candidates.push({ nb, edge: e });
-                }
+        // (whole symmetry orbits at a time, so symmetric mazes can overshoot by an edge or two)
+        if (targetOpenEdges > currentOpenEdges) {
+            const seen = new Set();
+            const closedOrbits = [];
+            internalEdges.forEach(e => {
+                if (seen.has(e) || isEdgeOpen(e)) return;
+                const orbit = orbitOf(e);
+                orbit.forEach(member => seen.add(member));
+                closedOrbits.push(orbit);
             });
-
-            if (candidates.length === 0) {
-                stack.pop();
-                continue;
+            shuffle(closedOrbits, rng);
+            for (let i = 0; i < closedOrbits.length && currentOpenEdges < targetOpenEdges; i++) {
+                closedOrbits[i].forEach(openEdge);
+                currentOpenEdges += closedOrbits[i].length;
             }
-
-            const choice = pickRandom(candidates);
-            openEdge(choice.edge);
-            visited.add(`${choice.nb.row},${choice.nb.col}`);
-            stack.push(choice.nb);
         }
 
-        // Exactly one boundary exit
-        const exitEdge = pickRandom(boundaryEdges);
-        exitEdge.a.setSideState(exitEdge.aSide, SideType.EMPTY, false);
-
-        // Adjust to target density by opening additional INTERNAL edges only (preserve single exit)
-        const targetOpenEdges = Math.round(totalEdges * (1 - desiredDensity));
-        let currentOpenEdges = minOpenEdges; // after spanning tree + single exit
-
-        if (targetOpenEdges > currentOpenEdges) {
-            const closedInternal = internalEdges.filter(e => e.a.getSideState(e.aSide) === SideType.MIRROR);
-            shuffle(closedInternal);
-            const toOpen = Math.min(targetOpenEdges - currentOpenEdges, closedInternal.length);
-            for (let i = 0; i < toOpen; i++) {
-                openEdge(closedInternal[i]);
+        // Portals on random closed internal edges, paired up (only ever adds ways through)
+        const portalPairs = options.portals ?? 0;
+        if (portalPairs > 0) {
+            const closedEdges = shuffle(internalEdges.filter(e => !isEdgeOpen(e)), rng);
+            const pairCount = Math.min(portalPairs, Math.floor(closedEdges.length / 2));
+            for (let i = 0; i < pairCount; i++) {
+                const [a, b] = [closedEdges[2 * i], closedEdges[2 * i + 1]];
+                this.addPortal({ row: a.a.row, col: a.a.col, side: a.aSide }, { row: b.a.row, col: b.a.col, side: b.aSide });
             }
-            currentOpenEdges += toOpen;
         }
 
+        // Exactly one boundary exit, away from the player, with the enemies off the escape route
+        const placement = placeSpawnsAndExit(this, rng, options);
+
+        this.generationParams = {
+            numRows,
+            trianglesPerRow,
+            mirrorDensity,
+            seed: rngSeed,
+            algorithm,
+            ...(typeof options.mask === 'string' ? { mask: options.mask } : {}),
+            ...(isSymmetric ? { symmetry } : {}),
+            ...(this.wrap !== GridWrap.NONE ? { wrap: this.wrap } : {}),
+            ...(portalPairs > 0 ? { portals: portalPairs } : {}),
+            ...(enemyCount > 1 ? { enemies: enemyCount } : {})
+        };
+
         console.log('🧩 Random grid generated', {
+            algorithm,
+            symmetry,
             rows: numRows,
             cols: trianglesPerRow,
             triangles: trianglesCount,
             totalEdges,
             internalEdges: internalEdges.length,
             boundaryEdges: boundaryEdges.length,
-            mirrorDensity: desiredDensity
+            mirrorDensity: desiredDensity,
+            rooms: this.rooms.length
         });
+
+        return placement;
     }
 }
 
 // Export for ES6 modules
-export { Triangle, TriangularGrid, SideType };
\ No newline at end of file
+export { Triangle, TriangularGrid, SideType, GridProblemType, GridEvent, MazeAlgorithm, MazeSymmetry, RoomShape, GridWrap };
\ No newline at end of file
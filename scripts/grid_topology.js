@@ -0,0 +1,104 @@
+// Grid Topology
+// How the edges of the grid join up. A wrapped grid is a cylinder or a torus:
+// stepping off one side comes back in on the opposite side.
+//
+// - horizontal: the left and right columns are neighbors (needs an even number of triangles per row)
+// - vertical: the top and bottom rows are neighbors (needs an even number of rows)
+// - both: a torus
+//
+// Triangle orientation alternates along rows and columns, so an axis can only
+// wrap when its length is even - otherwise two triangles pointing the same way
+// would have to share a side.
+
+import { getTriangleDistance } from './triangle_coords.js';
+
+/**
+ * Enum for grid wraparound
+ */
+const GridWrap = Object.freeze({
+    NONE: 'none',
+    HORIZONTAL: 'horizontal',
+    VERTICAL: 'vertical',
+    BOTH: 'both'
+});
+
+/**
+ * Get the axes a wrap mode joins
+ * @param {string} wrap - GridWrap value (null/undefined = none)
+ * @returns {Object} {x, y} - x: columns wrap around, y: rows wrap around
+ * @throws {Error} For an unknown wrap mode
+ */
+function getWrapAxes(wrap) {
+    if (wrap === null || wrap === undefined || wrap === GridWrap.NONE) {
+        return { x: false, y: false };
+    }
+    if (!Object.values(GridWrap).includes(wrap)) {
+        throw new Error(`Unknown grid wrap "${wrap}". Expected one of ${Object.values(GridWrap).join(', ')}`);
+    }
+    return {
+        x: wrap === GridWrap.HORIZONTAL || wrap === GridWrap.BOTH,
+        y: wrap === GridWrap.VERTICAL || wrap === GridWrap.BOTH
+    };
+}
+
+/**
+ * Check that a grid of the given size can wrap
+ * @param {string} wrap - GridWrap value
+ * @param {number} numRows
+ * @param {number} trianglesPerRow
+ * @returns {Object} {x, y} (see getWrapAxes)
+ * @throws {Error} For an unknown wrap mode or an odd length along a wrapped axis
+ */
+function checkWrap(wrap, numRows, trianglesPerRow) {
+    const axes = getWrapAxes(wrap);
+    if (axes.x && trianglesPerRow % 2 !== 0) {
+        throw new Error(`Horizontal wraparound needs an even number of triangles per row (got ${trianglesPerRow})`);
+    }
+    if (axes.y && numRows % 2 !== 0) {
+        throw new Error(`Vertical wraparound needs an even number of rows (got ${numRows})`);
+    }
+    return axes;
+}
+
+/**
+ * Bring coordinates outside the grid back in along the wrapped axes
+ * @param {number} row
+ * @param {number} col
+ * @param {number} numRows
+ * @param {number} trianglesPerRow
+ * @param {Object} axes - {x, y} from getWrapAxes
+ * @returns {Object} {row, col} (still outside the grid along axes that don't wrap)
+ */
+function wrapCoords(row, col, numRows, trianglesPerRow, axes) {
+    return {
+        row: axes.y ? ((row % numRows) + numRows) % numRows : row,
+        col: axes.x ? ((col % trianglesPerRow) + trianglesPerRow) % trianglesPerRow : col
+    };
+}
+
+/**
+ * Exact number of steps between two triangles of a wrapped grid, ignoring walls:
+ * the shortest distance to any copy of the second triangle.
+ * @param {number} row1
+ * @param {number} col1
+ * @param {number} row2
+ * @param {number} col2
+ * @param {number} numRows
+ * @param {number} trianglesPerRow
+ * @param {Object} axes - {x, y} from getWrapAxes
+ * @returns {number}
+ */
+function getWrappedTriangleDistance(row1, col1, row2, col2, numRows, trianglesPerRow, axes) {
+    const rowShifts = axes.y ? [-numRows, 0, numRows] : [0];
+    const colShifts = axes.x ? [-trianglesPerRow, 0, trianglesPerRow] : [0];
+
+    let best = Infinity;
+    rowShifts.forEach(rowShift => {
+        colShifts.forEach(colShift => {
+            best = Math.min(best, getTriangleDistance(row1, col1, row2 + rowShift, col2 + colShift));
+        });
+    });
+    return best;
+}
+
+export { GridWrap, getWrapAxes, checkWrap, wrapCoords, getWrappedTriangleDistance };
@@ -0,0 +1,421 @@
+// Level Format
+// Versioned JSON level files: the grid plus spawns, exits, generator parameters and metadata.
+//
+// Version 1:
+// {
+//     "version": 1,
+//     "name": "Hall of Mirrors",
+//     "author": "someone",                        // optional
+//     "grid": {
+//         "map": ["m|e|m e|m|e", "e|m|e m|e|m"],  // one L|R|T row string per grid row ('.' = no cell)
+//         "wrap": "horizontal"                     // optional wraparound, see grid_topology.js
+//     },
+//     "spawns": {                                  // optional, each entry optional
+//         "player": { "row": 0, "col": 0, "orientation": "left" },
+//         "enemy": { "row": 1, "col": 1, "orientation": "right" }
+//     },                                           // (or "enemies": [{...}, ...] for several enemies)
+//     "exits": [{ "row": 0, "col": 1, "side": "third" }], // optional, open boundary sides
+//     "portals": [[{ "row": 0, "col": 0, "side": "left" },  // optional, pairs of 'p' sides
+//                  { "row": 1, "col": 1, "side": "right" }]],
+//     "meta": [{ "row": 0, "col": 1, "material": "wood",  // optional, triangle metadata that isn't the
+//                "region": 2, "light": 0.5, "decal": "blood" }], // default (see triangle_meta.js)
+//     "edges": [{ "row": 0, "col": 0, "side": "right",  // optional, edge attributes that aren't the
+//                 "tint": "#88ccff", "frost": 0.3, "symbol": "circle" }], // default (see edge_attributes.js)
+//     "enemy": {                                   // optional, enemy AI settings that aren't the
+//         "perception": { "sightRange": 6 },       // default (see enemy_tuning.js)
+//         "patrol": { "route": [{ "row": 0, "col": 0 }, { "row": 1, "col": 1 }] },
+//         "chase": { "memory": 5, "speed": 1.2 }
+//     },
+//     "generator": {                               // optional, how the grid was generated
+//         "numRows": 2, "trianglesPerRow": 2, "mirrorDensity": 0.65, "seed": 42,
+//         "algorithm": "dfs",                      // optional, see maze_generators.js
+//         "symmetry": "left_right",                // optional, see maze_symmetry.js
+//         "mask": "hexagon",                       // optional grid shape, see grid_masks.js
+//         "wrap": "horizontal",                    // optional, as in grid.wrap
+//         "portals": 2,                            // optional, number of portal pairs placed
+//         "enemies": 3                             // optional, number of enemies placed (default 1)
+//     }
+// }
+
+import { SIDE_NAMES, getNeighborCoords, getCorrespondingSide } from './triangle_coords.js';
+import { SideType, charToSideType, isSideTypePassable } from './side_types.js';
+import { MazeAlgorithm } from './maze_generators.js';
+import { MazeSymmetry } from './maze_symmetry.js';
+import { GridShape, MASKED_CELL_CHAR } from './grid_masks.js';
+import { GridWrap, checkWrap, wrapCoords } from './grid_topology.js';
+import { checkTriangleMeta } from './triangle_meta.js';
+import { checkEdgeAttributes } from './edge_attributes.js';
+import { checkEnemyTuning } from './enemy_tuning.js';
+
+const LEVEL_FORMAT_VERSION = 1;
+
+const SPAWN_NAMES = Object.freeze(['player', 'enemy', 'enemies']);
+
+/**
+ * Thrown when level data does not match the format.
+ * `errors` lists every problem found, each prefixed with the path of the offending field.
+ */
+class LevelValidationError extends Error {
+    constructor(errors) {
+        super(`Invalid level (${errors.length} problem${errors.length === 1 ? '' : 's'}):\n  - ${errors.join('\n  - ')}`);
+        this.name = 'LevelValidationError';
+        this.errors = errors;
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function describe(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'an array';
+    if (typeof value === 'string') return `"${value}"`;
+    return typeof value === 'object' ? 'an object' : String(value);
+}
+
+// Widest row, masked cells included (as TriangularGrid.getColCount)
+function getColCount(rows) {
+    return Math.max(...rows.map(row => row.length));
+}
+
+/**
+ * Parse the grid rows into side types, reporting malformed triangles
+ * @returns {Array<Array<Array<string>|null>>} rows -> triangles -> [left, right, third] side types
+ *                                             (null for masked cells)
+ */
+function parseMapRows(map, errors) {
+    return map.map((line, row) => {
+        if (typeof line !== 'string' || line.trim() === '') {
+            errors.push(`grid.map[${row}]: expected a non-empty row string, got ${describe(line)}`);
+            return [];
+        }
+
+        return line.trim().split(/\s+/).map((def, col) => {
+            if (def === MASKED_CELL_CHAR) return null;
+
+            const chars = def.split('|');
+            if (chars.length !== 3) {
+                errors.push(`grid.map[${row}], col ${col}: "${def}" is not in L|R|T format`);
+                return null;
+            }
+
+            const sides = chars.map(char => charToSideType(char));
+            sides.forEach((sideType, index) => {
+                if (!sideType) {
+                    errors.push(`grid.map[${row}], col ${col}: unknown ${SIDE_NAMES[index]} side "${chars[index]}" (expected one of e, m, w, d, o, g, r, v, p)`);
+                }
+            });
+            return sides;
+        });
+    });
+}
+
+// directionKey: the side or orientation field the position must have (null for a bare triangle)
+function validatePosition(value, path, rows, directionKey, errors) {
+    if (!isPlainObject(value)) {
+        const fields = directionKey ? `row, col and ${directionKey}` : 'row and col';
+        errors.push(`${path}: expected an object with ${fields}, got ${describe(value)}`);
+        return false;
+    }
+
+    let valid = true;
+    ['row', 'col'].forEach(key => {
+        if (!Number.isInteger(value[key])) {
+            errors.push(`${path}.${key}: expected an integer, got ${describe(value[key])}`);
+            valid = false;
+        }
+    });
+    if (directionKey && !SIDE_NAMES.includes(value[directionKey])) {
+        errors.push(`${path}.${directionKey}: expected one of ${SIDE_NAMES.join(', ')}, got ${describe(value[directionKey])}`);
+        valid = false;
+    }
+    if (!valid) return false;
+
+    if (value.row < 0 || value.row >= rows.length || value.col < 0 || value.col >= rows[value.row].length) {
+        errors.push(`${path}: (${value.row}, ${value.col}) is outside the grid`);
+        return false;
+    }
+    if (!rows[value.row][value.col]) {
+        errors.push(`${path}: (${value.row}, ${value.col}) is a masked cell`);
+        return false;
+    }
+    return true;
+}
+
+/**
+ * Check level data against the format
+ * @param {Object} data - Parsed level JSON
+ * @returns {Array<string>} Readable problems (empty if the level is valid)
+ */
+function validateLevel(data) {
+    const errors = [];
+
+    if (!isPlainObject(data)) {
+        return [`level: expected an object, got ${describe(data)}`];
+    }
+
+    if (data.version !== LEVEL_FORMAT_VERSION) {
+        errors.push(`version: expected ${LEVEL_FORMAT_VERSION}, got ${describe(data.version)}`);
+    }
+    if (typeof data.name !== 'string' || data.name.trim() === '') {
+        errors.push(`name: expected a non-empty string, got ${describe(data.name)}`);
+    }
+    if (data.author !== undefined && typeof data.author !== 'string') {
+        errors.push(`author: expected a string, got ${describe(data.author)}`);
+    }
+
+    // Grid
+    let rows = null;
+    if (!isPlainObject(data.grid)) {
+        errors.push(`grid: expected an object with a map, got ${describe(data.grid)}`);
+    } else if (!Array.isArray(data.grid.map) || data.grid.map.length === 0) {
+        errors.push(`grid.map: expected a non-empty array of row strings, got ${describe(data.grid.map)}`);
+    } else {
+        const errorCount = errors.length;
+        rows = parseMapRows(data.grid.map, errors);
+        if (errors.length > errorCount) rows = null; // Positions can't be checked against a broken grid
+    }
+
+    let wrapAxes = { x: false, y: false };
+    const wrap = data.grid?.wrap;
+    if (wrap !== undefined && wrap !== null) {
+        if (!Object.values(GridWrap).includes(wrap)) {
+            errors.push(`grid.wrap: expected one of ${Object.values(GridWrap).join(', ')}, got ${describe(wrap)}`);
+        } else if (rows) {
+            try {
+                wrapAxes = checkWrap(wrap, rows.length, getColCount(rows));
+            } catch (error) {
+                errors.push(`grid.wrap: ${error.message}`);
+            }
+        }
+    }
+
+    // Spawns
+    if (data.spawns !== undefined && data.spawns !== null) {
+        if (!isPlainObject(data.spawns)) {
+            errors.push(`spawns: expected an object, got ${describe(data.spawns)}`);
+        } else {
+            Object.keys(data.spawns).forEach(name => {
+                if (!SPAWN_NAMES.includes(name)) {
+                    errors.push(`spawns.${name}: unknown spawn (expected ${SPAWN_NAMES.join(', ')})`);
+                } else if (name === 'enemies') {
+                    const enemies = data.spawns.enemies;
+                    if (!Array.isArray(enemies) || enemies.length === 0) {
+                        errors.push(`spawns.enemies: expected a non-empty array, got ${Array.isArray(enemies) ? 'an empty one' : describe(enemies)}`);
+                    } else if (rows) {
+                        enemies.forEach((spawn, index) => validatePosition(spawn, `spawns.enemies[${index}]`, rows, 'orientation', errors));
+                    }
+                } else if (rows) {
+                    validatePosition(data.spawns[name], `spawns.${name}`, rows, 'orientation', errors);
+                }
+            });
+            if (data.spawns.enemy !== undefined && data.spawns.enemies !== undefined) {
+                errors.push('spawns: expected either enemy or enemies, not both');
+            }
+        }
+    }
+
+    // Exits
+    if (data.exits !== undefined && data.exits !== null) {
+        if (!Array.isArray(data.exits)) {
+            errors.push(`exits: expected an array, got ${describe(data.exits)}`);
+        } else if (rows) {
+            data.exits.forEach((exit, index) => {
+                const path = `exits[${index}]`;
+                if (!validatePosition(exit, path, rows, 'side', errors)) return;
+
+                const { row, col } = getNeighborCoords(exit.row, exit.col, exit.side);
+                const neighbor = wrapCoords(row, col, rows.length, getColCount(rows), wrapAxes);
+                if (rows[neighbor.row]?.[neighbor.col]) {
+                    errors.push(`${path}: the ${exit.side} side of (${exit.row}, ${exit.col}) is not on the grid boundary`);
+                    return;
+                }
+                const sideType = rows[exit.row][exit.col][SIDE_NAMES.indexOf(exit.side)];
+                if (!isSideTypePassable(sideType)) {
+                    errors.push(`${path}: the ${exit.side} side of (${exit.row}, ${exit.col}) is ${sideType}, exits must be passable`);
+                }
+            });
+        }
+    }
+
+    // Portals
+    if (data.portals !== undefined && data.portals !== null) {
+        if (!Array.isArray(data.portals)) {
+            errors.push(`portals: expected an array of side pairs, got ${describe(data.portals)}`);
+        } else if (rows) {
+            const paired = new Set(); // Both faces of every edge already in a pair
+            data.portals.forEach((pair, index) => {
+                if (!Array.isArray(pair) || pair.length !== 2) {
+                    errors.push(`portals[${index}]: expected a pair of sides, got ${describe(pair)}`);
+                    return;
+                }
+                pair.forEach((face, end) => {
+                    const path = `portals[${index}][${end}]`;
+                    if (!validatePosition(face, path, rows, 'side', errors)) return;
+
+                    const sideType = rows[face.row][face.col][SIDE_NAMES.indexOf(face.side)];
+                    if (sideType !== SideType.PORTAL) {
+                        errors.push(`${path}: the ${face.side} side of (${face.row}, ${face.col}) is ${sideType}, portal sides must be "p"`);
+                    }
+                    if (paired.has(`${face.row},${face.col},${face.side}`)) {
+                        errors.push(`${path}: the edge at (${face.row}, ${face.col}) ${face.side} is already in a portal pair`);
+                    }
+
+                    const { row, col } = getNeighborCoords(face.row, face.col, face.side);
+                    const far = wrapCoords(row, col, rows.length, getColCount(rows), wrapAxes);
+                    paired.add(`${face.row},${face.col},${face.side}`);
+                    paired.add(`${far.row},${far.col},${getCorrespondingSide(face.side)}`);
+                });
+            });
+        }
+    }
+
+    // Triangle metadata
+    if (data.meta !== undefined && data.meta !== null) {
+        if (!Array.isArray(data.meta)) {
+            errors.push(`meta: expected an array of triangle entries, got ${describe(data.meta)}`);
+        } else if (rows) {
+            const seen = new Set();
+            data.meta.forEach((entry, index) => {
+                const path = `meta[${index}]`;
+                if (!validatePosition(entry, path, rows, null, errors)) return;
+
+                const key = `${entry.row},${entry.col}`;
+                if (seen.has(key)) {
+                    errors.push(`${path}: (${entry.row}, ${entry.col}) already has an entry`);
+                }
+                seen.add(key);
+
+                const { row, col, ...values } = entry;
+                try {
+                    checkTriangleMeta(values);
+                } catch (error) {
+                    errors.push(`${path}: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    // Edge attributes
+    if (data.edges !== undefined && data.edges !== null) {
+        if (!Array.isArray(data.edges)) {
+            errors.push(`edges: expected an array of edge entries, got ${describe(data.edges)}`);
+        } else if (rows) {
+            const seen = new Set(); // Both faces of every edge already listed
+            data.edges.forEach((entry, index) => {
+                const path = `edges[${index}]`;
+                if (!validatePosition(entry, path, rows, 'side', errors)) return;
+
+                const { row, col, side, ...values } = entry;
+                if (seen.has(`${row},${col},${side}`)) {
+                    errors.push(`${path}: the edge at (${row}, ${col}) ${side} already has an entry`);
+                }
+                const neighbor = getNeighborCoords(row, col, side);
+                const far = wrapCoords(neighbor.row, neighbor.col, rows.length, getColCount(rows), wrapAxes);
+                seen.add(`${row},${col},${side}`);
+                seen.add(`${far.row},${far.col},${getCorrespondingSide(side)}`);
+
+                try {
+                    checkEdgeAttributes(values);
+                } catch (error) {
+                    errors.push(`${path}: ${error.message}`);
+                }
+            });
+        }
+    }
+
+    // Enemy tuning
+    if (data.enemy !== undefined && data.enemy !== null) {
+        if (!isPlainObject(data.enemy)) {
+            errors.push(`enemy: expected an object of tuning sections, got ${describe(data.enemy)}`);
+        } else {
+            try {
+                checkEnemyTuning(data.enemy);
+                const route = data.enemy.patrol?.route;
+                if (route && rows) {
+                    route.forEach((waypoint, index) => validatePosition(waypoint, `enemy.patrol.route[${index}]`, rows, null, errors));
+                }
+            } catch (error) {
+                errors.push(`enemy: ${error.message}`);
+            }
+        }
+    }
+
+    // Generator
+    if (data.generator !== undefined && data.generator !== null) {
+        if (!isPlainObject(data.generator)) {
+            errors.push(`generator: expected an object, got ${describe(data.generator)}`);
+        } else {
+            ['numRows', 'trianglesPerRow'].forEach(key => {
+                if (data.generator[key] !== undefined && !(Number.isInteger(data.generator[key]) && data.generator[key] > 0)) {
+                    errors.push(`generator.${key}: expected a positive integer, got ${describe(data.generator[key])}`);
+                }
+            });
+            const density = data.generator.mirrorDensity;
+            if (density !== undefined && !(typeof density === 'number' && density >= 0 && density <= 1)) {
+                errors.push(`generator.mirrorDensity: expected a number from 0 to 1, got ${describe(density)}`);
+            }
+            const seed = data.generator.seed;
+            if (seed !== undefined && seed !== null && typeof seed !== 'number' && typeof seed !== 'string') {
+                errors.push(`generator.seed: expected a number or string, got ${describe(seed)}`);
+            }
+            const algorithm = data.generator.algorithm;
+            if (algorithm !== undefined && !Object.values(MazeAlgorithm).includes(algorithm)) {
+                errors.push(`generator.algorithm: expected one of ${Object.values(MazeAlgorithm).join(', ')}, got ${describe(algorithm)}`);
+            }
+            const symmetry = data.generator.symmetry;
+            if (symmetry !== undefined && !Object.values(MazeSymmetry).includes(symmetry)) {
+                errors.push(`generator.symmetry: expected one of ${Object.values(MazeSymmetry).join(', ')}, got ${describe(symmetry)}`);
+            }
+            const mask = data.generator.mask;
+            if (mask !== undefined && !Object.values(GridShape).includes(mask)) {
+                errors.push(`generator.mask: expected one of ${Object.values(GridShape).join(', ')}, got ${describe(mask)}`);
+            }
+            const generatorWrap = data.generator.wrap;
+            if (generatorWrap !== undefined && !Object.values(GridWrap).includes(generatorWrap)) {
+                errors.push(`generator.wrap: expected one of ${Object.values(GridWrap).join(', ')}, got ${describe(generatorWrap)}`);
+            }
+            const portals = data.generator.portals;
+            if (portals !== undefined && !(Number.isInteger(portals) && portals >= 0)) {
+                errors.push(`generator.portals: expected a non-negative integer, got ${describe(portals)}`);
+            }
+            const enemies = data.generator.enemies;
+            if (enemies !== undefined && !(Number.isInteger(enemies) && enemies > 0)) {
+                errors.push(`generator.enemies: expected a positive integer, got ${describe(enemies)}`);
+            }
+        }
+    }
+
+    return errors;
+}
+
+/**
+ * Parse and validate a level
+ * @param {string|Object} source - Level JSON text or an already parsed object
+ * @returns {Object} The validated level data
+ * @throws {LevelValidationError} If the JSON is malformed or does not match the format
+ */
+function parseLevel(source) {
+    let data = source;
+    if (typeof source === 'string') {
+        try {
+            data = JSON.parse(source);
+        } catch (error) {
+            throw new LevelValidationError([`JSON: ${error.message}`]);
+        }
+    }
+
+    const errors = validateLevel(data);
+    if (errors.length > 0) {
+        throw new LevelValidationError(errors);
+    }
+    return data;
+}
+
+export {
+    LEVEL_FORMAT_VERSION,
+    LevelValidationError,
+    validateLevel,
+    parseLevel
+};
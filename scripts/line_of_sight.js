@@ -0,0 +1,539 @@
+// Line of Sight
+// Headless sight queries on the grid: what can be seen from where, straight on
+// or in mirrors. Sight rays are traced like the raycast shader's castRay: from
+// triangle to triangle, bouncing off mirror sides (one-way mirrors from their
+// mirror face), carried over by paired portals and stopped by anything else
+// that isn't see-through (see side_types.js). Rays walk the unbounded lattice,
+// so on a wrapped grid they leave one edge and come back in on the opposite one.
+//
+// Finding the reflections in which B shows up from A uses the mirror image trick:
+// the triangle lattice is symmetric about every edge line, so unfolding the grid
+// across each mirror turns a bouncing ray into a straight one. The unfolded copies
+// of B around A are where to aim; a traced ray confirms each one.
+//
+// The shader's wavy mirror normals and frost are left out - they shift what is
+// seen by a fraction of a triangle, not whether it is seen. So is looking up or
+// down: the mirrored ceiling shows whatever is in front of the camera anyway.
+
+import { SideType, isSideTypeReflective } from './side_types.js';
+import {
+    TRIANGLE_HEIGHT,
+    SIDE_NAMES,
+    getCorrespondingSide,
+    getNeighborCoords,
+    getTriangleCenter,
+    getSideVertices,
+    worldToTriangle,
+    getPortalTransform
+} from './triangle_coords.js';
+
+const MAX_CROSSINGS = 2000;                   // Same bound as the shader's MAX_TRIANGLE_CROSSINGS
+const SIDE_EPSILON = 1e-9;                    // Lets a line through a vertex count as crossing either side
+const STEP_LENGTH = TRIANGLE_HEIGHT * 2 / 3;  // Distance between the centres of neighboring triangles
+const DEFAULT_MAX_BOUNCES = 3;
+const DEFAULT_MAX_DISTANCE = 16 * STEP_LENGTH;
+const DEFAULT_VIEW_DISTANCE = 24 * STEP_LENGTH; // isSeenFromCamera runs every frame - these bound
+const DEFAULT_VIEW_BOUNCES = 4;                 // its search (mirrors also dim what they show)
+
+// Rigid motions of the XZ plane, as p -> (a x + b z + x, c x + d z + z)
+const IDENTITY = Object.freeze({ a: 1, b: 0, c: 0, d: 1, x: 0, z: 0 });
+
+/**
+ * Trace a sight ray through the grid
+ * @param {TriangularGrid} grid
+ * @param {Object} start - {row, col} of the triangle the ray starts in
+ * @param {Object} origin - {x, z} world position inside that triangle
+ * @param {Object} direction - {x, z}, any length
+ * @param {Object} options
+ * @param {number} options.maxDistance - How far the ray goes (bounces included)
+ * @param {number} [options.maxBounces] - Mirrors it may bounce off; the next one stops it
+ * @returns {Object} {row, col, blocked, length, segments, mirrors}:
+ *   - row, col: the triangle the ray ended in
+ *   - blocked: the face {row, col, side} that stopped it, or null if it went the whole distance
+ *   - length: how far it went
+ *   - segments: [{from, to}] the straight pieces of the ray, in world space (a portal starts a new one)
+ *   - mirrors: [{row, col, side}] the mirror faces it bounced off, in order
+ */
+function castSightRay(grid, start, origin, direction, { maxDistance, maxBounces = DEFAULT_MAX_BOUNCES }) {
+    const norm = Math.hypot(direction.x, direction.z);
+    let dir = { x: direction.x / norm, z: direction.z / norm };
+    let position = { x: origin.x, z: origin.z };
+    let segmentStart = position;
+    let row = start.row;
+    let col = start.col;
+    let length = 0;
+    const segments = [];
+    const mirrors = [];
+
+    const endSegment = () => {
+        segments.push({ from: segmentStart, to: position });
+        segmentStart = position;
+    };
+    const finish = (blocked) => {
+        endSegment();
+        return { ...grid.wrapCoords(row, col), blocked, length, segments, mirrors };
+    };
+
+    for (let i = 0; i < MAX_CROSSINGS; i++) {
+        const exit = findExit(position, dir, row, col);
+        if (!exit || length + exit.t >= maxDistance) {
+            position = advance(position, dir, maxDistance - length);
+            length = maxDistance;
+            return finish(null);
+        }
+        position = advance(position, dir, exit.t);
+        length += exit.t;
+
+        const triangle = grid.getTriangleWrapped(row, col);
+        const face = { ...grid.wrapCoords(row, col), side: exit.side };
+        const type = triangle.getSideState(exit.side);
+        const link = type === SideType.PORTAL ? triangle.portalLinks[exit.side] : null;
+
+        if (link) {
+            // Carry on out of the partner side, into the triangle behind it
+            const transform = getPortalTransform(row, col, exit.side, link.triangle.row, link.triangle.col, link.side);
+            endSegment();
+            position = transform.apply(position);
+            dir = transform.rotate(dir);
+            segmentStart = position;
+            ({ row, col } = link.triangle);
+        } else if (isSideTypeReflective(type)) {
+            if (mirrors.length >= maxBounces) return finish(face);
+            // Bounce and stay in this triangle
+            endSegment();
+            mirrors.push(face);
+            const normal = exit.normal;
+            const along = dir.x * normal.x + dir.z * normal.z;
+            dir = { x: dir.x - 2 * along * normal.x, z: dir.z - 2 * along * normal.z };
+        } else if (triangle.isSideTransparent(exit.side) && triangle.neighbors[exit.side]) {
+            ({ row, col } = getNeighborCoords(row, col, exit.side));
+        } else {
+            return finish(face);
+        }
+    }
+    return finish(null);
+}
+
+/**
+ * Find every way one triangle's centre can be seen from another's: straight on,
+ * in mirrors or through portals
+ * @param {TriangularGrid} grid
+ * @param {Object} from - {row, col}
+ * @param {Object} to - {row, col}
+ * @param {Object} [options]
+ * @param {number} [options.maxDistance] - Longest sight line (bounces included)
+ * @param {number} [options.maxBounces] - Most mirrors on one sight line
+ * @param {Object} [options.origin] - {x, z} to look from instead of the centre of `from` (inside it)
+ * @param {Object} [options.target] - {x, z} to look at instead of the centre of `to` (inside it)
+ * @returns {Array<Object>} Shortest first, each {length, direction, segments, mirrors}
+ *   (direction: unit {x, z} the line leaves `from` in, null when it has no length;
+ *   segments and mirrors as in castSightRay)
+ */
+function findSightPaths(grid, from, to, {
+    maxDistance = DEFAULT_MAX_DISTANCE,
+    maxBounces = DEFAULT_MAX_BOUNCES,
+    origin = getTriangleCenter(from.row, from.col),
+    target = getTriangleCenter(to.row, to.col)
+} = {}) {
+    const paths = [];
+    if (from.row === to.row && from.col === to.col && origin.x === target.x && origin.z === target.z) {
+        paths.push({ length: 0, direction: null, segments: [], mirrors: [] });
+    }
+
+    findImages(grid, from, to, origin, target, maxDistance, maxBounces).forEach(image => {
+        const offset = { x: image.x - origin.x, z: image.z - origin.z };
+        const distance = Math.hypot(offset.x, offset.z);
+        const ray = castSightRay(grid, from, origin, offset, { maxDistance: distance, maxBounces });
+        if (!ray.blocked && ray.row === to.row && ray.col === to.col) {
+            paths.push({
+                length: distance,
+                direction: { x: offset.x / distance, z: offset.z / distance },
+                segments: ray.segments,
+                mirrors: ray.mirrors
+            });
+        }
+    });
+    return paths;
+}
+
+/**
+ * Find the shortest way one triangle's centre can be seen from another's
+ * (see findSightPaths)
+ * @returns {Object|null} {length, direction, segments, mirrors}, null if it can't be seen
+ */
+function findSightPath(grid, from, to, options = {}) {
+    return findSightPaths(grid, from, to, options)[0] ?? null;
+}
+
+/**
+ * Check whether the centre of one triangle can be seen from the centre of another
+ * along a straight line (no mirrors or portals)
+ * @param {TriangularGrid} grid
+ * @param {Object} from - {row, col}
+ * @param {Object} to - {row, col}
+ * @returns {boolean}
+ */
+function hasLineOfSight(grid, from, to) {
+    const start = getTriangleCenter(from.row, from.col);
+    const end = getNearestCopy(grid, getTriangleCenter(to.row, to.col), start);
+    const direction = { x: end.x - start.x, z: end.z - start.z };
+    const distance = Math.hypot(direction.x, direction.z);
+    if (distance === 0) return true;
+
+    const ray = castSightRay(grid, from, start, direction, { maxDistance: distance, maxBounces: 0 });
+    return !ray.blocked && ray.row === to.row && ray.col === to.col;
+}
+
+/**
+ * Check whether a target is within a character's field of view, centred on the
+ * side it faces. Its own triangle always is.
+ * @param {TriangularGrid} grid
+ * @param {Object} viewer - {row, col, orientation}
+ * @param {Object} target - {row, col}
+ * @param {number} fieldOfView - Degrees (360 = all round)
+ * @returns {boolean}
+ */
+function isInFieldOfView(grid, viewer, target, fieldOfView) {
+    if (viewer.row === target.row && viewer.col === target.col) return true;
+
+    const center = getTriangleCenter(viewer.row, viewer.col);
+    const targetPos = getNearestCopy(grid, getTriangleCenter(target.row, target.col), center);
+    return isDirectionInFieldOfView(viewer, { x: targetPos.x - center.x, z: targetPos.z - center.z }, fieldOfView);
+}
+
+/**
+ * Check whether looking in a direction is within a character's field of view
+ * (e.g. the direction of a sight path)
+ * @param {Object} viewer - {row, col, orientation}
+ * @param {Object} direction - {x, z}, any length
+ * @param {number} fieldOfView - Degrees (360 = all round)
+ * @returns {boolean}
+ */
+function isDirectionInFieldOfView(viewer, direction, fieldOfView) {
+    if (fieldOfView >= 360) return true;
+
+    const center = getTriangleCenter(viewer.row, viewer.col);
+    const [a, b] = getSideVertices(viewer.row, viewer.col, viewer.orientation);
+    const facing = { x: (a.x + b.x) / 2 - center.x, z: (a.z + b.z) / 2 - center.z };
+
+    const cos = (facing.x * direction.x + facing.z * direction.z) /
+        (Math.hypot(facing.x, facing.z) * Math.hypot(direction.x, direction.z));
+    return cos >= Math.cos(fieldOfView / 2 * Math.PI / 180) - SIDE_EPSILON;
+}
+
+/**
+ * Check whether the camera sees a billboard, straight on, in mirrors or through
+ * portals, the way the raycast shader draws it: some sight line leaving the camera
+ * within the screen's width reaches some part of it. The billboard turns to face
+ * the camera and may reach into the triangles around its own.
+ * @param {TriangularGrid} grid
+ * @param {Object} camera - {x, z, yaw, fieldOfView}: yaw as the shader's uPlayerYaw,
+ *                          fieldOfView horizontal, in radians (see SceneRenderer.getCameraView)
+ * @param {Object} target - {x, z} world position of the billboard
+ * @param {Object} [options]
+ * @param {number} [options.width] - Billboard width (0 = only the point itself)
+ * @param {number} [options.maxDistance] - Longest sight line (bounces included)
+ * @param {number} [options.maxBounces] - Most mirrors on one sight line
+ * @returns {boolean}
+ */
+function isSeenFromCamera(grid, camera, target, {
+    width = 0,
+    maxDistance = DEFAULT_VIEW_DISTANCE,
+    maxBounces = DEFAULT_VIEW_BOUNCES
+} = {}) {
+    const origin = grid.wrapWorldPosition(camera.x, camera.z);
+    const from = worldToTriangle(origin.x, origin.z);
+    if (!grid.getTriangleWrapped(from.row, from.col)) return false;
+
+    // Every triangle the billboard may reach into, with the target's place relative to it
+    const halfWidth = width / 2;
+    const end = grid.wrapWorldPosition(target.x, target.z);
+    const nearest = getNearestCopy(grid, end, origin);
+    if (grid.portals.length === 0 && Math.hypot(nearest.x - origin.x, nearest.z - origin.z) - halfWidth > maxDistance) {
+        return false; // Mirrors only make the way there longer (portals can shorten it)
+    }
+    const endCell = worldToTriangle(end.x, end.z);
+    const targets = [];
+    for (let row = endCell.row - 1; row <= endCell.row + 1; row++) {
+        for (let col = endCell.col - 2; col <= endCell.col + 2; col++) {
+            const touches = (row === endCell.row && col === endCell.col) ||
+                SIDE_NAMES.some(side => getDistanceToSide(end, ...getSideVertices(row, col, side)) < halfWidth);
+            const onGrid = grid.wrapCoords(row, col);
+            if (!touches || !grid.getTriangle(onGrid.row, onGrid.col)) continue;
+
+            const cellCenter = getTriangleCenter(row, col);
+            const center = getTriangleCenter(onGrid.row, onGrid.col);
+            targets.push({ ...onGrid, x: end.x - cellCenter.x + center.x, z: end.z - cellCenter.z + center.z });
+        }
+    }
+
+    // Forward is (-sin yaw, cos yaw), as in the shader's rotateY
+    const facing = Math.atan2(Math.cos(camera.yaw), -Math.sin(camera.yaw));
+    const halfView = Math.min(Math.PI, camera.fieldOfView / 2);
+    const view = { min: facing - halfView, max: facing + halfView };
+    let seen = false;
+    unfoldGrid(grid, from, origin, maxDistance + halfWidth, maxBounces, view, copy => {
+        targets.forEach(point => {
+            if (seen || copy.triangle.row !== point.row || copy.triangle.col !== point.col) return;
+
+            const center = getUnfoldedPoint(copy, point);
+            const distance = Math.hypot(center.x - origin.x, center.z - origin.z);
+            if (distance <= SIDE_EPSILON) return; // Inside the billboard (the shader skips it too)
+
+            // The billboard across the sight line, cut down to its part in this copy, and
+            // the directions that reach that part through the sides crossed so far
+            const toward = { x: (center.x - origin.x) / distance, z: (center.z - origin.z) / distance };
+            const across = { x: -toward.z, z: toward.x };
+            const part = clipToTriangle(advance(center, across, -halfWidth), advance(center, across, halfWidth), copy.row, copy.col);
+            if (!part) return;
+            const reference = (copy.beam.min + copy.beam.max) / 2;
+            const angles = part.map(p => getAngle(origin, p, reference));
+            const min = Math.max(Math.min(...angles), copy.beam.min);
+            const max = Math.min(Math.max(...angles), copy.beam.max);
+            if (max < min) return;
+
+            // A sight line through the middle of what shows confirms it
+            const angle = (min + max) / 2;
+            const direction = { x: Math.cos(angle), z: Math.sin(angle) };
+            const length = distance / (direction.x * toward.x + direction.z * toward.z);
+            if (length > maxDistance) return;
+            const ray = castSightRay(grid, from, origin, direction, { maxDistance: length, maxBounces });
+            if (ray.blocked) return;
+
+            const rayEnd = ray.segments[ray.segments.length - 1].to;
+            const real = getNearestCopy(grid, applyTransform(copy.transform, advance(origin, direction, length)), rayEnd);
+            seen = Math.hypot(real.x - rayEnd.x, real.z - rayEnd.z) < 1e-6;
+        });
+        return seen;
+    });
+    return seen;
+}
+
+// Collect where `target` (placed relative to `to`) shows up in the copies of `to`
+// the unfolding around `origin` reaches, other than the origin itself, nearest
+// first: {x, z, distance}
+function findImages(grid, from, to, origin, target, maxDistance, maxBounces) {
+    const images = new Map();
+    unfoldGrid(grid, from, origin, maxDistance, maxBounces, null, copy => {
+        if (copy.triangle.row !== to.row || copy.triangle.col !== to.col) return false;
+
+        const image = getUnfoldedPoint(copy, { ...target, row: to.row, col: to.col });
+        const distance = Math.hypot(image.x - origin.x, image.z - origin.z);
+        const angle = copy.beam ? getAngle(origin, image, (copy.beam.min + copy.beam.max) / 2) : 0;
+        if (distance > 0 && distance <= maxDistance &&
+            (!copy.beam || (angle >= copy.beam.min - SIDE_EPSILON && angle <= copy.beam.max + SIDE_EPSILON))) {
+            images.set(`${copy.row},${copy.col}`, { x: image.x, z: image.z, distance });
+        }
+        return false;
+    });
+
+    return Array.from(images.values()).sort((a, b) => a.distance - b.distance);
+}
+
+// Unfold the grid around `origin` (in `from`) across mirrors and portals, and hand
+// every unfolded triangle within reach to `visit` until it returns true. The
+// unfolding follows beams: each unfolded triangle carries the rigid motion that
+// takes it back onto the grid, and the range of directions from the origin that
+// reach it through the sides crossed so far - once that range is empty, nothing
+// further along can be seen. Each copy is {row, col, triangle, transform, beam
+// ({min, max} angles, see getAngle; null in `from` without a starting beam)}.
+function unfoldGrid(grid, from, origin, maxDistance, maxBounces, startBeam, visit) {
+    const stack = [{ row: from.row, col: from.col, transform: IDENTITY, bounces: 0, entered: null, beam: startBeam }];
+
+    while (stack.length > 0) {
+        const { row, col, transform, bounces, entered, beam } = stack.pop();
+        const center = getTriangleCenter(row, col);
+        const realCenter = applyTransform(transform, center);
+        const real = worldToTriangle(realCenter.x, realCenter.z);
+        const triangle = grid.getTriangleWrapped(real.row, real.col);
+        if (!triangle) continue;
+
+        if (visit({ row, col, triangle, transform, beam })) return;
+
+        SIDE_NAMES.forEach(side => {
+            if (side === entered) return;
+            const [a, b] = getSideVertices(row, col, side);
+            if (getDistanceToSide(origin, a, b) > maxDistance) return;
+
+            // Narrow the beam down to the directions that pass through this side
+            const middle = { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 };
+            const reference = beam ? (beam.min + beam.max) / 2 : getAngle(origin, middle, 0);
+            const angles = [getAngle(origin, a, reference), getAngle(origin, b, reference)];
+            const nextBeam = {
+                min: Math.max(Math.min(...angles), beam ? beam.min : -Infinity),
+                max: Math.min(Math.max(...angles), beam ? beam.max : Infinity)
+            };
+            if (nextBeam.max - nextBeam.min <= SIDE_EPSILON) return; // Only grazes a corner
+
+            // The same side on the grid
+            const realMiddle = applyTransform(transform, middle);
+            const realSide = SIDE_NAMES.find(candidate => {
+                const [r, s] = getSideVertices(real.row, real.col, candidate);
+                return Math.hypot((r.x + s.x) / 2 - realMiddle.x, (r.z + s.z) / 2 - realMiddle.z) < STEP_LENGTH / 2;
+            });
+            const type = triangle.getSideState(realSide);
+            const link = type === SideType.PORTAL ? triangle.portalLinks[realSide] : null;
+
+            let nextTransform = null;
+            let nextBounces = bounces;
+            if (link) {
+                const portal = getPortalTransform(real.row, real.col, realSide, link.triangle.row, link.triangle.col, link.side);
+                nextTransform = composeTransforms(toTransform(portal.apply), transform);
+            } else if (isSideTypeReflective(type)) {
+                nextTransform = composeTransforms(transform, getReflection(a, b));
+                nextBounces++;
+            } else if (triangle.isSideTransparent(realSide) && triangle.neighbors[realSide]) {
+                nextTransform = transform;
+            }
+            if (!nextTransform || nextBounces > maxBounces) return;
+
+            stack.push({
+                ...getNeighborCoords(row, col, side),
+                transform: nextTransform,
+                bounces: nextBounces,
+                entered: getCorrespondingSide(side),
+                beam: nextBeam
+            });
+        });
+    }
+
+}
+
+// Where a point placed relative to its triangle on the grid ({row, col, x, z}) shows
+// up in an unfolded copy of that triangle
+function getUnfoldedPoint(copy, point) {
+    const pointCenter = getTriangleCenter(point.row, point.col);
+    const realCenter = applyTransform(copy.transform, getTriangleCenter(copy.row, copy.col));
+    return applyTransform(invertTransform(copy.transform), {
+        x: point.x + realCenter.x - pointCenter.x,
+        z: point.z + realCenter.z - pointCenter.z
+    });
+}
+
+// The part of the segment a-b inside a triangle as [start, end] (null if it misses it)
+function clipToTriangle(a, b, row, col) {
+    const center = getTriangleCenter(row, col);
+    let from = 0;
+    let to = 1;
+    for (const side of SIDE_NAMES) {
+        // Signed distances of a and b from the side, positive towards the centre
+        const [p, q] = getSideVertices(row, col, side);
+        let normal = { x: q.z - p.z, z: p.x - q.x };
+        if (normal.x * (center.x - p.x) + normal.z * (center.z - p.z) < 0) {
+            normal = { x: -normal.x, z: -normal.z };
+        }
+        const da = normal.x * (a.x - p.x) + normal.z * (a.z - p.z);
+        const db = normal.x * (b.x - p.x) + normal.z * (b.z - p.z);
+        if (da < 0 && db < 0) return null;
+        if (da < 0) from = Math.max(from, da / (da - db));
+        else if (db < 0) to = Math.min(to, da / (da - db));
+    }
+    if (from > to) return null;
+
+    const along = { x: b.x - a.x, z: b.z - a.z };
+    return [advance(a, along, from), advance(a, along, to)];
+}
+
+// Direction of a point seen from the origin, as an angle within half a turn of a reference angle
+function getAngle(origin, point, reference) {
+    const angle = Math.atan2(point.z - origin.z, point.x - origin.x) - reference;
+    return reference + angle - 2 * Math.PI * Math.round(angle / (2 * Math.PI));
+}
+
+// Distance from a point to the nearest point of a side
+function getDistanceToSide(point, a, b) {
+    const edge = { x: b.x - a.x, z: b.z - a.z };
+    const t = Math.max(0, Math.min(1,
+        ((point.x - a.x) * edge.x + (point.z - a.z) * edge.z) / (edge.x * edge.x + edge.z * edge.z)));
+    return Math.hypot(a.x + edge.x * t - point.x, a.z + edge.z * t - point.z);
+}
+
+// The side a ray inside a triangle leaves it through: {side, t, normal (outward, unit)}
+// (sides it is moving away from don't count, like the shader's one-sided edge test)
+function findExit(position, dir, row, col) {
+    const center = getTriangleCenter(row, col);
+    let exit = null;
+    SIDE_NAMES.forEach(side => {
+        const [a, b] = getSideVertices(row, col, side);
+        const length = Math.hypot(b.x - a.x, b.z - a.z);
+        let normal = { x: (b.z - a.z) / length, z: -(b.x - a.x) / length };
+        if (normal.x * (center.x - a.x) + normal.z * (center.z - a.z) > 0) {
+            normal = { x: -normal.x, z: -normal.z };
+        }
+
+        const speed = dir.x * normal.x + dir.z * normal.z;
+        if (speed <= SIDE_EPSILON) return;
+        const t = Math.max(0, ((a.x - position.x) * normal.x + (a.z - position.z) * normal.z) / speed);
+        if (!exit || t < exit.t) exit = { side, t, normal };
+    });
+    return exit;
+}
+
+function advance(position, dir, distance) {
+    return { x: position.x + dir.x * distance, z: position.z + dir.z * distance };
+}
+
+// The copy of a world position nearest to a reference (the position itself unless the grid wraps)
+function getNearestCopy(grid, position, reference) {
+    const period = grid.getWrapPeriod();
+    return {
+        x: period.x > 0 ? position.x + Math.round((reference.x - position.x) / period.x) * period.x : position.x,
+        z: period.z > 0 ? position.z + Math.round((reference.z - position.z) / period.z) * period.z : position.z
+    };
+}
+
+function applyTransform(m, p) {
+    return { x: m.a * p.x + m.b * p.z + m.x, z: m.c * p.x + m.d * p.z + m.z };
+}
+
+// m after n
+function composeTransforms(m, n) {
+    return {
+        a: m.a * n.a + m.b * n.c,
+        b: m.a * n.b + m.b * n.d,
+        c: m.c * n.a + m.d * n.c,
+        d: m.c * n.b + m.d * n.d,
+        x: m.a * n.x + m.b * n.z + m.x,
+        z: m.c * n.x + m.d * n.z + m.z
+    };
+}
+
+// The motion undoing m (rigid, so its linear part is orthogonal)
+function invertTransform(m) {
+    return {
+        a: m.a, b: m.c,
+        c: m.b, d: m.d,
+        x: -(m.a * m.x + m.c * m.z),
+        z: -(m.b * m.x + m.d * m.z)
+    };
+}
+
+// Mirror image across the line through a and b
+function getReflection(a, b) {
+    const length = Math.hypot(b.x - a.x, b.z - a.z);
+    const u = { x: (b.x - a.x) / length, z: (b.z - a.z) / length };
+    const linear = {
+        a: 2 * u.x * u.x - 1, b: 2 * u.x * u.z,
+        c: 2 * u.x * u.z, d: 2 * u.z * u.z - 1
+    };
+    return { ...linear, x: a.x - (linear.a * a.x + linear.b * a.z), z: a.z - (linear.c * a.x + linear.d * a.z) };
+}
+
+// The affine map behind a point function (e.g. getPortalTransform's apply)
+function toTransform(apply) {
+    const o = apply({ x: 0, z: 0 });
+    const ex = apply({ x: 1, z: 0 });
+    const ez = apply({ x: 0, z: 1 });
+    return { a: ex.x - o.x, b: ez.x - o.x, c: ex.z - o.z, d: ez.z - o.z, x: o.x, z: o.z };
+}
+
+export {
+    STEP_LENGTH,
+    castSightRay,
+    findSightPaths,
+    findSightPath,
+    hasLineOfSight,
+    isInFieldOfView,
+    isDirectionInFieldOfView,
+    isSeenFromCamera
+};
@@ -5,21 +5,34 @@
 // - Each triangle has 3 edges (numbered 0, 1, 2)
 // - Edge indices are consistent with triangle orientation for easy shader logic
 
-// Triangle size constants (world space units)
-const TRIANGLE_SIZE = 0.85;
-const TRIANGLE_HEIGHT = Math.sqrt(3) * TRIANGLE_SIZE / 2;
+// Geometry (sizes, vertices, neighbors, distances) lives in triangle_coords.js
+// and is re-exported here for existing importers
+
+import {
+    TRIANGLE_SIZE,
+    TRIANGLE_HEIGHT,
+    isPointingUp,
+    edgeIndexToSide,
+    getNeighborCoords,
+    getTriangleCenter,
+    getTriangleVertices,
+    getEdgeVertices,
+    getTriangleDistance
+} from './triangle_coords.js';
+import { SideType, sideTypeToCode, packEdgeCodes } from './side_types.js';
+import { DEFAULT_TRIANGLE_META, packTriangleMeta } from './triangle_meta.js';
 
 // Edge indices for walls (relative to triangle orientation)
 const EDGE = {
-    EDGE_0: 0,  // For UP: top edge,    For DOWN: bottom edge
-    EDGE_1: 1,  // For UP: bottom-left, For DOWN: top-left
-    EDGE_2: 2   // For UP: bottom-right, For DOWN: top-right
+    EDGE_0: 0,  // Third side: For UP: bottom edge, For DOWN: top edge
+    EDGE_1: 1,  // Right side: shared with (row, col + 1)
+    EDGE_2: 2   // Left side:  shared with (row, col - 1)
 };
 
 // Maze data: 2D array where each value is a bitmask of walls
 // Bit 0 (1): Edge 0 has wall (third edge)
-// Bit 1 (2): Edge 1 has wall (left edge)
-// Bit 2 (4): Edge 2 has wall (right edge)
+// Bit 1 (2): Edge 1 has wall (right edge)
+// Bit 2 (4): Edge 2 has wall (left edge)
 // NOTE: This is now a FALLBACK only. The actual maze is loaded from TriangularGrid in index.html
 // and converted at runtime using grid.toMazeBitmask()
 const mazeData = [
@@ -37,10 +50,6 @@ console.log('   └─ Actual maze should be loaded from TriangularGrid in index
 // Helper Functions
 // ============================================================================
 
-function isPointingUp(row, col) {
-    return (row + col) % 2 === 0;
-}
-
 function hasWall(cellValue, edgeIndex) {
     return (cellValue & (1 << edgeIndex)) !== 0;
 }
@@ -52,66 +61,10 @@ function getCell(row, col) {
     return mazeData[row][col];
 }
 
-// Get the world-space center position of a triangle
-function getTriangleCenter(row, col) {
-    const x = col * TRIANGLE_SIZE * 0.5 + TRIANGLE_SIZE / 2;  // Center horizontally
-    const z = row * TRIANGLE_HEIGHT;
-    
-    // Offset for pointing-down triangles
-    const offsetZ = isPointingUp(row, col) ? TRIANGLE_HEIGHT / 3 : TRIANGLE_HEIGHT * 2 / 3;
-    
-    return { x, z: z + offsetZ };
-}
-
-// Get the three vertices of a triangle in world space
-function getTriangleVertices(row, col) {
-    const x = col * TRIANGLE_SIZE * 0.5;
-    const z = row * TRIANGLE_HEIGHT;
-    const up = isPointingUp(row, col);
-    
-    if (up) {
-        // Pointing UP triangle
-        return [
-            { x: x + TRIANGLE_SIZE/2, z: z },                    // Top apex (edge 0 opposite)
-            { x: x, z: z + TRIANGLE_HEIGHT },                    // Bottom-left (edge 1 opposite)
-            { x: x + TRIANGLE_SIZE, z: z + TRIANGLE_HEIGHT }     // Bottom-right (edge 2 opposite)
-        ];
-    } else {
-        // Pointing DOWN triangle
-        return [
-            { x: x + TRIANGLE_SIZE/2, z: z + TRIANGLE_HEIGHT },  // Bottom apex (edge 0 opposite)
-            { x: x, z: z },                                      // Top-left (edge 1 opposite)
-            { x: x + TRIANGLE_SIZE, z: z }                       // Top-right (edge 2 opposite)
-        ];
-    }
-}
-
-// Get the two endpoints of a specific edge
-function getEdgeVertices(row, col, edgeIndex) {
-    const vertices = getTriangleVertices(row, col);
-    // Edge N connects vertex (N+1) to vertex (N+2), wrapping around
-    const v1 = vertices[(edgeIndex + 1) % 3];
-    const v2 = vertices[(edgeIndex + 2) % 3];
-    return [v1, v2];
-}
-
-// Get neighbor triangle across a specific edge (returns {row, col} or null if out of bounds)
+// Get neighbor triangle across a specific edge (returns {row, col}, which may be out of bounds)
 function getNeighbor(row, col, edgeIndex) {
-    const up = isPointingUp(row, col);
-    
-    if (up) {
-        // Pointing UP triangle neighbors
-        if (edgeIndex === 0) return { row: row - 1, col: col }; // North
-        if (edgeIndex === 1) return { row: row, col: col - 1 }; // Southwest  
-        if (edgeIndex === 2) return { row: row, col: col + 1 }; // Southeast
-    } else {
-        // Pointing DOWN triangle neighbors
-        if (edgeIndex === 0) return { row: row + 1, col: col }; // South
-        if (edgeIndex === 1) return { row: row, col: col - 1 }; // Northwest
-        if (edgeIndex === 2) return { row: row, col: col + 1 }; // Northeast
-    }
-    
-    return null;
+    const side = edgeIndexToSide(edgeIndex);
+    return side ? getNeighborCoords(row, col, side) : null;
 }
 
 // ============================================================================
@@ -121,11 +74,12 @@ function getNeighbor(row, col, edgeIndex) {
 // Encode maze data into a flat array suitable for a texture
 // Each triangle gets 4 float values (RGBA):
 // R: orientation (0 = down, 1 = up)
-// G: wall bitmask (0-7)
-// B: reserved for future use (material ID, lighting, etc.)
-// A: reserved for future use
+// G: packed 4-bit side code per edge (walls in the fallback data are mirrors)
+// B: material, decal and light level (see triangle_meta.js - the fallback maze uses the defaults)
+// A: region
 function encodeToTexture() {
     const data = new Float32Array(MAZE_ROWS * MAZE_COLS * 4);
+    const metaCode = packTriangleMeta(DEFAULT_TRIANGLE_META);
     
     console.log('🎨 Encoding maze to texture...');
     
@@ -134,14 +88,17 @@ function encodeToTexture() {
             const idx = (row * MAZE_COLS + col) * 4;
             const up = isPointingUp(row, col);
             const walls = getCell(row, col);
+            const codes = packEdgeCodes([0, 1, 2].map(edge =>
+                sideTypeToCode(hasWall(walls, edge) ? SideType.MIRROR : SideType.EMPTY)
+            ));
             
             data[idx + 0] = up ? 1.0 : 0.0;        // R: orientation
-            data[idx + 1] = walls / 7.0;           // G: walls normalized to 0-1
-            data[idx + 2] = 0.0;                   // B: reserved
-            data[idx + 3] = 1.0;                   // A: reserved
+            data[idx + 1] = codes;                 // G: packed side codes (raw integer)
+            data[idx + 2] = metaCode.b;            // B: material, decal and light
+            data[idx + 3] = metaCode.a;            // A: region
             
             if (row === 0) {
-                console.log(`   └─ Cell [${row},${col}]: walls=${walls} (${walls.toString(2).padStart(3, '0')}b), up=${up}, encoded=${(walls/7.0).toFixed(3)}`);
+                console.log(`   └─ Cell [${row},${col}]: walls=${walls} (${walls.toString(2).padStart(3, '0')}b), up=${up}, encoded=0x${codes.toString(16).padStart(3, '0')}`);
             }
         }
     }
@@ -339,6 +296,7 @@ export {
     getTriangleVertices,
     getEdgeVertices,
     getNeighbor,
+    getTriangleDistance,
     
     // Shader encoding
     encodeToTexture,
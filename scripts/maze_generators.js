@@ -0,0 +1,335 @@
+// Maze Generators
+// Carving strategies for TriangularGrid.generateRandomGrid. Each one opens
+// internal edges of an all-mirror grid until every triangle is connected;
+// the grid then adds the exit and the extra openings for the mirror density.
+//
+// A generator receives a maze context:
+// - cells: every Triangle, row by row
+// - edges: every internal edge {a, aSide, b, bSide}, once each
+// - start: the triangle carving starts from (the grid center)
+// - rng: seeded () => [0, 1)
+// - edgesOf(cell): [{edge, neighbor}] for the cell's internal edges
+// - isOpen(edge), open(edge)
+// - getCell(row, col): the Triangle there, or null
+// - orbitOf(edge): the edge and its symmetric copies (just [edge] without symmetry)
+// - options: the generateRandomGrid options
+//
+// A generator may return extra results for the grid, e.g. {rooms}.
+
+import { pickRandom, shuffle } from './rng.js';
+import { TRIANGLE_SIZE, TRIANGLE_HEIGHT, getTriangleCenter, pointInTriangle } from './triangle_coords.js';
+
+/**
+ * Enum for maze generation algorithms
+ */
+const MazeAlgorithm = Object.freeze({
+    DFS: 'dfs',                     // Recursive backtracker: long winding corridors
+    PRIM: 'prim',                   // Randomized Prim's: many short dead ends
+    KRUSKAL: 'kruskal',             // Randomized Kruskal's: evenly spread, no bias to the start
+    WILSON: 'wilson',               // Loop-erased random walks: uniform spanning tree
+    HUNT_AND_KILL: 'hunt_and_kill', // Like DFS, scans for a new start instead of backtracking
+    BRAID: 'braid',                 // DFS with every dead end opened into a loop
+    ROOMS: 'rooms'                  // Open hexagonal and triangular rooms joined by corridors
+});
+
+/**
+ * Enum for room shapes in the rooms algorithm
+ */
+const RoomShape = Object.freeze({
+    HEXAGON: 'hexagon',   // Six triangles around a lattice vertex, grown to side length n (6n² triangles)
+    TRIANGLE: 'triangle'  // One big triangle of side length n (n² triangles), pointing up or down
+});
+
+// Default room options (sizes are side lengths in triangles)
+const DEFAULT_ROOM_OPTIONS = Object.freeze({
+    count: 6,
+    minSize: 2,
+    maxSize: 3,
+    shapes: [RoomShape.HEXAGON, RoomShape.TRIANGLE]
+});
+
+const cellKey = (cell) => `${cell.row},${cell.col}`;
+
+// Randomized depth-first search
+function carveDfs(maze) {
+    const { start, rng } = maze;
+    const visited = new Set([cellKey(start)]);
+    const stack = [start];
+
+    while (stack.length > 0) {
+        const current = stack[stack.length - 1];
+        const candidates = maze.edgesOf(current).filter(({ neighbor }) => !visited.has(cellKey(neighbor)));
+
+        if (candidates.length === 0) {
+            stack.pop();
+            continue;
+        }
+
+        const choice = pickRandom(candidates, rng);
+        maze.open(choice.edge);
+        visited.add(cellKey(choice.neighbor));
+        stack.push(choice.neighbor);
+    }
+}
+
+// Randomized Prim's: grow the tree through a random frontier edge each step
+function carvePrim(maze) {
+    const { start, rng } = maze;
+    const visited = new Set([cellKey(start)]);
+    const frontier = [...maze.edgesOf(start)];
+
+    while (frontier.length > 0) {
+        // Swap-remove a random frontier entry
+        const index = Math.floor(rng() * frontier.length);
+        const { edge, neighbor } = frontier[index];
+        frontier[index] = frontier[frontier.length - 1];
+        frontier.pop();
+
+        const key = cellKey(neighbor);
+        if (visited.has(key)) continue;
+
+        maze.open(edge);
+        visited.add(key);
+        maze.edgesOf(neighbor).forEach(entry => {
+            if (!visited.has(cellKey(entry.neighbor))) frontier.push(entry);
+        });
+    }
+}
+
+// Randomized Kruskal's: open edges in random order unless they would close a loop.
+// Cells in the same group (e.g. a room) start out already connected.
+// With symmetry, whole orbits are opened when any of their edges joins two parts;
+// that can close a few loops, but keeps the maze symmetric and connected.
+function carveKruskal(maze, groups = []) {
+    const parent = new Map(maze.cells.map(cell => [cellKey(cell), cellKey(cell)]));
+    const find = (key) => {
+        while (parent.get(key) !== key) {
+            parent.set(key, parent.get(parent.get(key))); // Path halving
+            key = parent.get(key);
+        }
+        return key;
+    };
+    groups.forEach(group => {
+        const root = find(cellKey(group[0]));
+        group.forEach(cell => parent.set(find(cellKey(cell)), root));
+    });
+
+    const orbits = [];
+    const seen = new Set();
+    maze.edges.forEach(edge => {
+        if (seen.has(edge)) return;
+        const orbit = maze.orbitOf(edge);
+        orbit.forEach(member => seen.add(member));
+        orbits.push(orbit);
+    });
+
+    shuffle(orbits, maze.rng).forEach(orbit => {
+        if (!orbit.some(edge => find(cellKey(edge.a)) !== find(cellKey(edge.b)))) return;
+
+        orbit.forEach(edge => {
+            const rootA = find(cellKey(edge.a));
+            const rootB = find(cellKey(edge.b));
+            if (rootA !== rootB) parent.set(rootA, rootB);
+            maze.open(edge);
+        });
+    });
+}
+
+// Wilson's: loop-erased random walks from each cell until they hit the tree
+function carveWilson(maze) {
+    const { start, rng } = maze;
+    const inTree = new Set([cellKey(start)]);
+
+    shuffle([...maze.cells], rng).forEach(cell => {
+        // Walk until the tree is reached, remembering only the last exit from
+        // each cell - following those afterwards erases the loops
+        const nextStep = new Map();
+        let current = cell;
+        while (!inTree.has(cellKey(current))) {
+            const step = pickRandom(maze.edgesOf(current), rng);
+            nextStep.set(cellKey(current), step);
+            current = step.neighbor;
+        }
+
+        current = cell;
+        while (!inTree.has(cellKey(current))) {
+            const step = nextStep.get(cellKey(current));
+            maze.open(step.edge);
+            inTree.add(cellKey(current));
+            current = step.neighbor;
+        }
+    });
+}
+
+// Hunt-and-kill: random walk until stuck, then hunt row by row for an
+// unvisited cell next to the carved area and continue from there
+function carveHuntAndKill(maze) {
+    const { start, rng } = maze;
+    const visited = new Set([cellKey(start)]);
+    let current = start;
+
+    while (current) {
+        const unvisited = maze.edgesOf(current).filter(({ neighbor }) => !visited.has(cellKey(neighbor)));
+        if (unvisited.length > 0) {
+            const choice = pickRandom(unvisited, rng);
+            maze.open(choice.edge);
+            visited.add(cellKey(choice.neighbor));
+            current = choice.neighbor;
+            continue;
+        }
+
+        current = null;
+        for (const cell of maze.cells) {
+            if (visited.has(cellKey(cell))) continue;
+
+            const carved = maze.edgesOf(cell).filter(({ neighbor }) => visited.has(cellKey(neighbor)));
+            if (carved.length > 0) {
+                maze.open(pickRandom(carved, rng).edge);
+                visited.add(cellKey(cell));
+                current = cell;
+                break;
+            }
+        }
+    }
+}
+
+// Braid: a DFS maze with its dead ends removed, preferring to join two dead ends at once
+function carveBraid(maze) {
+    carveDfs(maze);
+
+    const openCount = (cell) => maze.edgesOf(cell).filter(({ edge }) => maze.isOpen(edge)).length;
+
+    shuffle([...maze.cells], maze.rng).forEach(cell => {
+        // Earlier joins may already have removed this dead end
+        if (openCount(cell) !== 1) return;
+
+        const closed = maze.edgesOf(cell).filter(({ edge }) => !maze.isOpen(edge));
+        if (closed.length === 0) return;
+
+        const deadEnds = closed.filter(({ neighbor }) => openCount(neighbor) === 1);
+        maze.open(pickRandom(deadEnds.length > 0 ? deadEnds : closed, maze.rng).edge);
+    });
+}
+
+/**
+ * Get the cells of a room, or null if it doesn't fit on the grid
+ * @param {Object} maze - Maze context
+ * @param {string} shape - RoomShape value
+ * @param {number} size - Side length in triangles
+ * @param {number} i - Lattice vertex column (x = i * TRIANGLE_SIZE / 2), i + j odd
+ * @param {number} j - Lattice vertex row (z = j * TRIANGLE_HEIGHT)
+ * @param {boolean} pointsUp - For triangle rooms
+ * @returns {Array<Triangle>|null}
+ */
+function getRoomCells(maze, shape, size, i, j, pointsUp) {
+    const vx = i * TRIANGLE_SIZE * 0.5;
+    const vz = j * TRIANGLE_HEIGHT;
+    const epsilon = 1e-6;
+
+    let contains;
+    let rowRange;
+    if (shape === RoomShape.HEXAGON) {
+        // Flat-topped hexagon centered on the vertex, circumradius = side length
+        const radius = size * TRIANGLE_SIZE;
+        contains = (p) => Math.abs(p.z - vz) <= size * TRIANGLE_HEIGHT + epsilon &&
+            Math.sqrt(3) * Math.abs(p.x - vx) + Math.abs(p.z - vz) <= Math.sqrt(3) * radius + epsilon;
+        rowRange = [j - size, j + size - 1];
+    } else {
+        // Big triangle with its apex on the vertex
+        const dz = (pointsUp ? 1 : -1) * size * TRIANGLE_HEIGHT;
+        const apex = { x: vx, z: vz };
+        const baseLeft = { x: vx - size * TRIANGLE_SIZE * 0.5, z: vz + dz };
+        const baseRight = { x: vx + size * TRIANGLE_SIZE * 0.5, z: vz + dz };
+        contains = (p) => pointInTriangle(p.x, p.z, apex, baseLeft, baseRight);
+        rowRange = pointsUp ? [j, j + size - 1] : [j - size, j - 1];
+    }
+
+    const cells = [];
+    for (let row = rowRange[0]; row <= rowRange[1]; row++) {
+        for (let col = i - 2 * size; col <= i + 2 * size; col++) {
+            if (!contains(getTriangleCenter(row, col))) continue;
+
+            const cell = maze.getCell(row, col);
+            if (!cell) return null; // Sticks out of the grid
+            cells.push(cell);
+        }
+    }
+    return cells;
+}
+
+// Rooms: scatter non-touching rooms, open them up, then join everything with a
+// Kruskal corridor maze that treats each room as one already-connected cell
+function carveRooms(maze) {
+    const { rng } = maze;
+    const settings = { ...DEFAULT_ROOM_OPTIONS, ...(maze.options.rooms || {}) };
+    const maxRow = Math.max(...maze.cells.map(cell => cell.row));
+    const maxCol = Math.max(...maze.cells.map(cell => cell.col));
+
+    const rooms = [];
+    const roomOf = new Map(); // cell key -> room id
+    const attempts = settings.count * 20;
+
+    for (let attempt = 0; attempt < attempts && rooms.length < settings.count; attempt++) {
+        const shape = pickRandom(settings.shapes, rng);
+        const size = settings.minSize + Math.floor(rng() * (settings.maxSize - settings.minSize + 1));
+        const j = Math.floor(rng() * (maxRow + 2));
+        let i = Math.floor(rng() * (maxCol + 3));
+        if ((i + j) % 2 === 0) i -= 1; // Lattice vertices have i + j odd
+        const pointsUp = rng() < 0.5;
+
+        const cells = getRoomCells(maze, shape, size, i, j, pointsUp);
+        if (!cells || cells.length === 0) continue;
+
+        // Keep a corridor between rooms: no cell of the new room may touch an existing one
+        const touches = cells.some(cell => roomOf.has(cellKey(cell)) ||
+            maze.edgesOf(cell).some(({ neighbor }) => roomOf.has(cellKey(neighbor))));
+        if (touches) continue;
+
+        const room = { id: rooms.length, shape, size, cells };
+        cells.forEach(cell => roomOf.set(cellKey(cell), room.id));
+        rooms.push(room);
+    }
+
+    // Open each room's inside
+    rooms.forEach(room => {
+        room.cells.forEach(cell => {
+            maze.edgesOf(cell).forEach(({ edge, neighbor }) => {
+                if (roomOf.get(cellKey(neighbor)) === room.id && !maze.isOpen(edge)) {
+                    maze.open(edge);
+                }
+            });
+        });
+    });
+
+    carveKruskal(maze, rooms.map(room => room.cells));
+
+    return {
+        rooms: rooms.map(room => ({
+            id: room.id,
+            shape: room.shape,
+            size: room.size,
+            triangles: room.cells.map(cell => ({ row: cell.row, col: cell.col }))
+        }))
+    };
+}
+
+const MAZE_GENERATORS = Object.freeze({
+    [MazeAlgorithm.DFS]: carveDfs,
+    [MazeAlgorithm.PRIM]: carvePrim,
+    [MazeAlgorithm.KRUSKAL]: carveKruskal,
+    [MazeAlgorithm.WILSON]: carveWilson,
+    [MazeAlgorithm.HUNT_AND_KILL]: carveHuntAndKill,
+    [MazeAlgorithm.BRAID]: carveBraid,
+    [MazeAlgorithm.ROOMS]: carveRooms
+});
+
+/**
+ * Get the carving function for an algorithm
+ * @param {string} algorithm - MazeAlgorithm value
+ * @returns {Function|null} (maze) => void
+ */
+function getMazeGenerator(algorithm) {
+    return MAZE_GENERATORS[algorithm] || null;
+}
+
+export { MazeAlgorithm, RoomShape, getMazeGenerator };
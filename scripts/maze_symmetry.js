@@ -0,0 +1,149 @@
+// Maze Symmetry
+// Symmetry groups for generated mazes. Internal edges are grouped into orbits
+// (an edge and its mirrored/rotated copies); symmetric generation opens or
+// closes whole orbits, so every change is made to all copies at once.
+//
+// - left_right: mirror across the vertical center line (needs an odd number of triangles per row)
+// - top_bottom: mirror across the horizontal center line (needs an even number of rows)
+// - rotational: 120° rotations around the centroid of the center triangle. A rectangle
+//   isn't 3-fold symmetric, so copies that fall off the grid are dropped and the corners
+//   end up only partly symmetric.
+//
+// On a built-in grid shape (see grid_masks.js) the mirror lines and the rotation go
+// through the shape's own center instead, so a triangle or hexagon maze is symmetric
+// all over. A triangle has no top-bottom symmetry.
+
+import { TRIANGLE_SIZE, TRIANGLE_HEIGHT, SIDE_NAMES, getTriangleCenter, getSideVertices, worldToTriangle } from './triangle_coords.js';
+import { GridShape, getGridShapeCenter } from './grid_masks.js';
+
+/**
+ * Enum for maze symmetry
+ */
+const MazeSymmetry = Object.freeze({
+    NONE: 'none',
+    LEFT_RIGHT: 'left_right',
+    TOP_BOTTOM: 'top_bottom',
+    ROTATIONAL: 'rotational'
+});
+
+const EPSILON = 1e-6;
+
+// Midpoint of a triangle side in world space
+function getSideMidpoint(row, col, side) {
+    const [a, b] = getSideVertices(row, col, side);
+    return { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 };
+}
+
+/**
+ * Turn a world-space point transform into a transform of triangle sides
+ * @param {Function} transform - ({x, z}) => {x, z}, an isometry of the triangle lattice
+ * @returns {Function} (row, col, side) => {row, col, side}
+ */
+function toSideTransform(transform) {
+    return (row, col, side) => {
+        const center = transform(getTriangleCenter(row, col));
+        const image = worldToTriangle(center.x, center.z);
+        const midpoint = transform(getSideMidpoint(row, col, side));
+
+        // The image side is the one whose midpoint the transformed midpoint lands on
+        const imageSide = SIDE_NAMES.find(candidate => {
+            const m = getSideMidpoint(image.row, image.col, candidate);
+            return Math.abs(m.x - midpoint.x) < EPSILON && Math.abs(m.z - midpoint.z) < EPSILON;
+        });
+        return { row: image.row, col: image.col, side: imageSide };
+    };
+}
+
+/**
+ * Get the side transforms of a symmetry group, identity excluded
+ * @param {string} symmetry - MazeSymmetry value
+ * @param {number} numRows
+ * @param {number} trianglesPerRow
+ * @param {string|Array|Function|null} mask - The grid's mask (see grid_masks.js), default none
+ * @returns {Array<Function>} (row, col, side) => {row, col, side} (may be outside the grid)
+ * @throws {Error} For an unknown symmetry, or grid dimensions or a shape the symmetry can't map onto itself
+ */
+function getSymmetryTransforms(symmetry, numRows, trianglesPerRow, mask = null) {
+    if (symmetry === MazeSymmetry.NONE) {
+        return [];
+    }
+
+    const shapeCenter = getGridShapeCenter(mask, numRows, trianglesPerRow);
+
+    if (symmetry === MazeSymmetry.LEFT_RIGHT) {
+        if (trianglesPerRow % 2 === 0) {
+            throw new Error(`Left-right symmetry needs an odd number of triangles per row (got ${trianglesPerRow})`);
+        }
+        const width = shapeCenter ? 2 * shapeCenter.x : (trianglesPerRow + 1) * TRIANGLE_SIZE * 0.5;
+        return [toSideTransform(p => ({ x: width - p.x, z: p.z }))];
+    }
+
+    if (symmetry === MazeSymmetry.TOP_BOTTOM) {
+        if (numRows % 2 !== 0) {
+            throw new Error(`Top-bottom symmetry needs an even number of rows (got ${numRows})`);
+        }
+        if (mask === GridShape.TRIANGLE) {
+            throw new Error(`A ${GridShape.TRIANGLE} grid has no top-bottom symmetry; use left_right or rotational`);
+        }
+        const height = shapeCenter ? 2 * shapeCenter.z : numRows * TRIANGLE_HEIGHT;
+        return [toSideTransform(p => ({ x: p.x, z: height - p.z }))];
+    }
+
+    if (symmetry === MazeSymmetry.ROTATIONAL) {
+        const center = shapeCenter ?? getTriangleCenter(Math.floor(numRows / 2), Math.floor(trianglesPerRow / 2));
+        return [1, 2].map(turns => {
+            const angle = turns * 2 * Math.PI / 3;
+            const cos = Math.cos(angle);
+            const sin = Math.sin(angle);
+            return toSideTransform(p => ({
+                x: center.x + (p.x - center.x) * cos - (p.z - center.z) * sin,
+                z: center.z + (p.x - center.x) * sin + (p.z - center.z) * cos
+            }));
+        });
+    }
+
+    throw new Error(`Unknown maze symmetry "${symmetry}". Expected one of ${Object.values(MazeSymmetry).join(', ')}`);
+}
+
+/**
+ * Group internal edges into symmetry orbits
+ * @param {Array<Object>} edges - Internal edges {a, aSide, b, bSide}
+ * @param {Array<Function>} transforms - From getSymmetryTransforms
+ * @returns {Function} (edge) => Array of edges in its orbit (the edge itself first)
+ */
+function buildEdgeOrbits(edges, transforms) {
+    if (transforms.length === 0) {
+        return (edge) => [edge];
+    }
+
+    const edgeBySide = new Map(); // "row,col,side" (either face) -> edge
+    edges.forEach(edge => {
+        edgeBySide.set(`${edge.a.row},${edge.a.col},${edge.aSide}`, edge);
+        edgeBySide.set(`${edge.b.row},${edge.b.col},${edge.bSide}`, edge);
+    });
+
+    const orbits = new Map(); // edge -> shared orbit array
+    edges.forEach(edge => {
+        if (orbits.has(edge)) return;
+
+        const orbit = [edge];
+        transforms.forEach(transform => {
+            const image = transform(edge.a.row, edge.a.col, edge.aSide);
+            const imageEdge = edgeBySide.get(`${image.row},${image.col},${image.side}`);
+            // Copies off the grid (or onto its boundary) are dropped
+            if (imageEdge && !orbit.includes(imageEdge)) {
+                orbit.push(imageEdge);
+            }
+        });
+        orbit.forEach(member => {
+            if (!orbits.has(member)) orbits.set(member, orbit);
+        });
+    });
+
+    return (edge) => {
+        const orbit = orbits.get(edge);
+        return orbit[0] === edge ? orbit : [edge, ...orbit.filter(member => member !== edge)];
+    };
+}
+
+export { MazeSymmetry, getSymmetryTransforms, buildEdgeOrbits };
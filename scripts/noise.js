@@ -0,0 +1,83 @@
+// Noise
+// What the player's actions sound like, and how far the sound carries. A noise
+// spreads out from the player's triangle through the sides of the grid, one
+// triangle step at a time: each step costs one unit of loudness, getting through
+// a side that blocks walking costs that side type's muffling on top (mirrors and
+// glass dampen a noise, walls more so, see side_types.js), and a paired portal
+// passes it on to its partner. Whatever is left when the loudness runs out
+// doesn't hear it.
+//
+// Enemies react to the noises they hear (see GameState.emitNoise and
+// EnemyAI.hear); the minimap can draw how far each one carried.
+
+import { SIDE_NAMES } from './triangle_coords.js';
+import { getSideTypeMuffling } from './side_types.js';
+import { PriorityQueue } from './player_logic/priority_queue.js';
+
+/**
+ * Enum for what made a noise
+ */
+const NoiseSource = Object.freeze({
+    STEP: 'step',     // A turn-based move
+    TURN: 'turn',     // A turn-based rotation in place
+    SPRINT: 'sprint', // Every stride run with the sprint key held
+    BUMP: 'bump'      // Running into a mirror or wall
+});
+
+// Loudness per source, in triangle steps the noise carries over open floor
+const NOISE_LOUDNESS = Object.freeze({
+    [NoiseSource.STEP]: 2,
+    [NoiseSource.TURN]: 1,
+    [NoiseSource.SPRINT]: 4,
+    [NoiseSource.BUMP]: 5
+});
+
+/**
+ * Get how loud a noise source is
+ * @param {string} source - NoiseSource value
+ * @returns {number} Triangle steps it carries over open floor (0 for an unknown source)
+ */
+function getNoiseLoudness(source) {
+    return NOISE_LOUDNESS[source] ?? 0;
+}
+
+/**
+ * Spread a noise over the grid from a triangle
+ * @param {TriangularGrid} grid
+ * @param {number} row
+ * @param {number} col
+ * @param {number} reach - Loudness the noise starts out with
+ * @returns {Map<string, number>} "row,col" -> loudness lost getting there (at most `reach`),
+ *                                for every triangle it reaches
+ */
+function spreadNoise(grid, row, col, reach) {
+    const lost = new Map();
+    const start = grid.getTriangle(row, col);
+    if (!start) return lost;
+
+    lost.set(`${row},${col}`, 0);
+    const queue = new PriorityQueue();
+    queue.push(start, 0);
+    while (!queue.isEmpty()) {
+        const triangle = queue.pop();
+        const cost = lost.get(`${triangle.row},${triangle.col}`);
+
+        SIDE_NAMES.forEach(side => {
+            // Walking leads where the noise goes unhindered; otherwise it goes through the side
+            const passage = triangle.getPassage(side);
+            const neighbor = passage ? passage.triangle : triangle.neighbors[side];
+            if (!neighbor) return;
+
+            const next = cost + 1 + (passage ? 0 : getSideTypeMuffling(triangle.getSideState(side)));
+            const key = `${neighbor.row},${neighbor.col}`;
+            if (next <= reach && (!lost.has(key) || next < lost.get(key))) {
+                lost.set(key, next);
+                queue.push(neighbor, next);
+            }
+        });
+    }
+
+    return lost;
+}
+
+export { NoiseSource, getNoiseLoudness, spreadNoise };
@@ -25,6 +25,7 @@ class Character {
         this.orientation = Orientation.LEFT; // Current facing direction
         this.state = null;               // Character state (e.g., 'alive', 'dead', 'stunned')
         this.type = type;                // Character type identifier
+        this.worldPosition = null;       // Optional {x, z} render position while moving between triangles
     }
 
     /**
@@ -151,10 +152,12 @@ class Character {
 
     /**
      * Attempt to move the character forward through the side they're facing
+     * (a paired portal side leads out of its partner, see TriangularGrid.addPortal)
      * Direction determines the new orientation in the target triangle
      * @param {TriangularGrid} grid - The grid to move on
      * @param {string} direction - MovementDirection.FORWARD_LEFT or MovementDirection.FORWARD_RIGHT
-     * @returns {Object} Object with success (boolean), newRow, newCol, newOrientation
+     * @returns {Object} Object with success (boolean), newRow, newCol, newOrientation,
+     *                   and exited (true when stepping through an open boundary side)
      */
     move(grid, direction) {
         const currentTriangle = grid.getTriangle(this.row, this.col);
@@ -171,22 +174,21 @@ class Character {
         // Always move through the side we're currently facing
         const sideToCheck = this.orientation;
 
-        // Check if the side is blocked
-        const sideState = currentTriangle.getSideState(sideToCheck);
-        if (sideState !== 'empty') {
-            // Movement blocked
-            return {
-                success: false,
-                row: this.row,
-                col: this.col,
-                orientation: this.orientation
-            };
-        }
+        // Where the side leads: the neighbor, or the far side of a paired portal
+        const passage = currentTriangle.getPassage(sideToCheck);
+        if (!passage) {
+            // Edge of map - an open boundary side is the maze exit
+            if (currentTriangle.isSidePassable(sideToCheck) && !currentTriangle.neighbors[sideToCheck]) {
+                return {
+                    success: false,
+                    exited: true,
+                    row: this.row,
+                    col: this.col,
+                    orientation: this.orientation
+                };
+            }
 
-        // Check if neighbor exists
-        const neighbor = currentTriangle.neighbors[sideToCheck];
-        if (!neighbor) {
-            // Edge of map
+            // Movement blocked (mirrors, walls, closed doors, glass, unpaired portals...)
             return {
                 success: false,
                 row: this.row,
@@ -197,7 +199,8 @@ class Character {
 
         // Calculate new orientation based on direction
         // We need to find which side we entered from, then rotate based on direction
-        const enteredFromSide = currentTriangle.getNeighborCorrespondingSide(sideToCheck);
+        const neighbor = passage.triangle;
+        const enteredFromSide = passage.side;
         
         let newOrientation;
         if (direction === MovementDirection.FORWARD_RIGHT) {
@@ -262,18 +265,8 @@ class Character {
             return false;
         }
 
-        // Check the side we're facing
-        const sideToCheck = this.orientation;
-
-        // Check if side is empty
-        const sideState = currentTriangle.getSideState(sideToCheck);
-        if (sideState !== 'empty') {
-            return false;
-        }
-
-        // Check if neighbor exists
-        const neighbor = currentTriangle.neighbors[sideToCheck];
-        return neighbor !== null;
+        // Check the side we're facing leads somewhere (a neighbor or a paired portal)
+        return currentTriangle.getPassage(this.orientation) !== null;
     }
 }
 
@@ -0,0 +1,224 @@
+// Enemy AI
+// What the enemy wants to do, as a state machine driven by what it perceives:
+//
+// - patrol: walk a loop of waypoints over the grid
+// - chase: head for the player while it sees them, and for a few steps after
+// - investigate: walk to where it last had (or heard) the player
+// - search: look around that spot for a while, then go back to patrolling
+//
+// Seeing the player switches to chase from any state; hearing them (see noise.js)
+// switches to investigate, unless it is chasing already. The AI only picks goal
+// triangles; GameState finds the paths (see GameState.findEnemyPath). It thinks
+// once per enemy step and takes its tuning from the level (see enemy_tuning.js).
+// Every enemy has an AI of its own.
+
+import { resolveEnemyTuning } from '../enemy_tuning.js';
+import { createRng, pickRandom, shuffle } from '../rng.js';
+
+/**
+ * Enum for enemy behaviour states (also stored as the enemy Character's state)
+ */
+const EnemyState = Object.freeze({
+    PATROL: 'patrol',
+    INVESTIGATE: 'investigate',
+    CHASE: 'chase',
+    SEARCH: 'search'
+});
+
+class EnemyAI {
+    constructor() {
+        this.tuning = resolveEnemyTuning();
+        this.grid = null;
+        this.index = 0;           // Which of the enemies this AI drives
+        this.rng = Math.random;
+        this.state = EnemyState.PATROL;
+        this.route = [];          // Patrol waypoints, {row, col}
+        this.routeIndex = 0;      // Waypoint the patrol heads for
+        this.goal = null;         // {row, col} the enemy heads for (null = stay put)
+        this.lastKnown = null;    // {row, col} where it last had the player
+        this.stepsInState = 0;    // Steps since the last state change
+        this.stepsUnseen = 0;     // Steps since it last saw the player
+    }
+
+    /**
+     * Start over on a grid with the grid's tuning: patrol from the first waypoint
+     * @param {TriangularGrid} grid
+     * @param {Object} start - {row, col} of the enemy
+     * @param {number} index - Which of the enemies this is (each gets its own random numbers)
+     */
+    reset(grid, start, index = 0) {
+        this.grid = grid;
+        this.index = index;
+        this.tuning = resolveEnemyTuning(grid.enemyTuning);
+        const seed = grid.generationParams?.seed ?? null;
+        this.rng = createRng(seed === null || index === 0 ? seed : `${seed}:${index}`);
+        this.route = this.tuning.patrol.route
+            ? this.tuning.patrol.route.map(({ row, col }) => ({ row, col }))
+            : this.pickRoute(start, this.tuning.patrol.waypoints);
+        // Enemies sharing the level's route spread out along it
+        this.routeIndex = this.tuning.patrol.route ? index % this.route.length : 0;
+        this.lastKnown = null;
+        this.stepsUnseen = 0;
+        this.setState(EnemyState.PATROL);
+        this.goal = this.route[this.routeIndex] ?? null;
+    }
+
+    /**
+     * Update the state from what the enemy perceives and pick the next goal
+     * @param {Object} enemy - {row, col}
+     * @param {Object} player - {row, col}
+     * @param {boolean} seesPlayer - Whether the enemy sees the player this step
+     * @returns {Object|null} The goal, {row, col}
+     */
+    think(enemy, player, seesPlayer) {
+        this.stepsInState++;
+
+        if (seesPlayer) {
+            this.lastKnown = { row: player.row, col: player.col };
+            this.stepsUnseen = 0;
+            if (this.state !== EnemyState.CHASE) this.setState(EnemyState.CHASE);
+        } else if (this.state === EnemyState.CHASE) {
+            this.stepsUnseen++;
+            if (this.stepsUnseen <= this.tuning.chase.memory) {
+                this.lastKnown = { row: player.row, col: player.col }; // Still on their trail
+            } else {
+                this.setState(EnemyState.INVESTIGATE);
+            }
+        }
+
+        if (this.state === EnemyState.INVESTIGATE &&
+            (this.isAt(enemy, this.lastKnown) || this.stepsInState > this.tuning.investigate.maxSteps)) {
+            this.setState(EnemyState.SEARCH);
+        }
+        if (this.state === EnemyState.SEARCH && this.stepsInState > this.tuning.search.duration) {
+            this.setState(EnemyState.PATROL);
+        }
+
+        switch (this.state) {
+            case EnemyState.CHASE:
+            case EnemyState.INVESTIGATE:
+                this.goal = this.lastKnown;
+                break;
+            case EnemyState.SEARCH:
+                if (!this.goal || this.isAt(enemy, this.goal)) this.goal = this.pickSearchSpot(enemy);
+                break;
+            case EnemyState.PATROL:
+                if (this.isAt(enemy, this.route[this.routeIndex])) {
+                    this.routeIndex = (this.routeIndex + 1) % this.route.length;
+                }
+                this.goal = this.route[this.routeIndex] ?? null;
+                break;
+        }
+        return this.goal;
+    }
+
+    /**
+     * Hear out a noise: unless the enemy is chasing the player already, it goes to
+     * look where the noise came from
+     * @param {Object} noise - {row, col, loudness}, see GameState.emitNoise
+     * @param {number} lost - Loudness the noise lost on its way to the enemy
+     * @returns {boolean} Whether the enemy heard it
+     */
+    hear(noise, lost) {
+        if (lost > noise.loudness * this.tuning.perception.hearing) return false;
+        if (this.state === EnemyState.CHASE) return true;
+
+        this.lastKnown = { row: noise.row, col: noise.col };
+        this.setState(EnemyState.INVESTIGATE);
+        this.goal = this.lastKnown;
+        return true;
+    }
+
+    /**
+     * Give up on a goal the enemy can't reach and move on to the next one
+     * (a chase keeps its goal - the player may come back into reach)
+     * @param {Object} enemy - {row, col}
+     * @returns {Object|null} The new goal
+     */
+    abandonGoal(enemy) {
+        if (this.state === EnemyState.PATROL && this.route.length > 0) {
+            this.routeIndex = (this.routeIndex + 1) % this.route.length;
+            this.goal = this.route[this.routeIndex];
+        } else if (this.state === EnemyState.INVESTIGATE || this.state === EnemyState.SEARCH) {
+            if (this.state === EnemyState.INVESTIGATE) this.setState(EnemyState.SEARCH);
+            this.goal = this.pickSearchSpot(enemy);
+        }
+        return this.goal;
+    }
+
+    setState(state) {
+        if (state !== this.state) {
+            console.log(`👹 Enemy ${this.index + 1}: ${this.state} → ${state}`);
+        }
+        this.state = state;
+        this.stepsInState = 0;
+        this.goal = null;
+    }
+
+    getState() {
+        return this.state;
+    }
+
+    getGoal() {
+        return this.goal;
+    }
+
+    /**
+     * Get how fast the enemy moves in its current state
+     * @returns {number} Factor on EnemyController's speed
+     */
+    getSpeedFactor() {
+        return this.tuning[this.state].speed;
+    }
+
+    isAt(enemy, position) {
+        return Boolean(position) && enemy.row === position.row && enemy.col === position.col;
+    }
+
+    /**
+     * Pick a random triangle the enemy can walk to near its last known player position
+     * @param {Object} enemy - {row, col}
+     * @returns {Object} {row, col} (the search centre itself if there is nothing else)
+     */
+    pickSearchSpot(enemy) {
+        const center = this.lastKnown ?? enemy;
+        const spots = Array.from(this.grid.findReachable(center.row, center.col))
+            .filter(([key, distance]) => distance > 0 && distance <= this.tuning.search.radius && key !== `${enemy.row},${enemy.col}`)
+            .map(([key]) => {
+                const [row, col] = key.split(',').map(Number);
+                return { row, col };
+            });
+        return spots.length > 0 ? pickRandom(spots, this.rng) : { row: center.row, col: center.col };
+    }
+
+    /**
+     * Pick patrol waypoints spread over the part of the grid the enemy can walk,
+     * ending back where it starts
+     * @param {Object} start - {row, col}
+     * @param {number} count - Waypoints besides the start
+     * @returns {Array<Object>} {row, col}
+     */
+    pickRoute(start, count) {
+        const candidates = shuffle(Array.from(this.grid.findReachable(start.row, start.col).keys()), this.rng)
+            .map(key => {
+                const [row, col] = key.split(',').map(Number);
+                return { row, col };
+            });
+        const route = [{ row: start.row, col: start.col }];
+
+        // Farthest point first: each waypoint is as far as possible from the ones already picked
+        const distanceToRoute = (point) => Math.min(...route.map(waypoint =>
+            this.grid.getTriangleDistance(point.row, point.col, waypoint.row, waypoint.col)));
+        while (route.length <= count && candidates.length > 0) {
+            const distances = candidates.map(distanceToRoute);
+            const best = distances.indexOf(Math.max(...distances));
+            if (distances[best] === 0) break;
+            route.push(candidates.splice(best, 1)[0]);
+        }
+
+        // The start goes last, so the loop begins by walking away from it
+        return [...route.slice(1), route[0]];
+    }
+}
+
+export { EnemyAI, EnemyState };
@@ -0,0 +1,292 @@
+// Enemy Controller
+// Time-driven enemy movement with smooth world-space interpolation, for every
+// enemy at once. Where each enemy heads is up to its AI (see enemy_ai.js), which
+// thinks after every step; no enemy steps into a triangle another one holds.
+// With GameState's freeze rule on, an enemy the player can see stops mid-step.
+
+import gameState from './game_state.js';
+import { getTriangleCenter, getSideVertices } from '../triangle_coords.js';
+import { SideType } from '../side_types.js';
+
+const MAX_STEPS_PER_UPDATE = 4; // Steps one enemy may finish in a single update, however long the frame
+
+/**
+ * Enum for how the enemy is driven
+ */
+const EnemyControlMode = Object.freeze({
+    REAL_TIME: 'real_time',   // Each enemy walks its path to its AI's goal on its own clock (SimpleMovement)
+    TURN_BASED: 'turn_based'  // GameState.incrementTurn moves the enemies, we only animate them (MovementSystem)
+});
+
+// Movement state of one enemy
+function createWalker() {
+    return {
+        path: [],                // Remaining GraphNodes towards the AI's goal
+        plannedGoalKey: null,    // Goal triangle ("row,col") the path was planned for
+        plannedGraphVersion: -1, // GameState.graphVersion the path was planned on
+        stepFrom: null,          // World position {x, z} the current step started at
+        stepProgress: 0,         // 0..1 progress of the current step
+        logicalKey: null         // Enemy triangle we last animated towards (turn-based)
+    };
+}
+
+class EnemyController {
+    /**
+     * @param {string} mode - EnemyControlMode value
+     * @param {Object} options - Optional tuning
+     * @param {number} options.speed - Movement speed in triangles per second (scaled per AI state,
+     *                                  see enemy_tuning.js)
+     * @param {number} options.rotationTime - Seconds spent on each in-place rotation step
+     */
+    constructor(mode = EnemyControlMode.REAL_TIME, options = {}) {
+        this.mode = mode;
+        this.speed = options.speed ?? 1.2;
+        this.rotationTime = options.rotationTime ?? 0.15;
+
+        this.walkers = []; // One per enemy, in GameState's order (see createWalker)
+    }
+
+    /**
+     * Set the movement speed
+     * @param {number} trianglesPerSecond
+     */
+    setSpeed(trianglesPerSecond) {
+        this.speed = Math.max(0, trianglesPerSecond);
+    }
+
+    /**
+     * Discard the current paths and animation state (e.g. after a new grid is set)
+     */
+    reset() {
+        this.walkers = [];
+        gameState.getEnemies().forEach(enemy => {
+            enemy.worldPosition = null;
+        });
+    }
+
+    update(deltaTime) {
+        if (!gameState.getGrid() || !gameState.getGridGraph()) return;
+
+        // A new grid may bring a different number of enemies
+        const enemies = gameState.getEnemies();
+        if (this.walkers.length !== enemies.length) {
+            this.walkers = enemies.map(() => createWalker());
+        }
+
+        enemies.forEach((enemy, index) => {
+            const walker = this.walkers[index];
+            if (!walker.stepFrom) {
+                walker.stepFrom = getTriangleCenter(enemy.row, enemy.col);
+                walker.logicalKey = `${enemy.row},${enemy.col}`;
+            }
+
+            if (this.mode === EnemyControlMode.REAL_TIME) {
+                this.updateRealTime(index, deltaTime);
+            } else {
+                this.updateTurnBased(index, deltaTime);
+            }
+        });
+    }
+
+    updateRealTime(index, deltaTime) {
+        const enemy = gameState.getEnemy(index);
+        const walker = this.walkers[index];
+
+        // Frozen mid-stride while the player watches
+        if (gameState.isEnemyWatched(index)) {
+            enemy.worldPosition = this.getInterpolatedPosition(index);
+            return;
+        }
+
+        // Re-plan when the AI picked another goal or a door changed the graph
+        if (this.getGoalKey(index) !== walker.plannedGoalKey || walker.plannedGraphVersion !== gameState.graphVersion) {
+            this.replan(index);
+        }
+
+        let remaining = deltaTime;
+        let steps = 0;
+        while (remaining > 0 && steps < MAX_STEPS_PER_UPDATE) {
+            const speed = this.speed * gameState.getEnemyAI(index).getSpeedFactor();
+            if (speed <= 0) break;
+
+            // Without a step to take (at the goal, or no way there) the enemy stands still for one
+            const next = walker.path[0];
+            const duration = next && this.isRotationStep(index, next) ? this.rotationTime : 1 / speed;
+            const timeLeft = (1 - walker.stepProgress) * duration;
+
+            if (remaining < timeLeft) {
+                walker.stepProgress += remaining / duration;
+                break;
+            }
+
+            // Step complete - commit it to the enemy's grid position
+            remaining -= timeLeft;
+            walker.stepProgress = 0;
+            steps++;
+            if (next && gameState.getTakenTriangles(index).has(`${next.row},${next.col}`)) {
+                // Another enemy got there first (both went for the player, who has moved on)
+                walker.path = [];
+                this.replan(index);
+                continue;
+            }
+            if (next) {
+                enemy.setPosition(next.row, next.col, next.orientation);
+                walker.path.shift();
+                walker.stepFrom = getTriangleCenter(next.row, next.col);
+            }
+
+            // Look around after every step, and keep going within the same frame.
+            // Another enemy may have taken the next triangle meanwhile - go around it.
+            gameState.updateEnemyAI(index);
+            if (walker.path.length === 0 || this.getGoalKey(index) !== walker.plannedGoalKey ||
+                this.isStepTaken(index, walker.path[0])) {
+                this.replan(index);
+            }
+        }
+
+        enemy.worldPosition = this.getInterpolatedPosition(index);
+    }
+
+    updateTurnBased(index, deltaTime) {
+        const enemy = gameState.getEnemy(index);
+        const walker = this.walkers[index];
+        const enemyKey = `${enemy.row},${enemy.col}`;
+
+        // The turn system teleports the enemy - glide from wherever we are drawn now
+        if (enemyKey !== walker.logicalKey) {
+            walker.stepFrom = enemy.worldPosition || walker.stepFrom;
+            // A step through a portal jumps across the maze - snap instead of gliding through walls
+            const [row, col] = walker.logicalKey.split(',').map(Number);
+            if (gameState.getGrid().getTriangleDistance(row, col, enemy.row, enemy.col) > 1) {
+                walker.stepFrom = getTriangleCenter(enemy.row, enemy.col);
+            }
+            walker.stepProgress = 0;
+            walker.logicalKey = enemyKey;
+        }
+
+        // The glide waits while the player watches, like the step itself
+        if (!gameState.isEnemyWatched(index)) {
+            walker.stepProgress = Math.min(1, walker.stepProgress + deltaTime * this.speed);
+        }
+        enemy.worldPosition = this.stepTowards(index, enemy.row, enemy.col, walker.stepProgress);
+    }
+
+    /**
+     * Plan a new path from an enemy's current node to its AI's goal, keeping out of
+     * the triangles the other enemies stand in or are stepping into
+     * @param {number} index - Which enemy
+     */
+    replan(index) {
+        const walker = this.walkers[index];
+        const previousNext = walker.path[0];
+        walker.path = gameState.findEnemyPath(index, Infinity, this.getTakenKeys(index));
+        walker.plannedGoalKey = this.getGoalKey(index);
+        walker.plannedGraphVersion = gameState.graphVersion;
+
+        const next = walker.path[0];
+        const sameStep = previousNext && next &&
+            previousNext.row === next.row && previousNext.col === next.col;
+
+        // Changing direction mid-step: start the new step from where we are drawn
+        // (standing still, that is where we stand)
+        if (!sameStep && walker.stepProgress > 0) {
+            if (previousNext) {
+                walker.stepFrom = this.getInterpolatedPosition(index, previousNext);
+            }
+            walker.stepProgress = 0;
+        }
+    }
+
+    // The AI's goal triangle as "row,col" (null without one)
+    getGoalKey(index) {
+        const goal = gameState.getEnemyAI(index).getGoal();
+        return goal ? `${goal.row},${goal.col}` : null;
+    }
+
+    // The triangle ("row,col") a path node steps into, null for a rotation or no step
+    getStepKey(index, node) {
+        return node && !this.isRotationStep(index, node) ? `${node.row},${node.col}` : null;
+    }
+
+    // Triangles the other enemies are stepping into ("row,col"); where they stand
+    // is up to GameState.getTakenTriangles
+    getTakenKeys(index) {
+        return this.walkers
+            .map((walker, other) => other === index ? null : this.getStepKey(other, walker.path[0]))
+            .filter(key => key !== null);
+    }
+
+    // Whether a path node steps into a triangle another enemy stands in or is stepping into
+    isStepTaken(index, node) {
+        const key = this.getStepKey(index, node);
+        return key !== null && gameState.getTakenTriangles(index, this.getTakenKeys(index)).has(key);
+    }
+
+    /**
+     * Check whether a path node only rotates an enemy in place
+     * @param {number} index - Which enemy
+     * @param {GraphNode} node
+     */
+    isRotationStep(index, node) {
+        const enemy = gameState.getEnemy(index);
+        return node.row === enemy.row && node.col === enemy.col;
+    }
+
+    /**
+     * Get an enemy's current world position along its step towards `next`
+     * @param {number} index - Which enemy
+     * @param {GraphNode} next - Defaults to the first node of the enemy's path
+     * @returns {Object} {x, z}
+     */
+    getInterpolatedPosition(index, next = this.walkers[index].path[0]) {
+        const walker = this.walkers[index];
+        if (!next || this.isRotationStep(index, next)) {
+            return { ...walker.stepFrom };
+        }
+
+        // Through a portal: walk into the portal side, then out of its partner
+        const enemy = gameState.getEnemy(index);
+        const triangle = gameState.getGrid().getTriangle(enemy.row, enemy.col);
+        const passage = triangle?.getPassage(enemy.orientation);
+        if (passage && triangle.getSideState(enemy.orientation) === SideType.PORTAL) {
+            const [a, b] = getSideVertices(enemy.row, enemy.col, enemy.orientation);
+            const [c, d] = getSideVertices(passage.triangle.row, passage.triangle.col, passage.side);
+            if (walker.stepProgress < 0.5) {
+                return this.lerp(walker.stepFrom, { x: (a.x + b.x) / 2, z: (a.z + b.z) / 2 }, walker.stepProgress * 2);
+            }
+            return this.lerp({ x: (c.x + d.x) / 2, z: (c.z + d.z) / 2 }, getTriangleCenter(next.row, next.col), walker.stepProgress * 2 - 1);
+        }
+
+        return this.stepTowards(index, next.row, next.col, walker.stepProgress);
+    }
+
+    /**
+     * Interpolate an enemy from its stepFrom towards the center of a triangle. On a wrapped
+     * grid the enemy heads for the copy of the triangle next to it rather than across the grid.
+     * @param {number} index - Which enemy
+     * @param {number} row
+     * @param {number} col
+     * @param {number} t - 0..1
+     * @returns {Object} {x, z}, wrapped back onto the grid
+     */
+    stepTowards(index, row, col, t) {
+        const grid = gameState.getGrid();
+        const { stepFrom } = this.walkers[index];
+        const period = grid.getWrapPeriod();
+        const target = getTriangleCenter(row, col);
+        if (period.x > 0) target.x += Math.round((stepFrom.x - target.x) / period.x) * period.x;
+        if (period.z > 0) target.z += Math.round((stepFrom.z - target.z) / period.z) * period.z;
+
+        const position = this.lerp(stepFrom, target, t);
+        return grid.wrapWorldPosition(position.x, position.z);
+    }
+
+    lerp(from, to, t) {
+        return {
+            x: from.x + (to.x - from.x) * t,
+            z: from.z + (to.z - from.z) * t
+        };
+    }
+}
+
+export { EnemyController, EnemyControlMode };
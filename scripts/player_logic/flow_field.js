@@ -0,0 +1,113 @@
+// Flow Field
+// Every node's cost to reach one triangle, from a single Dijkstra search over the
+// GridGraph. Enemies chasing the player all read the same field (see
+// GameState.getPlayerFlowField) and walk downhill instead of each running A*.
+//
+// The graph is directed (a node only moves through the side it faces), so the
+// search starts at the target and walks the edges backwards.
+
+import { PriorityQueue } from './priority_queue.js';
+import { SIDE_NAMES } from '../triangle_coords.js';
+
+class FlowField {
+    constructor() {
+        this.target = null;         // {row, col} the field leads to
+        this.distances = new Map(); // nodeId -> cost to reach the target (missing = can't)
+    }
+
+    /**
+     * Compute the field towards a triangle (any orientation in it counts as reached)
+     * @param {GridGraph} graph
+     * @param {number} row
+     * @param {number} col
+     */
+    compute(graph, row, col) {
+        this.target = { row, col };
+        this.distances = new Map();
+
+        // Incoming edges of every node, {node, cost}
+        const incoming = new Map();
+        for (const node of graph.nodes.values()) {
+            for (const edge of node.edges) {
+                const targetId = edge.targetNode.getId();
+                if (!incoming.has(targetId)) incoming.set(targetId, []);
+                incoming.get(targetId).push({ node, cost: edge.cost });
+            }
+        }
+
+        const queue = new PriorityQueue();
+        SIDE_NAMES.forEach(side => {
+            const node = graph.getNode(row, col, side);
+            if (node) {
+                this.distances.set(node.getId(), 0);
+                queue.push(node, 0);
+            }
+        });
+
+        const done = new Set();
+        while (!queue.isEmpty()) {
+            const node = queue.pop();
+            const nodeId = node.getId();
+            if (done.has(nodeId)) continue; // Stale entry
+            done.add(nodeId);
+
+            const distance = this.distances.get(nodeId);
+            for (const { node: source, cost } of incoming.get(nodeId) ?? []) {
+                const sourceId = source.getId();
+                if (!this.distances.has(sourceId) || distance + cost < this.distances.get(sourceId)) {
+                    this.distances.set(sourceId, distance + cost);
+                    queue.push(source, distance + cost);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get a node's cost to reach the target
+     * @param {GraphNode} node
+     * @returns {number} Infinity if it can't
+     */
+    getDistance(node) {
+        return this.distances.get(node.getId()) ?? Infinity;
+    }
+
+    /**
+     * Get the best step from a node: the edge leaving the least cost to go
+     * @param {GraphNode} node
+     * @param {Function} canEnter - (GraphNode) => boolean, steps it refuses are passed over
+     * @returns {GraphNode|null} null at the target, or if no allowed step gets closer
+     */
+    getNextNode(node, canEnter = () => true) {
+        const current = this.getDistance(node);
+        let best = null;
+        let bestCost = Infinity;
+        for (const edge of node.edges) {
+            const distance = this.getDistance(edge.targetNode);
+            if (distance < current && edge.cost + distance < bestCost && canEnter(edge.targetNode)) {
+                best = edge.targetNode;
+                bestCost = edge.cost + distance;
+            }
+        }
+        return best;
+    }
+
+    /**
+     * Follow the field downhill from a node
+     * @param {GraphNode} node
+     * @param {number} maxSteps - Maximum number of steps to return (default: all the way)
+     * @param {Function} canEnter - (GraphNode) => boolean, see getNextNode
+     * @returns {Array<GraphNode>} Next nodes (excluding the start); stops early where
+     *                             every step closer is refused
+     */
+    getPath(node, maxSteps = Infinity, canEnter = () => true) {
+        const path = [];
+        let next = this.getNextNode(node, canEnter);
+        while (next && path.length < maxSteps) {
+            path.push(next);
+            next = this.getNextNode(next, canEnter);
+        }
+        return path;
+    }
+}
+
+export { FlowField };
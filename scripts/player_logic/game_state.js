@@ -1,14 +1,36 @@
-import { TriangularGrid } from '../grid_system.js';
-import { Character } from './character.js';
+import { TriangularGrid, GridEvent } from '../grid_system.js';
+import { Character, Orientation } from './character.js';
 import { GridGraph } from './grid_graph.js';
+import { PriorityQueue } from './priority_queue.js';
+import { EnemyAI } from './enemy_ai.js';
+import { FlowField } from './flow_field.js';
+import { getTriangleCenter } from '../triangle_coords.js';
+import { STEP_LENGTH, findSightPaths, isDirectionInFieldOfView, isSeenFromCamera } from '../line_of_sight.js';
+import { getNoiseLoudness, spreadNoise } from '../noise.js';
+
+const ENEMY_BILLBOARD_WIDTH = 0.55; // ENEMY_QUAD_WIDTH in raycast.frag.glsl
+const WATCH_YAW_STEP = Math.PI / 90; // Camera turns smaller than this (2°) reuse the last sight check
+const WATCH_POSITION_STEP = 0.02; // Camera or enemy moves smaller than this (world units) reuse it too
+const MAX_NOISES = 16; // Recent noises kept around (for the minimap's overlay)
 
 class GameState {
     constructor() {
         this.grid = null;
         this.gridGraph = null;
+        this.graphVersion = 0; // Bumped whenever the graph is rebuilt or patched (cached paths are stale)
         this.turnCounter = 0;
         this.player = new Character('player');
-        this.enemy = new Character('enemy');
+        this.enemies = [new Character('enemy')];
+        this.enemyAIs = [new EnemyAI()]; // Pick where each enemy goes (state stored on its Character)
+        this.playerFlowField = new FlowField(); // Shared by every enemy chasing the player
+        this.flowFieldKey = null; // Player triangle and graphVersion the flow field was computed for
+        this.enemiesFreezeWhenWatched = false; // Enemies only move while the player can't see them
+        this.watchedEnemies = []; // Per enemy, whether the camera saw it this frame (see updateWatchedEnemies)
+        this.watchedEnemyKeys = []; // Per enemy, the camera and enemy positions watchedEnemies was worked out for
+        this.noises = []; // The latest noises the player made, oldest first (see emitNoise)
+        this.playerEscaped = false;
+        this.outcome = null; // {result, reason, turn, seed} once the game has ended
+        this.unsubscribeGrid = []; // Stop bumping graphVersion on the grid's side and portal changes
     }
 
     /**
@@ -17,19 +39,48 @@ class GameState {
      */
     setGrid(grid) {
         this.grid = grid;
+        this.playerEscaped = false;
+        this.outcome = null;
+        this.noises = [];
         
         // Build the graph from the grid
-        this.gridGraph = new GridGraph();
-        this.gridGraph.buildFromGrid(grid);
+        this.buildGraph();
         
-        // Set initial positions
-        // Player at (0, 0)
-        this.player.setPosition(0, 0, 'left');
+        // Set initial positions from the level's spawns (player defaults to (0, 0),
+        // a single enemy to max row and max col)
+        const playerSpawn = grid.getSpawn('player');
+        this.player.setPosition(playerSpawn.row, playerSpawn.col, playerSpawn.orientation);
         
-        // Enemy at max row and max col
-        const maxRow = this.grid.getRowCount() - 1;
-        const maxCol = this.grid.getRowLength(maxRow) - 1;
-        this.enemy.setPosition(maxRow, maxCol, 'right');
+        this.placeEnemies(grid.getEnemySpawns());
+    }
+
+    /**
+     * Load a level in the JSON level format and make it the current grid
+     * @param {string|Object} source - Level JSON text or parsed level data
+     * @returns {TriangularGrid} The new grid
+     * @throws {LevelValidationError} If the level is malformed
+     */
+    loadLevel(source) {
+        const grid = new TriangularGrid();
+        grid.loadLevel(source);
+        this.setGrid(grid);
+        return grid;
+    }
+
+    /**
+     * Export the current grid as level data. Spawns come from the grid, or from the
+     * characters' current positions when the grid has none (e.g. a generated maze).
+     * @param {Object} options - {name, author}, see TriangularGrid.exportLevel
+     * @returns {Object|null} Level data, or null without a grid
+     */
+    exportLevel(options = {}) {
+        if (!this.grid) return null;
+
+        const toSpawn = (character) => ({ row: character.row, col: character.col, orientation: character.orientation });
+        const spawns = this.grid.spawns || (this.enemies.length === 1
+            ? { player: toSpawn(this.player), enemy: toSpawn(this.enemies[0]) }
+            : { player: toSpawn(this.player), enemies: this.enemies.map(toSpawn) });
+        return this.grid.exportLevel({ spawns, ...options });
     }
 
     initializeGrid(numRows, trianglesPerRow) {
@@ -37,15 +88,57 @@ class GameState {
         this.grid.initialize(numRows, trianglesPerRow);
         
         // Build the graph from the grid
-        this.gridGraph = new GridGraph();
-        this.gridGraph.buildFromGrid(this.grid);
+        this.buildGraph();
         
         // Set initial positions after grid creation
-        this.player.setPosition(0, 0, 'left');
+        const playerSpawn = this.grid.getSpawn('player');
+        this.player.setPosition(playerSpawn.row, playerSpawn.col, playerSpawn.orientation);
         
-        const maxRow = this.grid.getRowCount() - 1;
-        const maxCol = this.grid.getRowLength(maxRow) - 1;
-        this.enemy.setPosition(maxRow, maxCol, 'right');
+        this.placeEnemies(this.grid.getEnemySpawns());
+    }
+
+    /**
+     * Put a new enemy on each spawn, each with an AI of its own
+     * @param {Array<Object>} spawns - {row, col, orientation}
+     */
+    placeEnemies(spawns) {
+        this.enemies = spawns.map(spawn => {
+            const enemy = new Character('enemy');
+            enemy.setPosition(spawn.row, spawn.col, spawn.orientation);
+            return enemy;
+        });
+        this.enemyAIs = this.enemies.map(() => new EnemyAI());
+        this.resetEnemyAI();
+    }
+
+    /**
+     * Start the enemy AIs over on the current grid (patrolling from where each enemy stands)
+     */
+    resetEnemyAI() {
+        this.enemies.forEach((enemy, index) => {
+            this.enemyAIs[index].reset(this.grid, enemy, index);
+            enemy.setState(this.enemyAIs[index].getState());
+        });
+    }
+
+    /**
+     * Build the graph for the current grid. The graph patches itself as the grid's sides
+     * and portals change; each change also bumps graphVersion so cached paths get replanned.
+     */
+    buildGraph() {
+        if (this.gridGraph) {
+            this.gridGraph.dispose();
+        }
+        this.unsubscribeGrid.forEach(unsubscribe => unsubscribe());
+
+        this.gridGraph = new GridGraph();
+        this.gridGraph.buildFromGrid(this.grid);
+        this.graphVersion++;
+        // Subscribed after the graph, so it is already patched when the version changes
+        this.unsubscribeGrid = [
+            this.grid.on(GridEvent.SIDE_CHANGED, () => this.graphVersion++),
+            this.grid.on(GridEvent.PORTALS_CHANGED, () => this.graphVersion++)
+        ];
     }
 
     /**
@@ -59,35 +152,175 @@ class GameState {
     }
 
     /**
-     * Set the enemy's position and orientation
+     * Set an enemy's position and orientation
      * @param {number} row - Row coordinate
      * @param {number} col - Column coordinate
      * @param {string} orientation - 'left', 'right', or 'third'
+     * @param {number} index - Which enemy (default: the first)
+     */
+    setEnemyPosition(row, col, orientation, index = 0) {
+        this.enemies[index].setPosition(row, col, orientation);
+    }
+
+    /**
+     * Turn the "moves only when unobserved" rule on or off: enemies freeze while the
+     * player sees them, straight on or in any mirror
+     * @param {boolean} enabled
+     */
+    setEnemiesFreezeWhenWatched(enabled) {
+        this.enemiesFreezeWhenWatched = enabled;
+        this.watchedEnemies = [];
+        this.watchedEnemyKeys = [];
+    }
+
+    /**
+     * Work out which enemies the camera sees this frame (only with the freeze rule
+     * on - it costs a sight search per enemy). An enemy is only searched for again
+     * once the camera's position (to WATCH_POSITION_STEP) or yaw (to WATCH_YAW_STEP),
+     * the enemy's position or the graph changed since its last search, so a camera
+     * and enemies that stand still cost nothing.
+     * @param {Object|null} camera - {x, z, yaw, fieldOfView}, see SceneRenderer.getCameraView
+     */
+    updateWatchedEnemies(camera) {
+        if (!this.grid || !camera || !this.enemiesFreezeWhenWatched) {
+            this.watchedEnemies = [];
+            this.watchedEnemyKeys = [];
+            return;
+        }
+
+        const quantize = (point) => `${Math.round(point.x / WATCH_POSITION_STEP)},${Math.round(point.z / WATCH_POSITION_STEP)}`;
+        const cameraKey = `${quantize(camera)}/${Math.round(camera.yaw / WATCH_YAW_STEP)}/` +
+            `${camera.fieldOfView.toFixed(2)}@${this.graphVersion}`;
+        this.watchedEnemies = this.enemies.map((enemy, index) => {
+            const position = this.getEnemyWorldPosition(index);
+            if (position === null) {
+                this.watchedEnemyKeys[index] = null;
+                return false;
+            }
+
+            const key = `${cameraKey}>${quantize(position)}`;
+            if (key !== this.watchedEnemyKeys[index]) {
+                this.watchedEnemyKeys[index] = key;
+                return isSeenFromCamera(this.grid, camera, position, { width: ENEMY_BILLBOARD_WIDTH });
+            }
+            return this.watchedEnemies[index] === true;
+        });
+    }
+
+    /**
+     * Check whether an enemy has to stand still because the player is watching it
+     * @param {number} index - Which enemy (default: the first)
+     * @returns {boolean}
+     */
+    isEnemyWatched(index = 0) {
+        return this.watchedEnemies[index] === true;
+    }
+
+    /**
+     * Make a noise in a triangle. It spreads over the grid (see noise.js), and
+     * every enemy that hears it goes to look (see EnemyAI.hear).
+     * @param {number} row
+     * @param {number} col
+     * @param {string} source - NoiseSource value
+     * @returns {Object|null} The noise, {row, col, source, loudness, reach, spread, time}
+     *   (reach: how far the keenest ears hear it, spread: "row,col" -> loudness lost getting
+     *   there, within reach), or null without a grid
+     */
+    emitNoise(row, col, source) {
+        if (!this.grid) return null;
+
+        const loudness = getNoiseLoudness(source);
+        const hearing = Math.max(1, ...this.enemyAIs.map(ai => ai.tuning.perception.hearing));
+        const reach = loudness * hearing;
+        const noise = {
+            row, col, source, loudness, reach,
+            spread: spreadNoise(this.grid, row, col, reach),
+            time: performance.now()
+        };
+        this.noises = [...this.noises.slice(1 - MAX_NOISES), noise];
+
+        this.enemies.forEach((enemy, index) => {
+            const lost = noise.spread.get(`${enemy.row},${enemy.col}`);
+            if (lost !== undefined && this.enemyAIs[index].hear(noise, lost)) {
+                enemy.setState(this.enemyAIs[index].getState());
+                console.log(`👂 Enemy ${index + 1} heard a ${source} at (${row}, ${col})`);
+            }
+        });
+        return noise;
+    }
+
+    /**
+     * Get the latest noises, oldest first
+     * @returns {Array<Object>} See emitNoise
      */
-    setEnemyPosition(row, col, orientation) {
-        this.enemy.setPosition(row, col, orientation);
+    getNoises() {
+        return this.noises;
     }
 
     incrementTurn() {
         this.turnCounter++;
         
-        // Move enemy towards player
-        this.moveEnemyTowardsPlayer();
+        // Let each enemy look around, then take its step (in order, so none
+        // steps into a triangle another one has just taken)
+        this.enemies.forEach((enemy, index) => {
+            this.updateEnemyAI(index);
+            this.moveEnemy(index);
+        });
     }
 
     /**
-     * Move the enemy one step towards the player using A* pathfinding
+     * Check whether an enemy sees the player, straight on or in a mirror: along a
+     * sight line within its range and field of view (see the level's enemy tuning)
+     * @param {number} index - Which enemy (default: the first)
+     * @returns {boolean}
      */
-    moveEnemyTowardsPlayer() {
+    canEnemySeePlayer(index = 0) {
+        if (!this.grid) return false;
+
+        const enemy = this.enemies[index];
+        const { sightRange, fieldOfView, mirrorBounces } = this.enemyAIs[index].tuning.perception;
+        const paths = findSightPaths(this.grid, enemy, this.player, {
+            maxDistance: sightRange * STEP_LENGTH,
+            maxBounces: mirrorBounces
+        });
+        // Any sight line will do, as long as it starts out in front of the enemy
+        return paths.some(path => !path.direction || isDirectionInFieldOfView(enemy, path.direction, fieldOfView));
+    }
+
+    /**
+     * Let an enemy's AI perceive and pick its goal (once per enemy step)
+     * @param {number} index - Which enemy (default: the first)
+     */
+    updateEnemyAI(index = 0) {
+        if (!this.grid) return;
+
+        const enemy = this.enemies[index];
+        this.enemyAIs[index].think(enemy, this.player, this.canEnemySeePlayer(index));
+        enemy.setState(this.enemyAIs[index].getState());
+    }
+
+    getEnemyAI(index = 0) {
+        return this.enemyAIs[index];
+    }
+
+    /**
+     * Move an enemy one step towards its AI goal
+     * @param {number} index - Which enemy (default: the first)
+     */
+    moveEnemy(index = 0) {
         if (!this.gridGraph) {
             console.error('GridGraph not initialized');
             return;
         }
 
-        const path = this.findEnemyPathToPlayer();
-        
+        // Frozen under the player's gaze
+        if (this.isEnemyWatched(index)) {
+            return;
+        }
+
+        // Empty at the goal, with no way there, or with the way blocked by another enemy
+        const path = this.findEnemyPath(index, 1);
         if (path.length === 0) {
-            console.warn('No path found for enemy to reach player');
             return;
         }
 
@@ -95,9 +328,46 @@ class GameState {
         const nextNode = path[0];
         
         // Update enemy position and orientation
-        this.enemy.setPosition(nextNode.row, nextNode.col, nextNode.orientation);
+        this.enemies[index].setPosition(nextNode.row, nextNode.col, nextNode.orientation);
         
-        console.log(`Enemy moved to (${nextNode.row}, ${nextNode.col}) facing ${nextNode.orientation}`);
+        console.log(`Enemy ${index + 1} moved to (${nextNode.row}, ${nextNode.col}) facing ${nextNode.orientation}`);
+    }
+
+    /**
+     * Record that the player has left the maze through an exit
+     */
+    markPlayerEscaped() {
+        this.playerEscaped = true;
+    }
+
+    hasPlayerEscaped() {
+        return this.playerEscaped;
+    }
+
+    /**
+     * Check whether any enemy has reached the player's triangle
+     * @returns {boolean}
+     */
+    isPlayerCaught() {
+        return this.enemies.some(enemy => enemy.row === this.player.row && enemy.col === this.player.col);
+    }
+
+    /**
+     * Record how the game ended
+     * @param {string} result - 'win' or 'lose'
+     * @param {string} reason - Why the game ended (e.g. 'escaped', 'caught')
+     */
+    setOutcome(result, reason) {
+        this.outcome = {
+            result,
+            reason,
+            turn: this.turnCounter,
+            seed: this.grid?.generationParams?.seed ?? null
+        };
+    }
+
+    getOutcome() {
+        return this.outcome;
     }
 
     getCurrentTurn() {
@@ -108,127 +378,176 @@ class GameState {
         return this.player;
     }
 
-    getEnemy() {
-        return this.enemy;
+    /**
+     * @param {number} index - Which enemy (default: the first)
+     * @returns {Character}
+     */
+    getEnemy(index = 0) {
+        return this.enemies[index];
+    }
+
+    getEnemies() {
+        return this.enemies;
+    }
+
+    getEnemyCount() {
+        return this.enemies.length;
     }
 
     getGrid() {
         return this.grid;
     }
 
+    /**
+     * Get an enemy's position in world space (XZ plane), used by the renderer
+     * @param {number} index - Which enemy (default: the first)
+     * @returns {Object|null} {x, z} or null if the enemy is not on the grid
+     */
+    getEnemyWorldPosition(index = 0) {
+        const enemy = this.enemies[index];
+        if (!this.grid || !enemy || !this.grid.getTriangle(enemy.row, enemy.col)) {
+            return null;
+        }
+        // Set by EnemyController while the enemy walks between triangle centers
+        if (enemy.worldPosition) {
+            return { ...enemy.worldPosition };
+        }
+        return getTriangleCenter(enemy.row, enemy.col);
+    }
+
+    /**
+     * Get the world positions of every enemy on the grid
+     * @returns {Array<Object>} {x, z}
+     */
+    getEnemyWorldPositions() {
+        return this.enemies
+            .map((enemy, index) => this.getEnemyWorldPosition(index))
+            .filter(position => position !== null);
+    }
+
     getGridGraph() {
         return this.gridGraph;
     }
 
     /**
-     * Calculate Manhattan distance heuristic between two nodes
-     * @param {GraphNode} nodeA 
-     * @param {GraphNode} nodeB 
-     * @returns {number} Manhattan distance
+     * Open or close a door (the graph follows through the grid's change events)
+     * @param {number} row
+     * @param {number} col
+     * @param {string} side - 'left', 'right', or 'third'
+     * @returns {string|null} The new side state, or null if the side is not a door
      */
-    manhattanDistance(nodeA, nodeB) {
-        return Math.abs(nodeA.row - nodeB.row) + Math.abs(nodeA.col - nodeB.col);
+    toggleDoor(row, col, side) {
+        if (!this.grid) return null;
+
+        return this.grid.toggleDoor(row, col, side);
+    }
+
+    /**
+     * Admissible A* heuristic on the oriented triangle graph.
+     * Every movement edge crosses exactly one triangle edge and every edge costs
+     * at least 1, so the exact triangle step distance never overestimates.
+     * When already in the goal triangle, a different orientation needs at least one rotation.
+     * @param {GraphNode} node
+     * @param {GraphNode} goalNode
+     * @param {boolean} anyOrientation - Whether any orientation in the goal triangle counts as reached
+     * @returns {number} Lower bound on the remaining path cost
+     */
+    heuristic(node, goalNode, anyOrientation = false) {
+        const distance = this.gridGraph.getTriangleDistance(node, goalNode);
+        if (distance === 0 && !anyOrientation && node.orientation !== goalNode.orientation) {
+            return 1;
+        }
+        return distance;
     }
 
     /**
      * A* pathfinding algorithm to find shortest path between two nodes
      * @param {GraphNode} startNode - Starting node
      * @param {GraphNode} endNode - Goal node
-     * @returns {Array<GraphNode>} Array of next 5 nodes in the shortest path (or fewer if path is shorter)
+     * @param {Object} options - Search options
+     * @param {boolean} options.anyOrientation - Stop at any node in the goal triangle (default: false)
+     * @param {Function} options.canEnter - (GraphNode) => boolean, nodes the path may not go through
+     *                                      (default: any node)
+     * @returns {Object} {path, cost} where path is the full list of nodes from start to goal
+     *                   (empty with cost Infinity if no path exists)
      */
-    findPathAStar(startNode, endNode) {
+    findPathAStar(startNode, endNode, options = {}) {
+        const noPath = { path: [], cost: Infinity };
+
         if (!this.gridGraph) {
             console.error('GridGraph not initialized');
-            return [];
+            return noPath;
         }
 
         if (!startNode || !endNode) {
             console.error('Invalid start or end node');
-            return [];
+            return noPath;
         }
 
-        // Priority queue for open set (nodes to be evaluated)
-        const openSet = new Map(); // nodeId -> {node, fScore}
+        const anyOrientation = options.anyOrientation === true;
+        const canEnter = options.canEnter ?? (() => true);
+        const isGoal = anyOrientation
+            ? (node) => node.row === endNode.row && node.col === endNode.col
+            : (node) => node === endNode;
+
+        // Open set as a binary heap keyed on f score. Improved nodes are pushed
+        // again instead of updated in place; stale entries are skipped when popped.
+        const openSet = new PriorityQueue();
         const closedSet = new Set(); // nodeIds of evaluated nodes
         
         // Track g scores (cost from start to node)
         const gScore = new Map();
         
-        // Track f scores (g + heuristic)
-        const fScore = new Map();
-        
         // Track parent nodes for path reconstruction
         const cameFrom = new Map();
 
         // Initialize start node
-        const startId = startNode.getId();
-        gScore.set(startId, 0);
-        fScore.set(startId, this.manhattanDistance(startNode, endNode));
-        openSet.set(startId, { node: startNode, fScore: fScore.get(startId) });
-
-        while (openSet.size > 0) {
-            // Get node with lowest fScore from openSet
-            let currentId = null;
-            let lowestFScore = Infinity;
-            
-            for (const [nodeId, data] of openSet.entries()) {
-                if (data.fScore < lowestFScore) {
-                    lowestFScore = data.fScore;
-                    currentId = nodeId;
-                }
-            }
+        gScore.set(startNode.getId(), 0);
+        openSet.push(startNode, this.heuristic(startNode, endNode, anyOrientation));
+
+        while (!openSet.isEmpty()) {
+            const current = openSet.pop();
+            const currentId = current.getId();
 
-            const current = openSet.get(currentId).node;
+            if (closedSet.has(currentId)) {
+                continue; // Stale entry
+            }
 
             // Check if we reached the goal
-            if (currentId === endNode.getId()) {
-                // Reconstruct path
-                const path = this.reconstructPath(cameFrom, current);
-                // Return next 5 nodes (excluding start node)
-                return path.slice(1, 6);
+            if (isGoal(current)) {
+                return {
+                    path: this.reconstructPath(cameFrom, current),
+                    cost: gScore.get(currentId)
+                };
             }
 
-            // Move current from open to closed
-            openSet.delete(currentId);
             closedSet.add(currentId);
+            const currentG = gScore.get(currentId);
 
             // Check all neighbors
             for (const edge of current.edges) {
                 const neighbor = edge.targetNode;
                 const neighborId = neighbor.getId();
 
-                // Skip if already evaluated
-                if (closedSet.has(neighborId)) {
+                // Skip if already evaluated, or off limits
+                if (closedSet.has(neighborId) || !canEnter(neighbor)) {
                     continue;
                 }
 
-                // Calculate tentative g score (cost is 1 for all edges)
-                const tentativeGScore = gScore.get(currentId) + 1;
+                const tentativeGScore = currentG + edge.cost;
 
                 // Discover new node or find better path
                 if (!gScore.has(neighborId) || tentativeGScore < gScore.get(neighborId)) {
-                    // Record this path
                     cameFrom.set(neighborId, current);
                     gScore.set(neighborId, tentativeGScore);
-                    
-                    const heuristic = this.manhattanDistance(neighbor, endNode);
-                    const newFScore = tentativeGScore + heuristic;
-                    fScore.set(neighborId, newFScore);
-
-                    // Add to open set if not already there
-                    if (!openSet.has(neighborId)) {
-                        openSet.set(neighborId, { node: neighbor, fScore: newFScore });
-                    } else {
-                        // Update fScore in open set
-                        openSet.get(neighborId).fScore = newFScore;
-                    }
+                    openSet.push(neighbor, tentativeGScore + this.heuristic(neighbor, endNode, anyOrientation));
                 }
             }
         }
 
         // No path found
         console.warn('No path found from', startNode.getId(), 'to', endNode.getId());
-        return [];
+        return noPath;
     }
 
     /**
@@ -251,27 +570,94 @@ class GameState {
     }
 
     /**
-     * Find the next moves for the enemy to approach the player
-     * @returns {Array<GraphNode>} Next 5 nodes in the path from enemy to player
+     * Get the flow field towards the player's triangle, recomputed only when the
+     * player changes triangle or the graph changes
+     * @returns {FlowField|null} null without a graph
      */
-    findEnemyPathToPlayer() {
+    getPlayerFlowField() {
+        if (!this.gridGraph) return null;
+
+        const key = `${this.player.row},${this.player.col}@${this.graphVersion}`;
+        if (key !== this.flowFieldKey) {
+            this.playerFlowField.compute(this.gridGraph, this.player.row, this.player.col);
+            this.flowFieldKey = key;
+        }
+        return this.playerFlowField;
+    }
+
+    /**
+     * Get the triangles an enemy must not step into: where the other enemies stand
+     * (the player's triangle is never taken - reaching it is the point)
+     * @param {number} index - The enemy that wants to move
+     * @param {Array<string>} reserved - More "row,col" keys to avoid (e.g. where other
+     *                                   enemies are stepping to)
+     * @returns {Set<string>} "row,col" keys
+     */
+    getTakenTriangles(index, reserved = []) {
+        const taken = new Set(reserved);
+        this.enemies.forEach((enemy, other) => {
+            if (other !== index) taken.add(`${enemy.row},${enemy.col}`);
+        });
+        taken.delete(`${this.player.row},${this.player.col}`);
+        return taken;
+    }
+
+    /**
+     * Find the next moves for an enemy towards its AI goal, around the other enemies.
+     * A goal it can't reach is abandoned for the AI's next one (see EnemyAI.abandonGoal).
+     * @param {number} index - Which enemy (default: the first)
+     * @param {number} maxSteps - Maximum number of moves to return (default: the whole path)
+     * @param {Array<string>} reserved - More "row,col" keys to keep out of (see getTakenTriangles)
+     * @returns {Array<GraphNode>} Next nodes in the path (empty at the goal or without one)
+     */
+    findEnemyPath(index = 0, maxSteps = Infinity, reserved = []) {
+        const enemy = this.enemies[index];
+        const enemyAI = this.enemyAIs[index];
+        let goal = enemyAI.getGoal();
+        if (!goal || enemyAI.isAt(enemy, goal)) return [];
+
+        const taken = this.getTakenTriangles(index, reserved);
+        let path = this.findEnemyPathTo(index, goal, maxSteps, taken);
+        if (path.length === 0) {
+            goal = enemyAI.abandonGoal(enemy);
+            if (goal) path = this.findEnemyPathTo(index, goal, maxSteps, taken);
+        }
+        return path;
+    }
+
+    /**
+     * Find the next moves for an enemy to reach a triangle (in any orientation). The
+     * player's triangle is reached by following the shared flow field, any other by A*.
+     * @param {number} index - Which enemy
+     * @param {Object} target - {row, col}
+     * @param {number} maxSteps - Maximum number of moves to return (default: the whole path)
+     * @param {Set<string>} taken - "row,col" keys of triangles not to step into
+     * @returns {Array<GraphNode>} Next nodes in the path (excluding the enemy's node)
+     */
+    findEnemyPathTo(index, target, maxSteps = Infinity, taken = new Set()) {
         if (!this.gridGraph) {
             console.error('GridGraph not initialized');
             return [];
         }
 
-        const enemyPos = this.enemy.getPosition();
-        const playerPos = this.player.getPosition();
+        const enemyPos = this.enemies[index].getPosition();
 
         const startNode = this.gridGraph.getNode(enemyPos.row, enemyPos.col, enemyPos.orientation);
-        const endNode = this.gridGraph.getNode(playerPos.row, playerPos.col, playerPos.orientation);
+        // Any node of the target triangle will do (the search stops at any orientation)
+        const endNode = this.gridGraph.getNode(target.row, target.col, Orientation.LEFT);
 
         if (!startNode || !endNode) {
             console.error('Could not find start or end node in graph');
             return [];
         }
 
-        return this.findPathAStar(startNode, endNode);
+        const canEnter = (node) => !taken.has(`${node.row},${node.col}`);
+        if (target.row === this.player.row && target.col === this.player.col) {
+            return this.getPlayerFlowField().getPath(startNode, maxSteps, canEnter);
+        }
+
+        const { path } = this.findPathAStar(startNode, endNode, { anyOrientation: true, canEnter });
+        return path.slice(1, 1 + maxSteps);
     }
 }
 
@@ -1,5 +1,7 @@
 import { Orientation, MovementDirection } from './character.js';
-import { SideType } from '../grid_system.js';
+import { getTriangleDistance } from '../triangle_coords.js';
+import { GridEvent } from '../grid_events.js';
+import { SideType } from '../side_types.js';
 
 /**
  * Represents a node in the grid graph
@@ -25,9 +27,10 @@ class GraphNode {
      * @param {GraphNode} targetNode - The destination node
      * @param {string} edgeType - 'rotation' or 'movement'
      * @param {string} action - The action that creates this edge (rotation direction or movement direction)
+     * @param {number} cost - Path cost of taking this edge (default: 1, one turn)
      */
-    addEdge(targetNode, edgeType, action) {
-        this.edges.push(new GraphEdge(targetNode, edgeType, action));
+    addEdge(targetNode, edgeType, action, cost = 1) {
+        this.edges.push(new GraphEdge(targetNode, edgeType, action, cost));
     }
 }
 
@@ -35,10 +38,11 @@ class GraphNode {
  * Represents an edge in the grid graph
  */
 class GraphEdge {
-    constructor(targetNode, edgeType, action) {
+    constructor(targetNode, edgeType, action, cost = 1) {
         this.targetNode = targetNode;
         this.edgeType = edgeType; // 'rotation' or 'movement'
         this.action = action; // 'clockwise', 'counterclockwise', 'forward_left', 'forward_right'
+        this.cost = cost; // Path cost (A* heuristics assume every edge costs at least 1)
     }
 }
 
@@ -51,22 +55,28 @@ class GridGraph {
     constructor() {
         this.nodes = new Map(); // Map of "row,col,orientation" -> GraphNode
         this.grid = null; // Reference to the TriangularGrid
+        this.portalFaces = []; // Linked portal sides of the grid, {from, to} (see TriangularGrid.getPortalFaces)
+        this.unsubscribe = []; // Stop following the grid's side and portal changes
     }
 
     /**
-     * Build the graph from a TriangularGrid
+     * Build the graph from a TriangularGrid, and keep it up to date as the grid's
+     * sides and portals change (doors, dynamic mirrors) until dispose is called
      * @param {TriangularGrid} grid - The triangular grid to build from
      */
     buildFromGrid(grid) {
+        this.dispose();
         this.grid = grid;
         this.nodes.clear();
+        this.portalFaces = grid.getPortalFaces();
 
         console.log('🔨 Building GridGraph from TriangularGrid...');
 
         // Step 1: Create all nodes (one for each triangle-orientation combination)
         for (let row = 0; row < grid.getRowCount(); row++) {
             for (let col = 0; col < grid.getRowLength(row); col++) {
-                // const triangle = grid.getTriangle(row, col);
+                // Masked cells have no triangle and get no nodes
+                if (!grid.hasTriangle(row, col)) continue;
                 
                 // Create a node for each possible orientation
                 for (const orientation of Object.values(Orientation)) {
@@ -79,68 +89,116 @@ class GridGraph {
         console.log(`   └─ Created ${this.nodes.size} nodes`);
 
         // Step 2: Create edges
+        for (const node of this.nodes.values()) {
+            this.addNodeEdges(node, grid.getTriangle(node.row, node.col));
+        }
+
         let rotationEdges = 0;
         let movementEdges = 0;
-
         for (const node of this.nodes.values()) {
-            const triangle = grid.getTriangle(node.row, node.col);
-
-            // Add rotation edges (within same triangle)
-            const clockwiseNode = this.getClockwiseNode(node, triangle.pointsUp);
-            if (clockwiseNode) {
-                node.addEdge(clockwiseNode, 'rotation', 'clockwise');
-                rotationEdges++;
-            }
-
-            const counterClockwiseNode = this.getCounterClockwiseNode(node, triangle.pointsUp);
-            if (counterClockwiseNode) {
-                node.addEdge(counterClockwiseNode, 'rotation', 'counterclockwise');
-                rotationEdges++;
-            }
-
-            // Add movement edges (to adjacent triangles)
-            // Movement always goes through the side we're facing
-            const sideToCheck = node.orientation;
-            const sideState = triangle.getSideState(sideToCheck);
-            
-            // Only add movement edges if the side is empty (not blocked)
-            if (sideState === SideType.EMPTY) {
-                const neighbor = triangle.neighbors[sideToCheck];
-                
-                if (neighbor) {
-                    // Calculate the side we entered from in the neighbor
-                    const enteredFromSide = triangle.getNeighborCorrespondingSide(sideToCheck);
-
-                    // Add FORWARD_LEFT edge (turn right/clockwise from entered side)
-                    const forwardLeftOrientation = this.getRotatedOrientation(
-                        enteredFromSide, 
-                        neighbor.pointsUp, 
-                        true // clockwise
-                    );
-                    const forwardLeftNode = this.getNode(neighbor.row, neighbor.col, forwardLeftOrientation);
-                    if (forwardLeftNode) {
-                        node.addEdge(forwardLeftNode, 'movement', MovementDirection.FORWARD_LEFT);
-                        movementEdges++;
-                    }
-
-                    // Add FORWARD_RIGHT edge (turn left/counterclockwise from entered side)
-                    const forwardRightOrientation = this.getRotatedOrientation(
-                        enteredFromSide, 
-                        neighbor.pointsUp, 
-                        false // counterclockwise
-                    );
-                    const forwardRightNode = this.getNode(neighbor.row, neighbor.col, forwardRightOrientation);
-                    if (forwardRightNode) {
-                        node.addEdge(forwardRightNode, 'movement', MovementDirection.FORWARD_RIGHT);
-                        movementEdges++;
-                    }
-                }
-            }
+            node.edges.forEach(edge => {
+                if (edge.edgeType === 'rotation') rotationEdges++;
+                else movementEdges++;
+            });
         }
 
         console.log(`   └─ Created ${rotationEdges} rotation edges`);
         console.log(`   └─ Created ${movementEdges} movement edges`);
         console.log('✅ GridGraph built successfully');
+
+        // A side change only changes where its own face leads (the other face fires its own event)
+        this.unsubscribe = [
+            grid.on(GridEvent.SIDE_CHANGED, event => {
+                this.patchTriangle(event.row, event.col);
+                if (event.previous === SideType.PORTAL || event.state === SideType.PORTAL) {
+                    this.portalFaces = grid.getPortalFaces();
+                }
+            }),
+            grid.on(GridEvent.PORTALS_CHANGED, event => {
+                event.faces.forEach(face => this.patchTriangle(face.row, face.col));
+                this.portalFaces = grid.getPortalFaces();
+            })
+        ];
+    }
+
+    /**
+     * Stop following the grid's side and portal changes
+     */
+    dispose() {
+        this.unsubscribe.forEach(unsubscribe => unsubscribe());
+        this.unsubscribe = [];
+    }
+
+    /**
+     * Rebuild the outgoing edges of one triangle's nodes after its sides changed in place
+     * (called for every GridEvent.SIDE_CHANGED of the grid, and every side a
+     * GridEvent.PORTALS_CHANGED relinked)
+     * @param {number} row
+     * @param {number} col
+     */
+    patchTriangle(row, col) {
+        const triangle = this.grid?.getTriangle(row, col);
+        if (!triangle) return;
+
+        for (const orientation of Object.values(Orientation)) {
+            const node = this.getNode(row, col, orientation);
+            if (!node) continue; // The grid was rebuilt under us (see TriangularGrid.on)
+            node.edges = [];
+            this.addNodeEdges(node, triangle);
+        }
+    }
+
+    /**
+     * Add a node's rotation edges and the movement edges through the side it faces
+     * @param {GraphNode} node
+     * @param {Triangle} triangle - The node's triangle
+     */
+    addNodeEdges(node, triangle) {
+        // Add rotation edges (within same triangle)
+        const clockwiseNode = this.getClockwiseNode(node, triangle.pointsUp);
+        if (clockwiseNode) {
+            node.addEdge(clockwiseNode, 'rotation', 'clockwise');
+        }
+
+        const counterClockwiseNode = this.getCounterClockwiseNode(node, triangle.pointsUp);
+        if (counterClockwiseNode) {
+            node.addEdge(counterClockwiseNode, 'rotation', 'counterclockwise');
+        }
+
+        // Add movement edges (to adjacent triangles)
+        // Movement always goes through the side we're facing
+        const sideToCheck = node.orientation;
+        
+        // Only add movement edges if the side can be walked through (empty, an open door,
+        // or a paired portal, which leads into the triangle behind its partner)
+        const passage = triangle.getPassage(sideToCheck);
+        if (!passage) return;
+
+        const neighbor = passage.triangle;
+        // The side we entered the neighbor through
+        const enteredFromSide = passage.side;
+
+        // Add FORWARD_LEFT edge (turn right/clockwise from entered side)
+        const forwardLeftOrientation = this.getRotatedOrientation(
+            enteredFromSide, 
+            neighbor.pointsUp, 
+            true // clockwise
+        );
+        const forwardLeftNode = this.getNode(neighbor.row, neighbor.col, forwardLeftOrientation);
+        if (forwardLeftNode) {
+            node.addEdge(forwardLeftNode, 'movement', MovementDirection.FORWARD_LEFT);
+        }
+
+        // Add FORWARD_RIGHT edge (turn left/counterclockwise from entered side)
+        const forwardRightOrientation = this.getRotatedOrientation(
+            enteredFromSide, 
+            neighbor.pointsUp, 
+            false // counterclockwise
+        );
+        const forwardRightNode = this.getNode(neighbor.row, neighbor.col, forwardRightOrientation);
+        if (forwardRightNode) {
+            node.addEdge(forwardRightNode, 'movement', MovementDirection.FORWARD_RIGHT);
+        }
     }
 
     /**
@@ -230,6 +288,32 @@ class GridGraph {
         }));
     }
 
+    /**
+     * Get the triangle step distance between two nodes, ignoring walls.
+     * A lower bound on the number of movement edges between them
+     * (wrapped grids count the way round across the wrapped edges, and portals
+     * count as shortcuts).
+     * @param {GraphNode} nodeA
+     * @param {GraphNode} nodeB
+     * @returns {number}
+     */
+    getTriangleDistance(nodeA, nodeB) {
+        const distance = (a, b) => this.grid
+            ? this.grid.getTriangleDistance(a.row, a.col, b.row, b.col)
+            : getTriangleDistance(a.row, a.col, b.row, b.col);
+
+        const direct = distance(nodeA, nodeB);
+        if (this.portalFaces.length === 0) {
+            return direct;
+        }
+
+        // A way through portals walks to the first one, takes at least one step
+        // through portals, and walks on from the last one it comes out of
+        const toPortal = Math.min(...this.portalFaces.map(face => distance(nodeA, face.from)));
+        const fromPortal = Math.min(...this.portalFaces.map(face => distance(face.to, nodeB)));
+        return Math.min(direct, toPortal + 1 + fromPortal);
+    }
+
     /**
      * Get all nodes in the graph
      */
@@ -1,8 +1,10 @@
 // Movement System
-// Handles turn-based movement and rotation for the player character
+// Handles turn-based movement and rotation for the player character. Every
+// action makes a noise the enemies may hear (see noise.js).
 
 import gameState from './game_state.js';
 import { MovementDirection } from './character.js';
+import { NoiseSource } from '../noise.js';
 
 /**
  * Enum for movement phases
@@ -91,10 +93,15 @@ class MovementSystem {
             
             if (result.success) {
                 console.log(`✅ Player moved to (${result.row}, ${result.col}) facing ${result.orientation}`);
+                gameState.emitNoise(player.row, player.col, NoiseSource.STEP);
                 gameState.incrementTurn();
                 console.log(`Turn: ${gameState.getCurrentTurn()}`);
+            } else if (result.exited) {
+                console.log('🚪 Player stepped through the exit!');
+                gameState.markPlayerEscaped();
             } else {
                 console.log('❌ Movement blocked!');
+                gameState.emitNoise(player.row, player.col, NoiseSource.BUMP);
             }
         }
     }
@@ -119,12 +126,14 @@ class MovementSystem {
             // Rotate counter-clockwise
             player.rotateCounterClockwise(currentTriangle.pointsUp);
             console.log(`🔄 Player rotated counter-clockwise, now facing ${player.getOrientation()}`);
+            gameState.emitNoise(player.row, player.col, NoiseSource.TURN);
             gameState.incrementTurn();
             console.log(`Turn: ${gameState.getCurrentTurn()}`);
         } else if (key === 'd' || key === 'arrowright') {
             // Rotate clockwise
             player.rotateClockwise(currentTriangle.pointsUp);
             console.log(`🔄 Player rotated clockwise, now facing ${player.getOrientation()}`);
+            gameState.emitNoise(player.row, player.col, NoiseSource.TURN);
             gameState.incrementTurn();
             console.log(`Turn: ${gameState.getCurrentTurn()}`);
         }
@@ -0,0 +1,102 @@
+/**
+ * Binary min-heap priority queue
+ * Lowest priority value is popped first. O(log n) push and pop.
+ */
+class PriorityQueue {
+    constructor() {
+        this.heap = []; // Array of {item, priority}
+    }
+
+    /**
+     * Get the number of queued items
+     */
+    get size() {
+        return this.heap.length;
+    }
+
+    /**
+     * Check if the queue is empty
+     */
+    isEmpty() {
+        return this.heap.length === 0;
+    }
+
+    /**
+     * Add an item to the queue
+     * @param {*} item - The item to store
+     * @param {number} priority - Lower values are popped first
+     */
+    push(item, priority) {
+        this.heap.push({ item, priority });
+        this.siftUp(this.heap.length - 1);
+    }
+
+    /**
+     * Remove and return the item with the lowest priority
+     * @returns {*} The item, or undefined if the queue is empty
+     */
+    pop() {
+        if (this.heap.length === 0) return undefined;
+
+        const top = this.heap[0];
+        const last = this.heap.pop();
+        if (this.heap.length > 0) {
+            this.heap[0] = last;
+            this.siftDown(0);
+        }
+        return top.item;
+    }
+
+    /**
+     * Return the item with the lowest priority without removing it
+     * @returns {*} The item, or undefined if the queue is empty
+     */
+    peek() {
+        return this.heap[0]?.item;
+    }
+
+    /**
+     * Remove all items
+     */
+    clear() {
+        this.heap = [];
+    }
+
+    siftUp(index) {
+        const entry = this.heap[index];
+        while (index > 0) {
+            const parentIndex = (index - 1) >> 1;
+            const parent = this.heap[parentIndex];
+            if (parent.priority <= entry.priority) break;
+            this.heap[index] = parent;
+            index = parentIndex;
+        }
+        this.heap[index] = entry;
+    }
+
+    siftDown(index) {
+        const length = this.heap.length;
+        const entry = this.heap[index];
+        while (true) {
+            const leftIndex = index * 2 + 1;
+            const rightIndex = leftIndex + 1;
+            let smallestIndex = index;
+            let smallestPriority = entry.priority;
+
+            if (leftIndex < length && this.heap[leftIndex].priority < smallestPriority) {
+                smallestIndex = leftIndex;
+                smallestPriority = this.heap[leftIndex].priority;
+            }
+            if (rightIndex < length && this.heap[rightIndex].priority < smallestPriority) {
+                smallestIndex = rightIndex;
+            }
+            if (smallestIndex === index) break;
+
+            this.heap[index] = this.heap[smallestIndex];
+            index = smallestIndex;
+        }
+        this.heap[index] = entry;
+    }
+}
+
+export { PriorityQueue };
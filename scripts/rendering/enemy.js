@@ -0,0 +1,20 @@
+// Enemy Animation System
+// Handles animated sprites for the enemy character
+
+import { PlayerAnimation } from './player.js';
+
+class EnemyAnimation extends PlayerAnimation {
+    constructor() {
+        // Dedicated art lives in assets/enemy/enemy1..4.png. Until it exists the
+        // player frames are used and the shader tints them (see uEnemyTint).
+        super({
+            name: 'Enemy',
+            framePath: './assets/enemy/enemy',
+            fallbackFramePath: './assets/player/player',
+            totalFrames: 4,
+            frameTime: 0.35 // Faster shuffle than the player so it reads as a different figure
+        });
+    }
+}
+
+export { EnemyAnimation };
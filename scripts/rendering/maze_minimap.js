@@ -1,7 +1,23 @@
 // Maze Minimap
 // Renders a 2D top-down view of the maze in the corner of the screen
 
-import { TRIANGLE_SIZE, TRIANGLE_HEIGHT } from '../maze.js';
+import { TRIANGLE_SIZE, TRIANGLE_HEIGHT, getTriangleCenter, getSideVertices } from '../triangle_coords.js';
+import { SideType } from '../side_types.js';
+
+// Minimap stroke color per side type
+const SIDE_COLORS = Object.freeze({
+    [SideType.EMPTY]: '#555555',          // Medium gray
+    [SideType.MIRROR]: '#00ff00',         // Bright green
+    [SideType.WALL]: '#dddddd',           // Near white
+    [SideType.DOOR_CLOSED]: '#c07830',    // Wood
+    [SideType.DOOR_OPEN]: '#6a4520',      // Dark wood
+    [SideType.GLASS]: '#66ccff',          // Light blue
+    [SideType.ONE_WAY_MIRROR]: '#aaff55', // Yellow-green (mirror face)
+    [SideType.ONE_WAY_WINDOW]: '#338866', // Dim green (see-through face)
+    [SideType.PORTAL]: '#cc66ff'          // Violet
+});
+
+const NOISE_OVERLAY_SECONDS = 2; // How long a noise stays on the minimap
 
 class MazeMinimap {
     constructor(containerElement) {
@@ -11,6 +27,7 @@ class MazeMinimap {
         this.gameState = null;
         this.needsRedraw = true;
         this.zoomFactor = 0.4; // Lower than 1.0 to show more of the maze
+        this.showNoise = true; // Debug overlay: how far the player's latest noises carried
         
         this.initCanvas();
     }
@@ -60,6 +77,15 @@ class MazeMinimap {
         this.needsRedraw = true;
     }
     
+    /**
+     * Show or hide the noise overlay
+     * @param {boolean} enabled
+     */
+    setShowNoise(enabled) {
+        this.showNoise = enabled;
+        this.needsRedraw = true;
+    }
+    
     /**
      * Draw the triangular grid on the minimap
      */
@@ -150,6 +176,11 @@ class MazeMinimap {
             }
         }
 
+        // Draw how far the latest noises carried
+        if (this.gameState && this.showNoise) {
+            this.drawNoiseOverlay(ctx, offsetX, offsetY, triangleWidth, triangleHeight);
+        }
+
         // Draw character markers
         if (this.gameState) {
             this.drawCharacterMarkers(ctx, offsetX, offsetY, triangleWidth, triangleHeight, rowHeight);
@@ -173,8 +204,28 @@ class MazeMinimap {
      * Draw a single triangle with its sides
      */
     drawTriangle(ctx, triangle, x, y, width, height) {
-        // Draw triangle fill
-        ctx.fillStyle = '#2a2a2a';
+        // Draw triangle fill (rooms slightly warmer than corridors)
+        ctx.fillStyle = triangle.isInRoom() ? '#3a3428' : '#2a2a2a';
+        this.traceTriangle(ctx, triangle, x, y, width, height);
+        ctx.fill();
+
+        // Draw sides based on their state
+        ctx.lineWidth = 2;
+        
+        // Draw left side
+        this.drawSide(ctx, triangle, 'left', x, y, width, height);
+        
+        // Draw right side
+        this.drawSide(ctx, triangle, 'right', x, y, width, height);
+        
+        // Draw third side (top/bottom)
+        this.drawSide(ctx, triangle, 'third', x, y, width, height);
+    }
+
+    /**
+     * Start a path around a triangle's outline (for filling)
+     */
+    traceTriangle(ctx, triangle, x, y, width, height) {
         ctx.beginPath();
         
         if (triangle.pointsUp) {
@@ -190,19 +241,41 @@ class MazeMinimap {
         }
         
         ctx.closePath();
-        ctx.fill();
+    }
 
-        // Draw sides based on their state
-        ctx.lineWidth = 2;
-        
-        // Draw left side
-        this.drawSide(ctx, triangle, 'left', x, y, width, height);
-        
-        // Draw right side
-        this.drawSide(ctx, triangle, 'right', x, y, width, height);
+    /**
+     * Shade the triangles each recent noise reached (see GameState.emitNoise), brighter
+     * where it was louder, and ring where it was made. Noises fade out as they age.
+     */
+    drawNoiseOverlay(ctx, offsetX, offsetY, triangleWidth, triangleHeight) {
+        const now = performance.now();
         
-        // Draw third side (top/bottom)
-        this.drawSide(ctx, triangle, 'third', x, y, width, height);
+        this.gameState.getNoises().forEach(noise => {
+            const fade = 1 - (now - noise.time) / (NOISE_OVERLAY_SECONDS * 1000);
+            if (fade <= 0) return;
+            
+            noise.spread.forEach((lost, key) => {
+                const [row, col] = key.split(',').map(Number);
+                const triangle = this.grid.getTriangle(row, col);
+                if (!triangle) return;
+                
+                const loudness = 1 - lost / (noise.reach + 1);
+                ctx.fillStyle = `rgba(255, 200, 0, ${(0.5 * fade * loudness).toFixed(3)})`;
+                this.traceTriangle(ctx, triangle, offsetX + col * triangleWidth / 2, offsetY + row * triangleHeight,
+                    triangleWidth, triangleHeight);
+                ctx.fill();
+            });
+            
+            // A ring spreading out from where it was made
+            const { x, y } = this.worldToScreen(
+                getTriangleCenter(noise.row, noise.col), offsetX, offsetY, triangleWidth, triangleHeight
+            );
+            ctx.strokeStyle = `rgba(255, 200, 0, ${fade.toFixed(3)})`;
+            ctx.lineWidth = 2;
+            ctx.beginPath();
+            ctx.arc(x, y, 4 + (1 - fade) * 12, 0, Math.PI * 2);
+            ctx.stroke();
+        });
     }
 
     /**
@@ -212,13 +285,7 @@ class MazeMinimap {
         const sideState = triangle.getSideState(side);
         
         // Set color based on side state
-        if (sideState === 'mirror') {
-            ctx.strokeStyle = '#00ff00'; // Bright green for mirrors
-        } else if (sideState === 'empty') {
-            ctx.strokeStyle = '#555555'; // Medium gray for empty
-        } else {
-            ctx.strokeStyle = '#777777'; // Light gray for default
-        }
+        ctx.strokeStyle = SIDE_COLORS[sideState] || '#777777'; // Light gray for unknown states
 
         ctx.beginPath();
         
@@ -264,12 +331,13 @@ class MazeMinimap {
      */
     drawCharacterMarkers(ctx, offsetX, offsetY, triangleWidth, triangleHeight, rowHeight) {
         const player = this.gameState.getPlayer();
-        const enemy = this.gameState.getEnemy();
+        const enemies = this.gameState.getEnemies();
 
         // Draw player (blue dot with arrow)
         if (player) {
-            const playerX = offsetX + (player.col * triangleWidth / 2) + triangleWidth / 2;
-            const playerY = offsetY + (player.row * rowHeight) + triangleHeight / 2;
+            const { x: playerX, y: playerY } = this.worldToScreen(
+                getTriangleCenter(player.row, player.col), offsetX, offsetY, triangleWidth, triangleHeight
+            );
             
             // Draw the dot
             ctx.fillStyle = '#0088ff';
@@ -283,16 +351,16 @@ class MazeMinimap {
             ctx.stroke();
             
             // Draw orientation arrow
-            const playerTriangle = this.grid.getTriangle(player.row, player.col);
-            if (playerTriangle) {
-                this.drawOrientationArrow(ctx, playerX, playerY, player.orientation, playerTriangle.pointsUp, '#0088ff', triangleWidth, triangleHeight);
+            if (this.grid.getTriangle(player.row, player.col)) {
+                this.drawOrientationArrow(ctx, playerX, playerY, player, '#0088ff', triangleWidth, triangleHeight);
             }
         }
 
-        // Draw enemy (red square with arrow)
-        if (enemy) {
-            const enemyX = offsetX + (enemy.col * triangleWidth / 2) + triangleWidth / 2;
-            const enemyY = offsetY + (enemy.row * rowHeight) + triangleHeight / 2;
+        // Draw each enemy (red square with arrow)
+        enemies.forEach(enemy => {
+            const { x: enemyX, y: enemyY } = this.worldToScreen(
+                getTriangleCenter(enemy.row, enemy.col), offsetX, offsetY, triangleWidth, triangleHeight
+            );
             
             const squareSize = 10;
             // Draw the square
@@ -315,11 +383,10 @@ class MazeMinimap {
             );
             
             // Draw orientation arrow
-            const enemyTriangle = this.grid.getTriangle(enemy.row, enemy.col);
-            if (enemyTriangle) {
-                this.drawOrientationArrow(ctx, enemyX, enemyY, enemy.orientation, enemyTriangle.pointsUp, '#ff0000', triangleWidth, triangleHeight);
+            if (this.grid.getTriangle(enemy.row, enemy.col)) {
+                this.drawOrientationArrow(ctx, enemyX, enemyY, enemy, '#ff0000', triangleWidth, triangleHeight);
             }
-        }
+        });
     }
 
     /**
@@ -327,13 +394,12 @@ class MazeMinimap {
      * @param {CanvasRenderingContext2D} ctx - Canvas context
      * @param {number} x - Character center X
      * @param {number} y - Character center Y
-     * @param {string} orientation - 'left', 'right', or 'third'
-     * @param {boolean} pointsUp - Whether the triangle points up
+     * @param {Character} character - Character whose row, col and orientation are drawn
      * @param {string} color - Arrow color
      * @param {number} triangleWidth - Width of the triangle
      * @param {number} triangleHeight - Height of the triangle
      */
-    drawOrientationArrow(ctx, x, y, orientation, pointsUp, color, triangleWidth, triangleHeight) {
+    drawOrientationArrow(ctx, x, y, character, color, triangleWidth, triangleHeight) {
         const arrowLength = Math.min(triangleWidth, triangleHeight) * 0.25;
         const arrowHeadSize = arrowLength * 0.4;
         
@@ -341,36 +407,11 @@ class MazeMinimap {
         ctx.fillStyle = color;
         ctx.lineWidth = 2;
         
-        let angle = 0;
-        
-        // Calculate arrow angle based on orientation and triangle type
-        if (pointsUp) {
-            // Up-pointing triangle
-            switch (orientation) {
-                case 'left':
-                    angle = Math.PI; // Left (180 degrees)
-                    break;
-                case 'right':
-                    angle = 0; // Right (0 degrees)
-                    break;
-                case 'third': // Bottom
-                    angle = Math.PI / 2; // Down (90 degrees)
-                    break;
-            }
-        } else {
-            // Down-pointing triangle
-            switch (orientation) {
-                case 'left':
-                    angle = Math.PI; // Left (180 degrees)
-                    break;
-                case 'right':
-                    angle = 0; // Right (0 degrees)
-                    break;
-                case 'third': // Top
-                    angle = Math.PI * 3 / 2; // Up (270 degrees)
-                    break;
-            }
-        }
+        // Point from the triangle center towards the midpoint of the faced side
+        // (world X/Z map to screen X/Y with the same scale, so the angle carries over)
+        const center = getTriangleCenter(character.row, character.col);
+        const [v1, v2] = getSideVertices(character.row, character.col, character.orientation);
+        const angle = Math.atan2((v1.z + v2.z) / 2 - center.z, (v1.x + v2.x) / 2 - center.x);
         
         // Calculate arrow end point
         const endX = x + Math.cos(angle) * arrowLength;
@@ -400,12 +441,24 @@ class MazeMinimap {
         ctx.fill();
     }
     
+    /**
+     * Convert a world position to minimap screen coordinates
+     * @param {Object} worldPos - {x, z}
+     * @returns {Object} {x, y}
+     */
+    worldToScreen(worldPos, offsetX, offsetY, triangleWidth, triangleHeight) {
+        return {
+            x: offsetX + worldPos.x * (triangleWidth / TRIANGLE_SIZE),
+            y: offsetY + worldPos.z * (triangleHeight / TRIANGLE_HEIGHT)
+        };
+    }
+    
     /**
      * Draw the player position and direction
      */
     drawPlayer(ctx, playerPos, playerYaw, offsetX, offsetY, triangleWidth, triangleHeight) {
         // Convert world position to screen position using the same world scale
-        // used by the raycast shader / maze.js:
+        // used by the raycast shader / triangle_coords.js:
         //  - X advances by TRIANGLE_SIZE * 0.5 per column
         //  - Z advances by TRIANGLE_HEIGHT per row
         //
@@ -416,11 +469,7 @@ class MazeMinimap {
         // so the consistent world->screen scaling is:
         //  scaleX = triangleWidth  / TRIANGLE_SIZE
         //  scaleY = triangleHeight / TRIANGLE_HEIGHT
-        const scaleX = triangleWidth / TRIANGLE_SIZE;
-        const scaleY = triangleHeight / TRIANGLE_HEIGHT;
-
-        const screenX = offsetX + (playerPos.x * scaleX);
-        const screenY = offsetY + (playerPos.z * scaleY);
+        const { x: screenX, y: screenY } = this.worldToScreen(playerPos, offsetX, offsetY, triangleWidth, triangleHeight);
         
         // Draw player circle
         ctx.fillStyle = '#ff00ff'; // Magenta for player
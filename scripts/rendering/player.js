@@ -4,53 +4,75 @@
 import * as THREE from 'three';
 
 class PlayerAnimation {
-    constructor() {
+    /**
+     * @param {Object} options - Optional overrides (used by other animated characters)
+     * @param {string} options.name - Name used in log messages
+     * @param {string} options.framePath - Frame path prefix, frames are `${framePath}${i}.png`
+     * @param {string|null} options.fallbackFramePath - Prefix tried when a frame fails to load
+     * @param {number} options.totalFrames - Number of frames
+     * @param {number} options.frameTime - Seconds per frame
+     */
+    constructor(options = {}) {
+        this.name = options.name || 'Player';
+        this.framePath = options.framePath || './assets/player/player';
+        this.fallbackFramePath = options.fallbackFramePath || null;
+        this.usingFallback = false;
+        
         this.frames = [];
         this.currentFrameIndex = 0;
-        this.frameTime = 1.0; // 1 second per frame
+        this.frameTime = options.frameTime ?? 1.0; // 1 second per frame
         this.elapsedTime = 0.0;
         this.isLoaded = false;
         this.loadingCount = 0;
-        this.totalFrames = 4;
+        this.totalFrames = options.totalFrames ?? 4;
         
         // Load all animation frames
         this.loadFrames();
     }
     
     loadFrames() {
+        // Load all frames
+        for (let i = 1; i <= this.totalFrames; i++) {
+            this.loadFrame(i, this.framePath);
+        }
+    }
+    
+    loadFrame(i, framePath) {
         const loader = new THREE.TextureLoader();
+        const path = `${framePath}${i}.png`;
         
-        // Load all 4 player frames
-        for (let i = 1; i <= this.totalFrames; i++) {
-            const path = `./assets/player/player${i}.png`;
-            
-            loader.load(
-                path,
-                (texture) => {
-                    // Configure texture
-                    texture.minFilter = THREE.LinearFilter;
-                    texture.magFilter = THREE.LinearFilter;
-                    texture.wrapS = THREE.ClampToEdgeWrapping;
-                    texture.wrapT = THREE.ClampToEdgeWrapping;
-                    
-                    // Store in array at correct index
-                    this.frames[i - 1] = texture;
-                    this.loadingCount++;
-                    
-                    console.log(`✅ Player frame ${i}/4 loaded`);
-                    
-                    // Check if all frames are loaded
-                    if (this.loadingCount === this.totalFrames) {
-                        this.isLoaded = true;
-                        console.log('✅ All player animation frames loaded');
-                    }
-                },
-                undefined,
-                (error) => {
-                    console.error(`❌ Failed to load player frame ${i}:`, error);
+        loader.load(
+            path,
+            (texture) => {
+                // Configure texture
+                texture.minFilter = THREE.LinearFilter;
+                texture.magFilter = THREE.LinearFilter;
+                texture.wrapS = THREE.ClampToEdgeWrapping;
+                texture.wrapT = THREE.ClampToEdgeWrapping;
+                
+                // Store in array at correct index
+                this.frames[i - 1] = texture;
+                this.loadingCount++;
+                
+                console.log(`✅ ${this.name} frame ${i}/${this.totalFrames} loaded`);
+                
+                // Check if all frames are loaded
+                if (this.loadingCount === this.totalFrames) {
+                    this.isLoaded = true;
+                    console.log(`✅ All ${this.name.toLowerCase()} animation frames loaded`);
                 }
-            );
-        }
+            },
+            undefined,
+            (error) => {
+                if (this.fallbackFramePath && framePath !== this.fallbackFramePath) {
+                    console.warn(`⚠️  ${this.name} frame ${i} missing, using fallback art`);
+                    this.usingFallback = true;
+                    this.loadFrame(i, this.fallbackFramePath);
+                    return;
+                }
+                console.error(`❌ Failed to load ${this.name.toLowerCase()} frame ${i}:`, error);
+            }
+        );
     }
     
     /**
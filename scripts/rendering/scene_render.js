@@ -9,7 +9,17 @@ import {
     TRIANGLE_HEIGHT,
     encodeToTexture 
 } from '../maze.js';
+import { isPointingUp, getTriangleCenter, getSideVertices, sideToEdgeIndex } from '../triangle_coords.js';
 import { PlayerAnimation } from './player.js';
+import { EnemyAnimation } from './enemy.js';
+import gameState from '../player_logic/game_state.js';
+import { GridEvent } from '../grid_events.js';
+import { SideType } from '../side_types.js';
+import { DEFAULT_TRIANGLE_META, packTriangleMeta } from '../triangle_meta.js';
+import { DEFAULT_EDGE_ATTRIBUTES, packEdgeAttributes } from '../edge_attributes.js';
+
+const MAX_PORTAL_FACES = 64; // Keep in sync with raycast.frag.glsl
+const MAX_ENEMIES = 8; // Keep in sync with raycast.frag.glsl
 
 class SceneRenderer {
     constructor(canvas) {
@@ -46,13 +56,26 @@ class SceneRenderer {
         
         // Grid reference (will be set from index.html)
         this.grid = null;
+        this.dirtyTexels = new Map(); // "row,col" -> {row, col} of cells edited since the last frame
+        this.unsubscribeGrid = [];    // Stop following the grid's change events
         
         // Create maze texture (will use fallback until grid is set)
         this.mazeTexture = this.createMazeTexture();
         
+        this.edgeTexture = this.createEdgeTexture();
+        
+        // Staging textures for updating single cells: 1x1 maze texel, 3x1 edge texels (see updateMazeTexels)
+        this.texelUploadTexture = new THREE.DataTexture(new Float32Array(4), 1, 1, THREE.RGBAFormat, THREE.FloatType);
+        this.edgeUploadTexture = new THREE.DataTexture(new Float32Array(12), 3, 1, THREE.RGBAFormat, THREE.FloatType);
+        
         // Create player animation system
         this.playerAnimation = new PlayerAnimation();
         
+        // Create enemy animation system (shared by every enemy) and the number drawn
+        // (positions are synced from GameState)
+        this.enemyAnimation = new EnemyAnimation();
+        this.enemyCount = 0;
+        
         // Load player back texture
         this.playerBackTexture = null;
         this.loadPlayerBackTexture();
@@ -77,8 +100,28 @@ class SceneRenderer {
         this.grid = grid;
         console.log('🎮 SceneRenderer: Grid set, regenerating maze texture...');
         
-        // Regenerate maze texture with grid data
+        // Regenerate maze and edge textures with grid data
         this.mazeTexture = this.createMazeTexture();
+        this.edgeTexture = this.createEdgeTexture();
+        
+        // In-place edits (doors, dynamic mirrors) only re-upload the cells they touch
+        this.unsubscribeGrid.forEach(unsubscribe => unsubscribe());
+        this.dirtyTexels.clear();
+        const markDirty = ({ row, col }) => this.dirtyTexels.set(`${row},${col}`, { row, col });
+        // Portal sides opened, closed or relinked change the shader's portal table
+        const updatePortals = () => {
+            if (this.fullscreenQuad) this.updatePortalUniforms(this.fullscreenQuad.material.uniforms);
+        };
+        this.unsubscribeGrid = [
+            grid.on(GridEvent.SIDE_CHANGED, event => {
+                markDirty(event);
+                if (event.previous === SideType.PORTAL || event.state === SideType.PORTAL) updatePortals();
+            }),
+            grid.on(GridEvent.TRIANGLE_STATE_CHANGED, markDirty),
+            grid.on(GridEvent.TRIANGLE_META_CHANGED, markDirty),
+            grid.on(GridEvent.EDGE_ATTRIBUTES_CHANGED, markDirty),
+            grid.on(GridEvent.PORTALS_CHANGED, updatePortals)
+        ];
         
         // Calculate center of maze and position player there
         const mazeBitmask = grid.toMazeBitmask();
@@ -95,25 +138,60 @@ class SceneRenderer {
         const centerX = totalWidth / 2;
         const centerZ = totalHeight / 2;
         
-        // Set player position to center (Y is eye height)
-        this.playerPos.set(centerX + TRIANGLE_SIZE / 3, 0.65, centerZ + TRIANGLE_HEIGHT / 2);
+        const spawn = grid.spawns?.player;
+        if (spawn) {
+            // Level spawn: center of the spawn triangle, facing the spawn orientation's side
+            const center = getTriangleCenter(spawn.row, spawn.col);
+            const [a, b] = getSideVertices(spawn.row, spawn.col, spawn.orientation);
+            this.playerPos.set(center.x, 0.65, center.z);
+            this.playerYaw = Math.atan2(-((a.x + b.x) / 2 - center.x), (a.z + b.z) / 2 - center.z);
+        } else {
+            // Set player position to center (Y is eye height)
+            this.playerPos.set(centerX + TRIANGLE_SIZE / 3, 0.65, centerZ + TRIANGLE_HEIGHT / 2);
+        }
         
         console.log(`   └─ Maze dimensions: ${mazeWidth} cols x ${mazeHeight} rows`);
         console.log(`   └─ World size: ${totalWidth.toFixed(2)} x ${totalHeight.toFixed(2)}`);
-        console.log(`   └─ Player positioned at center: (${centerX.toFixed(2)}, 0.8, ${centerZ.toFixed(2)})`);
+        console.log(`   └─ Player positioned at: (${this.playerPos.x.toFixed(2)}, ${this.playerPos.y.toFixed(2)}, ${this.playerPos.z.toFixed(2)})`);
         
         // Update shader if it's ready
         if (this.fullscreenQuad) {
             const newMazeSize = new THREE.Vector2(mazeWidth, mazeHeight);
             
             this.fullscreenQuad.material.uniforms.uMazeTexture.value = this.mazeTexture;
+            this.fullscreenQuad.material.uniforms.uEdgeTexture.value = this.edgeTexture;
             this.fullscreenQuad.material.uniforms.uMazeSize.value = newMazeSize;
+            this.fullscreenQuad.material.uniforms.uWrap.value.copy(this.getWrapUniform());
+            this.updatePortalUniforms(this.fullscreenQuad.material.uniforms);
             this.fullscreenQuad.material.uniforms.uPlayerPos.value.copy(this.playerPos);
+            this.fullscreenQuad.material.uniforms.uPlayerYaw.value = this.playerYaw;
             
             console.log('   └─ Shader texture and size updated to', newMazeSize.x, 'x', newMazeSize.y);
         }
     }
     
+    // Fill the shader's portal table from the grid's paired portal sides
+    updatePortalUniforms(uniforms) {
+        const faces = this.grid ? this.grid.getPortalFaces() : [];
+        if (faces.length > MAX_PORTAL_FACES) {
+            console.warn(`⚠️ ${faces.length} portal sides, the shader shows the first ${MAX_PORTAL_FACES}; the rest render as walls`);
+        }
+        
+        const count = Math.min(faces.length, MAX_PORTAL_FACES);
+        for (let i = 0; i < count; i++) {
+            const { from, to } = faces[i];
+            uniforms.uPortalFrom.value[i].set(from.col, from.row, sideToEdgeIndex(from.side), 0);
+            uniforms.uPortalTo.value[i].set(to.col, to.row, sideToEdgeIndex(to.side), 0);
+        }
+        uniforms.uPortalCount.value = count;
+    }
+    
+    // Axes the grid wraps around on, as the shader's uWrap (1 = wraps)
+    getWrapUniform() {
+        const axes = this.grid?.wrapAxes;
+        return new THREE.Vector2(axes?.x ? 1 : 0, axes?.y ? 1 : 0);
+    }
+    
     async init() {
         await this.createFullscreenShader();
         this.isReady = true;
@@ -128,8 +206,7 @@ class SceneRenderer {
         if (this.grid) {
             // Use grid data (preferred)
             console.log('   └─ Source: TriangularGrid');
-            const mazeBitmask = this.grid.toMazeBitmask();
-            encoded = this.encodeBitmaskToTexture(mazeBitmask);
+            encoded = this.encodeEdgeCodesToTexture(this.grid.toMazeEdgeCodes(), this.grid.toMazeMetaCodes());
         } else {
             // Fallback to maze.js
             console.log('   └─ Source: maze.js fallback (no grid set yet)');
@@ -159,31 +236,60 @@ class SceneRenderer {
     }
     
     /**
-     * Encode bitmask maze data to texture format
-     * @param {Array<Array<number>>} mazeBitmask - 2D array of wall bitmasks
+     * Create the edge attribute texture: three texels per maze cell, in shader edge order
+     * (see edge_attributes.js). Before a grid is set, a single cell of defaults stands in
+     * for every cell.
+     */
+    createEdgeTexture() {
+        const attributeCodes = this.grid
+            ? this.grid.toMazeEdgeAttributeCodes()
+            : [[[0, 1, 2].map(() => packEdgeAttributes(DEFAULT_EDGE_ATTRIBUTES))]];
+        const height = attributeCodes.length;
+        const width = (attributeCodes[0]?.length || 0) * 3;
+        const data = new Float32Array(width * height * 4);
+        
+        attributeCodes.forEach((rowCodes, row) => {
+            rowCodes.forEach((cellCodes, col) => this.writeEdgeTexels(data, (row * width + col * 3) * 4, cellCodes));
+        });
+        
+        const texture = new THREE.DataTexture(data, width, height, THREE.RGBAFormat, THREE.FloatType);
+        texture.minFilter = THREE.NearestFilter;
+        texture.magFilter = THREE.NearestFilter;
+        texture.wrapS = THREE.ClampToEdgeWrapping;
+        texture.wrapT = THREE.ClampToEdgeWrapping;
+        texture.needsUpdate = true;
+        
+        console.log(`🪞 Edge attribute texture created (${width} x ${height})`);
+        
+        return texture;
+    }
+    
+    // Write one cell's three edge texels into edge texture data at idx
+    writeEdgeTexels(data, idx, cellCodes) {
+        cellCodes.forEach((texel, edge) => data.set(texel, idx + edge * 4));
+    }
+    
+    /**
+     * Encode packed edge codes to texture format
+     * @param {Array<Array<number>>} edgeCodes - 2D array from TriangularGrid.toMazeEdgeCodes
+     * @param {Array<Array<Object>>} metaCodes - 2D array from TriangularGrid.toMazeMetaCodes
+     *                                           (default: every cell has the default metadata)
      */
-    encodeBitmaskToTexture(mazeBitmask) {
-        const height = mazeBitmask.length;
-        const width = mazeBitmask[0]?.length || 0;
+    encodeEdgeCodesToTexture(edgeCodes, metaCodes = null) {
+        const defaultMetaCode = packTriangleMeta(DEFAULT_TRIANGLE_META);
+        const height = edgeCodes.length;
+        const width = edgeCodes[0]?.length || 0;
         const data = new Float32Array(height * width * 4);
         
-        console.log('🎨 Encoding bitmask to texture...');
+        console.log('🎨 Encoding edge codes to texture...');
         
         for (let row = 0; row < height; row++) {
             for (let col = 0; col < width; col++) {
-                const idx = (row * width + col) * 4;
-                
-                // Determine if triangle points up
-                const up = (row + col) % 2 === 0;
-                const walls = mazeBitmask[row][col];
-                
-                data[idx + 0] = up ? 1.0 : 0.0;        // R: orientation
-                data[idx + 1] = walls / 7.0;           // G: walls normalized to 0-1
-                data[idx + 2] = 0.0;                   // B: reserved
-                data[idx + 3] = 1.0;                   // A: reserved
+                const codes = edgeCodes[row][col];
+                this.writeMazeTexel(data, (row * width + col) * 4, row, col, codes, metaCodes?.[row][col] ?? defaultMetaCode);
                 
                 if (row === 0) {
-                    console.log(`   └─ Cell [${row},${col}]: walls=${walls} (${walls.toString(2).padStart(3, '0')}b), up=${up}, encoded=${(walls/7.0).toFixed(3)}`);
+                    console.log(`   └─ Cell [${row},${col}]: codes=0x${codes.toString(16).padStart(3, '0')}, up=${isPointingUp(row, col)}`);
                 }
             }
         }
@@ -198,6 +304,73 @@ class SceneRenderer {
         };
     }
     
+    // Write one cell's RGBA texel into texture data at idx
+    writeMazeTexel(data, idx, row, col, codes, metaCode) {
+        data[idx + 0] = isPointingUp(row, col) ? 1.0 : 0.0; // R: orientation
+        data[idx + 1] = codes;                              // G: packed 4-bit side code per edge (raw integer)
+        data[idx + 2] = metaCode.b;                         // B: material, decal and light (see triangle_meta.js)
+        data[idx + 3] = metaCode.a;                         // A: region
+    }
+    
+    /**
+     * Push the texels of a few cells that changed in place, without re-uploading the
+     * whole maze texture (update does this for the cells the grid's events marked dirty)
+     * @param {Array<Object>} cells - {row, col} of every changed triangle
+     */
+    updateMazeTexels(cells) {
+        if (!this.grid || !this.mazeTexture) return;
+        
+        const { data, width } = this.mazeTexture.image;
+        const edgeData = this.edgeTexture.image.data;
+        const edgeWidth = this.edgeTexture.image.width;
+        cells.forEach(({ row, col }) => {
+            this.writeMazeTexel(data, (row * width + col) * 4, row, col,
+                this.grid.getMazeEdgeCode(row, col), this.grid.getMazeMetaCode(row, col));
+            this.writeEdgeTexels(edgeData, (row * edgeWidth + col * 3) * 4, this.grid.getMazeEdgeAttributeCode(row, col));
+        });
+        
+        // Not drawn yet - the first upload sends the whole textures anyway
+        if (!this.isReady) {
+            this.mazeTexture.needsUpdate = true;
+            this.edgeTexture.needsUpdate = true;
+            return;
+        }
+        
+        // Two texSubImage2D per cell, through the 1x1 and 3x1 staging textures
+        const texel = this.texelUploadTexture.image.data;
+        const edgeTexels = this.edgeUploadTexture.image.data;
+        const position = new THREE.Vector2();
+        cells.forEach(({ row, col }) => {
+            const idx = (row * width + col) * 4;
+            texel.set(data.subarray(idx, idx + 4));
+            this.renderer.copyTextureToTexture(position.set(col, row), this.texelUploadTexture, this.mazeTexture);
+            
+            const edgeIdx = (row * edgeWidth + col * 3) * 4;
+            edgeTexels.set(edgeData.subarray(edgeIdx, edgeIdx + 12));
+            this.renderer.copyTextureToTexture(position.set(col * 3, row), this.edgeUploadTexture, this.edgeTexture);
+        });
+    }
+    
+    /**
+     * Re-upload the whole maze and edge textures (changes made through the grid are picked up
+     * cell by cell on their own, see setGrid). The grid dimensions must be unchanged - use
+     * setGrid for a new grid.
+     */
+    refreshMazeTexture() {
+        if (!this.grid || !this.mazeTexture) return;
+        
+        const encoded = this.encodeEdgeCodesToTexture(this.grid.toMazeEdgeCodes(), this.grid.toMazeMetaCodes());
+        this.mazeTexture.image.data.set(encoded.data);
+        this.mazeTexture.needsUpdate = true;
+        
+        const edgeWidth = this.edgeTexture.image.width;
+        this.grid.toMazeEdgeAttributeCodes().forEach((rowCodes, row) => {
+            rowCodes.forEach((cellCodes, col) => this.writeEdgeTexels(this.edgeTexture.image.data, (row * edgeWidth + col * 3) * 4, cellCodes));
+        });
+        this.edgeTexture.needsUpdate = true;
+        this.dirtyTexels.clear();
+    }
+    
     loadPlayerBackTexture() {
         const loader = new THREE.TextureLoader();
         
@@ -307,11 +480,20 @@ class SceneRenderer {
         const material = new THREE.ShaderMaterial({
             uniforms: {
                 uMazeTexture: { value: this.mazeTexture },
+                uEdgeTexture: { value: this.edgeTexture },
                 uPlayerTexture: { value: this.playerAnimation.getCurrentFrame() },
                 uPlayerBackTexture: { value: this.playerBackTexture },
+                uEnemyTexture: { value: this.enemyAnimation.getCurrentFrame() },
+                uEnemyPositions: { value: Array.from({ length: MAX_ENEMIES }, () => new THREE.Vector3()) },
+                uEnemyCount: { value: 0 },
+                uEnemyTint: { value: new THREE.Vector3(1, 1, 1) },
                 uMirrorTexture: { value: this.mirrorTexture },
                 uFloorTexture: { value: this.floorTexture },
                 uMazeSize: { value: new THREE.Vector2(mazeWidth, mazeHeight) },
+                uWrap: { value: this.getWrapUniform() },
+                uPortalFrom: { value: Array.from({ length: MAX_PORTAL_FACES }, () => new THREE.Vector4()) },
+                uPortalTo: { value: Array.from({ length: MAX_PORTAL_FACES }, () => new THREE.Vector4()) },
+                uPortalCount: { value: 0 },
                 uTriangleSize: { value: TRIANGLE_SIZE },
                 uTriangleHeight: { value: TRIANGLE_HEIGHT },
                 // Internal render resolution (half-size of window by default)
@@ -327,6 +509,7 @@ class SceneRenderer {
             depthWrite: false,
             depthTest: false
         });
+        this.updatePortalUniforms(material.uniforms);
         
         this.fullscreenQuad = new THREE.Mesh(geometry, material);
         this.scene.add(this.fullscreenQuad);
@@ -349,6 +532,12 @@ class SceneRenderer {
     
     // Update uniforms every frame
     update(deltaTime) {
+        // Cells edited since the last frame (before the ready check - the first upload must see them too)
+        if (this.dirtyTexels.size > 0) {
+            this.updateMazeTexels(Array.from(this.dirtyTexels.values()));
+            this.dirtyTexels.clear();
+        }
+        
         if (!this.isReady) return;
         
         // Update player animation
@@ -365,6 +554,36 @@ class SceneRenderer {
         if (currentFrame) {
             uniforms.uPlayerTexture.value = currentFrame;
         }
+        
+        this.updateEnemies(deltaTime);
+    }
+    
+    // Push the enemies' world positions and animation frame into the shader
+    updateEnemies(deltaTime) {
+        this.enemyAnimation.update(deltaTime);
+        
+        const uniforms = this.fullscreenQuad.material.uniforms;
+        const positions = gameState.getEnemyWorldPositions();
+        const enemyFrame = this.enemyAnimation.getCurrentFrame();
+        
+        if (positions.length > MAX_ENEMIES && this.enemyCount !== MAX_ENEMIES) {
+            console.warn(`⚠️ ${positions.length} enemies, the shader shows the first ${MAX_ENEMIES}`);
+        }
+        this.enemyCount = enemyFrame !== null ? Math.min(positions.length, MAX_ENEMIES) : 0;
+        for (let i = 0; i < this.enemyCount; i++) {
+            uniforms.uEnemyPositions.value[i].set(positions[i].x, 0, positions[i].z);
+        }
+        uniforms.uEnemyCount.value = this.enemyCount;
+        if (enemyFrame) {
+            uniforms.uEnemyTexture.value = enemyFrame;
+        }
+        
+        // Fallback art is the player sprite - darken it so the killer reads as a different figure
+        if (this.enemyAnimation.usingFallback) {
+            uniforms.uEnemyTint.value.set(0.35, 0.05, 0.05);
+        } else {
+            uniforms.uEnemyTint.value.set(1, 1, 1);
+        }
     }
     
     // Render the scene
@@ -388,6 +607,21 @@ class SceneRenderer {
         return this.playerPos.clone();
     }
     
+    /**
+     * Get where the camera is and how much it takes in, for sight tests
+     * (see isSeenFromCamera in line_of_sight.js)
+     * @returns {Object} {x, z, yaw, fieldOfView} with the horizontal field of view in radians
+     */
+    getCameraView() {
+        const aspectRatio = this.renderWidth / this.renderHeight;
+        return {
+            x: this.playerPos.x,
+            z: this.playerPos.z,
+            yaw: this.playerYaw,
+            fieldOfView: 2 * Math.atan(Math.tan(this.fov / 2) * aspectRatio)
+        };
+    }
+
     // Get player direction (for other systems to query)
     getPlayerDirection() {
         let dir = new THREE.Vector3(0, 0, 1);
@@ -1,9 +1,12 @@
 uniform sampler2D uMazeTexture;
+uniform sampler2D uEdgeTexture; // Per-edge mirror tint, frost and symbol, 3 texels per cell (see edge_attributes.js)
 uniform sampler2D uPlayerTexture;
 uniform sampler2D uPlayerBackTexture;
+uniform sampler2D uEnemyTexture;
 uniform sampler2D uMirrorTexture;
 uniform sampler2D uFloorTexture;
 uniform vec2 uMazeSize;
+uniform vec2 uWrap; // 1.0 on axes that wrap around (x: columns, y: rows), see TriangularGrid.wrapAxes and SceneRenderer.getWrapUniform
 uniform float uTriangleSize;
 uniform float uTriangleHeight;
 uniform vec2 uResolution;
@@ -12,6 +15,7 @@ uniform float uPlayerYaw;
 uniform float uPlayerPitch;
 uniform float uFov;
 uniform float uTime;
+uniform vec3 uEnemyTint;
 
 varying vec2 vUv;
 
@@ -27,6 +31,59 @@ const int MAX_TRIANGLE_CROSSINGS = 2000; // Max number of triangles to traverse
 const float PLAYER_QUAD_WIDTH = 0.5;
 const float PLAYER_QUAD_HEIGHT = 1.025;
 const float PLAYER_QUAD_Y_OFFSET = 0.35; // Center height of quad above floor
+const float ENEMY_QUAD_WIDTH = 0.55;
+const float ENEMY_QUAD_HEIGHT = 1.15;
+const float ENEMY_QUAD_Y_OFFSET = 0.575; // Center height of quad above floor (feet on the floor)
+
+// Side codes packed 4 bits per edge in the maze texture G channel (see side_types.js)
+const int SIDE_EMPTY = 0;
+const int SIDE_MIRROR = 1;
+const int SIDE_WALL = 2;
+const int SIDE_DOOR_CLOSED = 3;
+const int SIDE_DOOR_OPEN = 4;
+const int SIDE_GLASS = 5;
+const int SIDE_ONE_WAY_MIRROR = 6;
+const int SIDE_ONE_WAY_WINDOW = 7;
+const int SIDE_PORTAL = 8;
+const float ALL_MIRRORS_CODE = 273.0; // SIDE_MIRROR on all three edges
+const vec3 GLASS_TINT = vec3(0.75, 0.88, 0.92);
+const vec3 ONE_WAY_WINDOW_TINT = vec3(0.55, 0.55, 0.6); // Dim, like looking through a two-way mirror
+const float DOOR_FRAME_WIDTH = 0.06; // Fraction of the edge length on each side
+const vec3 PORTAL_TINT = vec3(0.85, 0.75, 1.0); // Faint violet on everything seen through a portal
+const int MAX_PORTAL_FACES = 64; // Keep in sync with scene_render.js
+const int MAX_ENEMIES = 8; // Keep in sync with scene_render.js
+
+// Triangle metadata packed in the maze texture B channel (see triangle_meta.js):
+// material | decal << 4 | light << 8. The A channel holds the region.
+const int FLOOR_DEFAULT = 0;
+const int FLOOR_TILES = 1;
+const int FLOOR_STONE = 2;
+const int FLOOR_WOOD = 3;
+const int FLOOR_METAL = 4;
+const int DECAL_NONE = 0;
+const int DECAL_BLOOD = 1;
+const int DECAL_CRACKS = 2;
+const int DECAL_MOSS = 3;
+const float DEFAULT_META_CODE = 65280.0; // Default floor, no decal, fully lit
+
+// Symbols engraved in mirrors, edge texture A channel: frost | symbol << 8 (see edge_attributes.js)
+const int SYMBOL_NONE = 0;
+const int SYMBOL_CIRCLE = 1;
+const int SYMBOL_CROSS = 2;
+const int SYMBOL_TRIANGLE = 3;
+const int SYMBOL_DIAMOND = 4;
+const float SYMBOL_SIZE = 0.2; // World units from the centre of a symbol to its outline
+const float FROST_SCATTER = 0.35; // Normal jitter and white haze of a fully frosted mirror
+
+// Paired portal sides (TriangularGrid.getPortalFaces): the face a ray enters and the
+// face it comes out of, as (col, row, edge index, 0)
+uniform vec4 uPortalFrom[MAX_PORTAL_FACES];
+uniform vec4 uPortalTo[MAX_PORTAL_FACES];
+uniform int uPortalCount;
+
+// World positions of the enemies on screen (all drawn with the same sprite)
+uniform vec3 uEnemyPositions[MAX_ENEMIES];
+uniform int uEnemyCount;
 
 // ================================================================
 // Utility Functions
@@ -122,17 +179,77 @@ bool isPointingUp(ivec2 gridPos) {
     return mod(float(gridPos.y + gridPos.x), 2.0) < 0.5;
 }
 
+// Bring a cell outside the grid back in along the axes that wrap around.
+// Geometry stays on the unbounded lattice; only the maze data repeats.
+ivec2 wrapGridPos(ivec2 gridPos) {
+    if (uWrap.x > 0.5) gridPos.x = int(mod(float(gridPos.x), uMazeSize.x));
+    if (uWrap.y > 0.5) gridPos.y = int(mod(float(gridPos.y), uMazeSize.y));
+    return gridPos;
+}
+
+// Offset from a point to its copy nearest to reference (zero unless the grid wraps)
+vec3 getWrapOffset(vec3 pos, vec3 reference) {
+    vec2 period = vec2(uMazeSize.x * uTriangleSize * 0.5, uMazeSize.y * uTriangleHeight);
+    vec3 offset = vec3(0.0);
+    if (uWrap.x > 0.5) offset.x = period.x * floor((reference.x - pos.x) / period.x + 0.5);
+    if (uWrap.y > 0.5) offset.z = period.y * floor((reference.z - pos.z) / period.y + 0.5);
+    return offset;
+}
+
 // Get maze data from texture
 vec4 getMazeCell(ivec2 gridPos) {
+    gridPos = wrapGridPos(gridPos);
     if (gridPos.x < 0 || gridPos.x >= int(uMazeSize.x) || 
         gridPos.y < 0 || gridPos.y >= int(uMazeSize.y)) {
-        return vec4(0.0, 1.0, 0.0, 1.0); // Out of bounds = all walls
+        return vec4(0.0, ALL_MIRRORS_CODE, DEFAULT_META_CODE, 0.0); // Out of bounds = all walls
     }
     
     vec2 uv = (vec2(gridPos) + 0.5) / uMazeSize;
     return texture2D(uMazeTexture, uv);
 }
 
+// Get the side code of one edge from a maze cell
+int getSideCode(vec4 cellData, int edgeIndex) {
+    int packed = int(cellData.g + 0.5);
+    return (packed >> (4 * edgeIndex)) & 15;
+}
+
+// Triangle metadata of a maze cell
+int getFloorMaterial(vec4 cellData) {
+    return int(cellData.b + 0.5) & 15;
+}
+
+int getFloorDecal(vec4 cellData) {
+    return (int(cellData.b + 0.5) >> 4) & 15;
+}
+
+float getLightLevel(vec4 cellData) {
+    return float((int(cellData.b + 0.5) >> 8) & 255) / 255.0;
+}
+
+float getRegion(vec4 cellData) {
+    return floor(cellData.a + 0.5);
+}
+
+// Attributes of one edge of a cell (in bounds); rgb = tint
+vec4 getEdgeAttributes(ivec2 gridPos, int edgeIndex) {
+    vec2 texel = vec2(float(gridPos.x * 3 + edgeIndex), float(gridPos.y)) + 0.5;
+    return texture2D(uEdgeTexture, texel / vec2(uMazeSize.x * 3.0, uMazeSize.y));
+}
+
+float getEdgeFrost(vec4 edgeData) {
+    return float(int(edgeData.a + 0.5) & 255) / 255.0;
+}
+
+int getEdgeSymbol(vec4 edgeData) {
+    return (int(edgeData.a + 0.5) >> 8) & 15;
+}
+
+// Door frames: the posts and lintel around an open door
+bool isDoorFrame(vec2 wallUV) {
+    return wallUV.x < DOOR_FRAME_WIDTH || wallUV.x > 1.0 - DOOR_FRAME_WIDTH || wallUV.y > 0.9;
+}
+
 // Get triangle vertices in world space
 void getTriangleVertices(ivec2 gridPos, out vec3 v0, out vec3 v1, out vec3 v2) {
     float x = float(gridPos.x) * uTriangleSize * 0.5;
@@ -151,6 +268,64 @@ void getTriangleVertices(ivec2 gridPos, out vec3 v0, out vec3 v1, out vec3 v2) {
     }
 }
 
+// Get the two endpoints of an edge (edge N connects vertex (N+1) to vertex (N+2))
+void getEdgeVertices(ivec2 gridPos, int edgeIndex, out vec3 a, out vec3 b) {
+    vec3 v0, v1, v2;
+    getTriangleVertices(gridPos, v0, v1, v2);
+    if (edgeIndex == 0) {
+        a = v1; b = v2;
+    } else if (edgeIndex == 1) {
+        a = v2; b = v0;
+    } else {
+        a = v0; b = v1;
+    }
+}
+
+// Find the face a portal edge leads out of: (col, row, edge index), edge index -1 if unpaired
+ivec3 findPortalTarget(ivec2 gridPos, int edgeIndex) {
+    for (int i = 0; i < MAX_PORTAL_FACES; i++) {
+        if (i >= uPortalCount) break;
+        vec4 from = uPortalFrom[i];
+        if (int(from.x) == gridPos.x && int(from.y) == gridPos.y && int(from.z) == edgeIndex) {
+            vec4 to = uPortalTo[i];
+            return ivec3(int(to.x), int(to.y), int(to.z));
+        }
+    }
+    return ivec3(0, 0, -1);
+}
+
+// Carry a ray from a portal edge over to its partner: the rigid motion that maps one
+// edge onto the other with this triangle landing outside the target triangle
+// (same as getPortalTransform in triangle_coords.js)
+void passThroughPortal(ivec2 fromPos, int fromEdge, ivec3 target, inout vec3 origin, inout vec3 dir) {
+    vec3 a, b, r, s;
+    getEdgeVertices(fromPos, fromEdge, a, b);
+    getEdgeVertices(target.xy, target.z, r, s);
+    
+    vec3 f0, f1, f2, t0, t1, t2;
+    getTriangleVertices(fromPos, f0, f1, f2);
+    getTriangleVertices(target.xy, t0, t1, t2);
+    vec2 fromInside = (f0.xz + f1.xz + f2.xz) / 3.0 - a.xz;
+    vec2 toInside = (t0.xz + t1.xz + t2.xz) / 3.0 - r.xz;
+    vec2 fromEdgeDir = b.xz - a.xz;
+    vec2 toEdgeDir = s.xz - r.xz;
+    float fromSide = fromEdgeDir.x * fromInside.y - fromEdgeDir.y * fromInside.x;
+    float toSide = toEdgeDir.x * toInside.y - toEdgeDir.y * toInside.x;
+    if (fromSide * toSide > 0.0) {
+        // Reverse the target edge so we come out of it, not on top of the target
+        r = s;
+        toEdgeDir = -toEdgeDir;
+    }
+    
+    vec2 u = normalize(fromEdgeDir);
+    vec2 v = normalize(toEdgeDir);
+    float c = dot(u, v);
+    float sn = u.x * v.y - u.y * v.x;
+    vec2 p = origin.xz - a.xz;
+    origin.xz = r.xz + vec2(c * p.x - sn * p.y, sn * p.x + c * p.y);
+    dir.xz = vec2(c * dir.x - sn * dir.z, sn * dir.x + c * dir.z);
+}
+
 // Get neighbor triangle across an edge
 // Returns the neighbor's grid position
 // Edge indexing: edge N connects vertex (N+1) to vertex (N+2)
@@ -290,6 +465,73 @@ bool rayPlayerQuadIntersection(vec3 origin, vec3 dir, out float t, out vec3 hitP
     return true;
 }
 
+// ================================================================
+// Ray-Enemy Billboard Intersection
+// ================================================================
+
+// An enemy is a billboard that always faces the ray origin, so it is seen
+// head-on both directly and from every mirror that reflects it
+bool rayEnemyQuadIntersection(vec3 origin, vec3 dir, vec3 enemyPos, out float t, out vec2 uv) {
+    vec3 quadCenter = vec3(enemyPos.x, FLOOR_Y + ENEMY_QUAD_Y_OFFSET, enemyPos.z);
+    
+    vec2 toViewer = origin.xz - quadCenter.xz;
+    if (dot(toViewer, toViewer) < EPSILON) return false; // Viewer inside the billboard
+    vec3 quadNormal = normalize(vec3(toViewer.x, 0.0, toViewer.y));
+    vec3 quadRight = vec3(quadNormal.z, 0.0, -quadNormal.x);
+    vec3 quadUp = vec3(0.0, 1.0, 0.0);
+    
+    float denom = dot(dir, quadNormal);
+    if (abs(denom) < EPSILON) return false; // Ray parallel to quad
+    
+    t = dot(quadCenter - origin, quadNormal) / denom;
+    if (t < EPSILON) return false; // Quad behind ray origin
+    
+    vec3 localHit = origin + dir * t - quadCenter;
+    float u = dot(localHit, quadRight);
+    float v = dot(localHit, quadUp);
+    
+    float halfWidth = ENEMY_QUAD_WIDTH * 0.5;
+    float halfHeight = ENEMY_QUAD_HEIGHT * 0.5;
+    
+    if (abs(u) > halfWidth || abs(v) > halfHeight) return false;
+    
+    uv = vec2(
+        (u + halfWidth) / ENEMY_QUAD_WIDTH,
+        (v + halfHeight) / ENEMY_QUAD_HEIGHT
+    );
+    
+    return true;
+}
+
+// Sample the enemies along the ray up to maxT (the end of the ray segment
+// inside the current triangle), so walls in between occlude them. The nearest
+// opaque hit wins; on wrapped grids each enemy is taken at its copy nearest
+// the triangle.
+bool traceEnemies(vec3 origin, vec3 dir, vec3 triCenter, float maxT, out vec4 color) {
+    bool found = false;
+    float nearestT = maxT;
+    
+    for (int i = 0; i < MAX_ENEMIES; i++) {
+        if (i >= uEnemyCount) break;
+        vec3 enemyPos = uEnemyPositions[i];
+        vec3 offset = getWrapOffset(enemyPos, triCenter);
+        
+        float t;
+        vec2 uv;
+        if (!rayEnemyQuadIntersection(origin - offset, dir, enemyPos, t, uv) || t > nearestT) continue;
+        
+        // Transparent pixels let the ray continue
+        vec4 texel = texture2D(uEnemyTexture, uv);
+        if (texel.a <= 0.1) continue;
+        
+        color = vec4(texel.rgb * uEnemyTint, texel.a);
+        nearestT = t;
+        found = true;
+    }
+    
+    return found;
+}
+
 // ================================================================
 // Ray-Floor Intersection
 // ================================================================
@@ -413,6 +655,121 @@ vec3 renderWall(vec3 hitPos, int edgeIndex) {
     return baseColor;
 }
 
+// Opaque, non-reflective sides: plain walls, closed doors and open door frames
+vec3 renderSolidSide(vec3 hitPos, vec2 wallUV, int sideCode) {
+    vec3 baseColor;
+    
+    if (sideCode == SIDE_WALL) {
+        // Rough grey stone
+        baseColor = vec3(0.45, 0.45, 0.48) * (0.75 + 0.35 * fbm(hitPos.xz * 6.0 + hitPos.y * 4.0));
+    } else {
+        // Wood, with vertical grain
+        baseColor = vec3(0.42, 0.26, 0.13) * (0.8 + 0.3 * noise(vec2(wallUV.x * 40.0, wallUV.y * 2.0)));
+        
+        if (sideCode == SIDE_DOOR_CLOSED) {
+            // Darker frame around the door panel
+            if (isDoorFrame(wallUV)) {
+                baseColor *= 0.6;
+            }
+            // Handle
+            vec2 handle = vec2(0.82, 0.5);
+            if (length((wallUV - handle) * vec2(1.0, 2.0)) < 0.04) {
+                baseColor = vec3(0.8, 0.7, 0.3);
+            }
+        }
+    }
+    
+    // Distance-based fog
+    float dist = length(hitPos - uPlayerPos);
+    float fog = exp(-dist * 0.1);
+    baseColor = mix(vec3(0.5, 0.7, 0.9), baseColor, fog);
+    
+    return baseColor;
+}
+
+// Whether a point of a mirror lies on the stroke of its engraved symbol
+bool isEngraved(int symbol, vec2 wallUV) {
+    if (symbol == SYMBOL_NONE) return false;
+    
+    // Around the middle of the mirror at eye height, in units of the symbol size
+    vec2 p = vec2((wallUV.x - 0.5) * uTriangleSize, wallUV.y * CEILING_Y - 1.0) / SYMBOL_SIZE;
+    float stroke = 0.15;
+    
+    if (symbol == SYMBOL_CIRCLE) {
+        return abs(length(p) - 0.85) < stroke;
+    }
+    if (symbol == SYMBOL_CROSS) {
+        return max(abs(p.x), abs(p.y)) < 0.75 && min(abs(p.x - p.y), abs(p.x + p.y)) < stroke * 1.41;
+    }
+    if (symbol == SYMBOL_TRIANGLE) {
+        // Outline of an upright equilateral triangle
+        float d = max(abs(p.x) * 0.866 + p.y * 0.5, -p.y) - 0.45;
+        return abs(d) < stroke;
+    }
+    if (symbol == SYMBOL_DIAMOND) {
+        return abs(abs(p.x) + abs(p.y) - 0.9) < stroke * 1.41;
+    }
+    return false;
+}
+
+// Floor colour of a material (the default is the red noise floor)
+vec3 floorMaterialColor(int material, vec2 p) {
+    if (material == FLOOR_TILES) {
+        return texture2D(uFloorTexture, p * 0.5).rgb;
+    }
+    if (material == FLOOR_STONE) {
+        return vec3(0.42, 0.41, 0.4) * (0.7 + 0.5 * fbm(p * 4.0));
+    }
+    if (material == FLOOR_WOOD) {
+        // Planks along x, with grain and dark seams
+        float plank = floor(p.y * 4.0);
+        float grain = fbm(vec2(p.x * 1.5, p.y * 24.0) + plank * 7.3);
+        vec3 wood = mix(vec3(0.32, 0.18, 0.08), vec3(0.55, 0.34, 0.16), grain);
+        return fract(p.y * 4.0) < 0.05 ? wood * 0.4 : wood;
+    }
+    if (material == FLOOR_METAL) {
+        // Grating
+        vec2 cell = abs(fract(p * 5.0) - 0.5);
+        float ridge = step(0.42, max(cell.x, cell.y));
+        return vec3(0.3, 0.32, 0.35) * (0.85 + 0.2 * noise(p * 20.0)) * (1.0 - 0.4 * ridge);
+    }
+    vec3 red = vec3(0.8, 0.1, 0.1);
+    return mix(red * 0.5, red * 1.3, fbm(p * 3.0));
+}
+
+// Ceiling colour above a floor material
+vec3 ceilingMaterialColor(int material, vec2 p) {
+    vec3 base = vec3(0.85, 0.88, 0.95); // Soft bluish
+    if (material == FLOOR_TILES) base = vec3(0.9, 0.9, 0.88);
+    if (material == FLOOR_STONE) base = vec3(0.6, 0.6, 0.62);
+    if (material == FLOOR_WOOD) base = vec3(0.75, 0.62, 0.5);
+    if (material == FLOOR_METAL) base = vec3(0.5, 0.53, 0.58);
+    return mix(base * 0.9, base * 1.05, fbm(p * 2.0));
+}
+
+vec3 applyFloorDecal(vec3 color, int decal, vec2 p) {
+    if (decal == DECAL_BLOOD) {
+        float splat = smoothstep(0.55, 0.6, fbm(p * 2.5 + 11.0));
+        return mix(color, vec3(0.25, 0.0, 0.0), splat * 0.85);
+    }
+    if (decal == DECAL_CRACKS) {
+        float crack = 1.0 - smoothstep(0.0, 0.03, abs(fbm(p * 3.0) - 0.5));
+        return color * (1.0 - 0.8 * crack);
+    }
+    if (decal == DECAL_MOSS) {
+        float moss = smoothstep(0.45, 0.7, fbm(p * 5.0 + 3.0));
+        return mix(color, vec3(0.18, 0.32, 0.1), moss * 0.8);
+    }
+    return color;
+}
+
+// Slight colour shift per region, so neighbouring zones read as different places
+vec3 regionTint(float region) {
+    if (region < 0.5) return vec3(1.0);
+    vec3 h = vec3(hash(vec2(region, 17.0)), hash(vec2(region, 31.0)), hash(vec2(region, 53.0)));
+    return vec3(1.0) + 0.12 * (h - 0.5);
+}
+
 vec3 renderFloor(vec3 hitPos) {
     // Sample the triangle grid around this point so edges are continuous,
     // even when the point is numerically assigned to the neighbouring cell.
@@ -445,15 +802,11 @@ vec3 renderFloor(vec3 hitPos) {
         return vec3(0.0); // Pitch black edge overlay
     }
 
-    // Red base color
-    vec3 baseColor = vec3(0.8, 0.1, 0.1);
-    
-    // Add rich noise pattern using world position
-    vec2 noiseCoord = vec2(hitPos.x, hitPos.z) * 3.0;
-    float noiseValue = fbm(noiseCoord);
-    
-    // Modulate the red color with noise for variation
-    baseColor = mix(baseColor * 0.5, baseColor * 1.3, noiseValue);
+    // Material, decal and region of the triangle under this point
+    vec4 cellData = getMazeCell(baseGrid);
+    vec3 baseColor = floorMaterialColor(getFloorMaterial(cellData), hitPos.xz);
+    baseColor = applyFloorDecal(baseColor, getFloorDecal(cellData), hitPos.xz);
+    baseColor *= regionTint(getRegion(cellData));
     
     // Distance-based fog
     float dist = length(hitPos - uPlayerPos);
@@ -464,7 +817,8 @@ vec3 renderFloor(vec3 hitPos) {
     float brightness = 1.0 - smoothstep(0.0, 30.0, dist);
     baseColor *= 0.5 + brightness * 0.5;
     
-    return baseColor;
+    // The triangle's own light level (dark rooms stay dark through the fog)
+    return baseColor * getLightLevel(cellData);
 }
 
 vec3 renderCeiling(vec3 hitPos) {
@@ -499,13 +853,10 @@ vec3 renderCeiling(vec3 hitPos) {
         return vec3(0.0); // edge overlay
     }
 
-    // Soft bluish ceiling base
-    vec3 baseColor = vec3(0.85, 0.88, 0.95);
-
-    // Subtle noise variation
-    vec2 noiseCoord = vec2(hitPos.x, hitPos.z) * 2.0;
-    float noiseValue = fbm(noiseCoord);
-    baseColor = mix(baseColor * 0.9, baseColor * 1.05, noiseValue);
+    // Ceiling over the triangle's floor material, with subtle noise variation
+    vec4 cellData = getMazeCell(baseGrid);
+    vec3 baseColor = ceilingMaterialColor(getFloorMaterial(cellData), hitPos.xz);
+    baseColor *= regionTint(getRegion(cellData));
 
     // Distance-based fog similar to floor for consistency
     float dist = length(hitPos - uPlayerPos);
@@ -516,7 +867,7 @@ vec3 renderCeiling(vec3 hitPos) {
     float brightness = 1.0 - smoothstep(0.0, 30.0, dist);
     baseColor *= 0.6 + brightness * 0.4;
 
-    return baseColor;
+    return baseColor * getLightLevel(cellData);
 }
 
 // ================================================================
@@ -530,7 +881,7 @@ vec3 castRay(vec3 origin, vec3 dir) {
     vec3 reflectivity = vec3(1.0);
     bool hitSomething = false; // Track if we hit an opaque surface
     
-    // Mirror tint - slightly cyan/blue to indicate mirror surfaces (very subtle)
+    // Tint of the mirrored ceiling (wall mirrors have their own, from the edge texture)
     vec3 mirrorTint = vec3(0.8, 0.8, 0.8);
     
     // Start in the current triangle
@@ -538,13 +889,19 @@ vec3 castRay(vec3 origin, vec3 dir) {
     
     // Triangle-by-triangle traversal
     for (int iteration = 0; iteration < MAX_TRIANGLE_CROSSINGS; iteration++) {
-        // Check if we're out of bounds
-        if (currentTriangle.x < 0 || currentTriangle.x >= int(uMazeSize.x) || 
-            currentTriangle.y < 0 || currentTriangle.y >= int(uMazeSize.y)) {
+        // Check if we're out of bounds (never along an axis that wraps around)
+        ivec2 cell = wrapGridPos(currentTriangle);
+        if (cell.x < 0 || cell.x >= int(uMazeSize.x) || 
+            cell.y < 0 || cell.y >= int(uMazeSize.y)) {
             // Out of bounds - check floor/ceiling/sky
             break;
         }
         
+        // Get triangle vertices
+        vec3 v0, v1, v2;
+        getTriangleVertices(currentTriangle, v0, v1, v2);
+        vec3 triCenter = (v0 + v1 + v2) / 3.0;
+        
         // FIRST: Check player quad (only for reflected rays, iteration > 0)
         // Player quad spans multiple triangles, so check it independently
         bool hitPlayer = false;
@@ -555,7 +912,9 @@ vec3 castRay(vec3 origin, vec3 dir) {
             vec3 playerHit;
             vec2 tempPlayerUV;
             bool tempFrontFacing;
-            if (rayPlayerQuadIntersection(rayOrigin, rayDir, playerT, playerHit, tempPlayerUV, tempFrontFacing)) {
+            // On a wrapped grid, test the copy of the player nearest to this triangle
+            vec3 playerOffset = getWrapOffset(uPlayerPos, triCenter);
+            if (rayPlayerQuadIntersection(rayOrigin - playerOffset, rayDir, playerT, playerHit, tempPlayerUV, tempFrontFacing)) {
                 if (playerT > EPSILON) {
                     // Sample the texture to check alpha
                     vec4 tempPlayerColor = tempFrontFacing ? 
@@ -579,15 +938,8 @@ vec3 castRay(vec3 origin, vec3 dir) {
         }
         
         // SECOND: Check triangle walls (only if we didn't hit player)
-        // Get current triangle's walls
+        // Get current triangle's side codes
         vec4 cellData = getMazeCell(currentTriangle);
-        float wallBits = cellData.g * 7.0;
-        int walls = int(wallBits + 0.5);
-        
-        // Get triangle vertices
-        vec3 v0, v1, v2;
-        getTriangleVertices(currentTriangle, v0, v1, v2);
-        vec3 triCenter = (v0 + v1 + v2) / 3.0;
         
         // Check ray intersection with all 3 edges of current triangle
         float closestT = MAX_DIST;
@@ -641,6 +993,28 @@ vec3 castRay(vec3 origin, vec3 dir) {
             }
         }
 
+        // THIRD: Check the enemy billboards (primary and reflected rays alike).
+        // Only accept hits before the point where the ray leaves this triangle,
+        // otherwise the enemy would show through walls.
+        float segmentEnd = closestT;
+        if (hitEdge == -1) {
+            float planeT;
+            vec3 planeHit;
+            if (rayCeilingIntersection(rayOrigin, rayDir, planeT, planeHit)) {
+                segmentEnd = min(segmentEnd, planeT);
+            }
+            if (rayFloorIntersection(rayOrigin, rayDir, planeT, planeHit)) {
+                segmentEnd = min(segmentEnd, planeT);
+            }
+        }
+        
+        vec4 enemyColor;
+        if (traceEnemies(rayOrigin, rayDir, triCenter, segmentEnd, enemyColor)) {
+            accumulatedColor += enemyColor.rgb * reflectivity;
+            hitSomething = true;
+            break;
+        }
+
         // If no edge was hit, handle planes (ceiling/floor/sky) within the loop
         if (hitEdge == -1) {
             float ceilingT;
@@ -675,20 +1049,51 @@ vec3 castRay(vec3 origin, vec3 dir) {
             }
         }
         
-        // If we're here, a wall was hit. Check if it's solid or a mirror.
-        int edgeBit = 1 << hitEdge;
-        bool hasWall = (walls & edgeBit) != 0;
+        // If we're here, the ray reached an edge. What happens depends on the side type
+        // as seen from this triangle (a one-way mirror is a window from the other side).
+        int sideCode = getSideCode(cellData, hitEdge);
+        if (sideCode == SIDE_PORTAL) {
+            ivec3 target = findPortalTarget(cell, hitEdge);
+            if (target.z >= 0) {
+                // Paired portal - carry on from the partner side, into the triangle behind it
+                rayOrigin = closestHit;
+                passThroughPortal(currentTriangle, hitEdge, target, rayOrigin, rayDir);
+                rayOrigin += rayDir * EPSILON * 10.0;
+                reflectivity *= PORTAL_TINT;
+                currentTriangle = target.xy;
+                continue;
+            }
+            sideCode = SIDE_WALL; // Unpaired portal sides are plain walls
+        }
+        bool isReflective = sideCode == SIDE_MIRROR || sideCode == SIDE_ONE_WAY_MIRROR;
+        bool isOpaque = sideCode == SIDE_WALL || sideCode == SIDE_DOOR_CLOSED ||
+            (sideCode == SIDE_DOOR_OPEN && isDoorFrame(wallUV));
         
-        if (hasWall) {
+        if (isOpaque) {
+            // Wall, closed door or door frame - render and stop
+            accumulatedColor += renderSolidSide(closestHit, wallUV, sideCode) * reflectivity;
+            hitSomething = true;
+            break;
+        } else if (isReflective) {
             // This edge has a wall - check if it's a mirror
             vec4 mirrorData = texture2D(uMirrorTexture, wallUV);
             bool isMirror = mirrorData.g > 0.7;
             
             if (isMirror) {
                 // Mirror - reflect ray and stay in same triangle
+                vec4 edgeData = getEdgeAttributes(cell, hitEdge);
+                float frost = getEdgeFrost(edgeData);
+                
+                // Engraved symbol - matte etched glass in the mirror's tint, render and stop
+                if (isEngraved(getEdgeSymbol(edgeData), wallUV)) {
+                    vec3 etched = mix(vec3(0.85, 0.87, 0.9), edgeData.rgb, 0.5);
+                    accumulatedColor += renderWall(closestHit, hitEdge) * etched * reflectivity;
+                    hitSomething = true;
+                    break;
+                }
                 
                 // Generate unique wave parameters for this mirror
-                float mirrorSeed = float(currentTriangle.x * 730 + currentTriangle.y * 370 + hitEdge * 190);
+                float mirrorSeed = float(cell.x * 730 + cell.y * 370 + hitEdge * 190);
                 float mirrorHash1 = hash(vec2(mirrorSeed, mirrorSeed * 1.618));
                 float mirrorHash2 = hash(vec2(mirrorSeed * 2.718, mirrorSeed * 0.577));
                 float mirrorHash3 = hash(vec2(mirrorSeed * 1.414, mirrorSeed * 3.142));
@@ -706,8 +1111,16 @@ vec3 castRay(vec3 origin, vec3 dir) {
                 float wave = sin(closestHit.y * waveFrequency + waveOffset) * waveScale;
                 vec3 distortedNormal = normalize(closestNormal + vec3(0.0, wave, 0.0));
                 
-                // Apply mirror tint
-                reflectivity *= mirrorTint;
+                // Frost scatters the reflection and adds a white haze
+                if (frost > 0.0) {
+                    vec2 grain = closestHit.xz * 311.0 + closestHit.y * 197.0;
+                    vec3 scatter = vec3(hash(grain), hash(grain + 17.0), hash(grain + 43.0)) - 0.5;
+                    distortedNormal = normalize(distortedNormal + scatter * frost * FROST_SCATTER);
+                    accumulatedColor += vec3(0.9, 0.92, 0.95) * frost * FROST_SCATTER * reflectivity;
+                }
+                
+                // Apply this mirror's tint
+                reflectivity *= edgeData.rgb * (1.0 - frost * FROST_SCATTER);
                 
                 // Reflect the ray
                 rayDir = reflect(rayDir, distortedNormal);
@@ -722,7 +1135,16 @@ vec3 castRay(vec3 origin, vec3 dir) {
                 break;
             }
         } else {
-            // No wall on this edge - move to neighbor triangle.
+            // See-through edge (open, open door, glass, back of a one-way mirror)
+            if (sideCode == SIDE_GLASS) {
+                // Faint sheen plus a cool tint on everything behind the pane
+                accumulatedColor += vec3(0.04, 0.05, 0.06) * reflectivity;
+                reflectivity *= GLASS_TINT;
+            } else if (sideCode == SIDE_ONE_WAY_WINDOW) {
+                reflectivity *= ONE_WAY_WINDOW_TINT;
+            }
+            
+            // Move to neighbor triangle.
             // We MUST nudge the ray origin slightly past the edge, otherwise we keep
             // re‑hitting the same edge from the same origin and never see the next cell.
             ivec2 neighbor = getNeighbor(currentTriangle, hitEdge);
@@ -28,7 +28,7 @@ class UIOverlay {
     }
     
     initializeComponents() {
-        // Create minimap
+        // Create minimap (only as a debug view for now, see setShowNoiseMap)
         // this.minimap = new MazeMinimap(this.container);
         // console.log('UIOverlay: Minimap created');
 
@@ -77,9 +77,31 @@ class UIOverlay {
     setGrid(grid) {
         this.grid = grid;
         console.log('UIOverlay: Setting grid with', grid.getRowCount(), 'rows');
-        // if (this.minimap) {
-        //     this.minimap.setGrid(grid);
-        // }
+        if (this.minimap) {
+            this.minimap.setGrid(grid);
+        }
+    }
+    
+    /**
+     * Show or hide the minimap with its noise overlay, a debug view of how far the
+     * player's noises carry (the minimap gives the whole maze away)
+     * @param {boolean} enabled
+     */
+    setShowNoiseMap(enabled) {
+        if (enabled && !this.minimap) {
+            this.minimap = new MazeMinimap(this.container);
+            this.minimap.setGameState(gameState);
+            if (this.grid) {
+                this.minimap.setGrid(this.grid);
+            }
+            console.log('UIOverlay: Minimap created (noise overlay)');
+        } else if (!enabled && this.minimap) {
+            this.minimap.destroy();
+            this.minimap = null;
+        }
+        if (this.minimap) {
+            this.minimap.setShowNoise(true);
+        }
     }
     
     /**
@@ -109,14 +131,14 @@ class UIOverlay {
     
     // Render all UI elements (called every frame after game rendering)
     render() {
-        // Render minimap with player position
-        // if (this.minimap && this.sceneRenderer) {
-        //     const playerPos = this.sceneRenderer.getPlayerPosition();
-        //     const playerYaw = this.sceneRenderer.playerYaw;
-        //     this.minimap.render(playerPos, playerYaw);
-        // } else if (this.minimap) {
-        //     this.minimap.render();
-        // }
+        // Render minimap with player position (every frame: the characters move and noises fade)
+        if (this.minimap && this.sceneRenderer) {
+            const playerPos = this.sceneRenderer.getPlayerPosition();
+            const playerYaw = this.sceneRenderer.playerYaw;
+            this.minimap.render(playerPos, playerYaw);
+        } else if (this.minimap) {
+            this.minimap.render();
+        }
         
         // Future UI rendering will go here
         // Canvas-based UI elements can be drawn here
@@ -125,18 +147,19 @@ class UIOverlay {
     
     // Handle window resize
     handleResize(width, height) {
-        // if (this.minimap) {
-        //     this.minimap.handleResize(width, height);
-        // }
+        if (this.minimap) {
+            this.minimap.handleResize(width, height);
+        }
         
         // Handle resize for other UI components
     }
     
     // Cleanup
     destroy() {
-        // if (this.minimap) {
-        //     this.minimap.destroy();
-        // }
+        if (this.minimap) {
+            this.minimap.destroy();
+            this.minimap = null;
+        }
         
         if (this.phaseDisplay && this.phaseDisplay.parentNode) {
             this.phaseDisplay.parentNode.removeChild(this.phaseDisplay);
@@ -0,0 +1,50 @@
+// Seeded Random Numbers
+// Mulberry32 generator used wherever a seed must replay the same maze.
+
+/**
+ * Create a random number generator
+ * @param {number|string|null} seed - Numbers are used as-is (as uint32), strings are hashed.
+ *                                    Without a seed this is Math.random.
+ * @returns {Function} () => number in [0, 1)
+ */
+function createRng(seed = null) {
+    if (seed === null || seed === undefined) return Math.random;
+
+    let seedNum;
+    if (typeof seed === 'number') {
+        seedNum = (seed >>> 0);
+    } else {
+        const s = String(seed);
+        let h = 2166136261 >>> 0; // FNV-1a like hash
+        for (let i = 0; i < s.length; i++) {
+            h ^= s.charCodeAt(i);
+            h = Math.imul(h, 16777619);
+        }
+        seedNum = h >>> 0;
+    }
+
+    let a = seedNum;
+    return function() {
+        let t = a += 0x6D2B79F5;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+function pickRandom(arr, rng) {
+    return arr[Math.floor(rng() * arr.length)];
+}
+
+// Fisher-Yates shuffle, in place
+function shuffle(arr, rng) {
+    for (let i = arr.length - 1; i > 0; i--) {
+        const j = Math.floor(rng() * (i + 1));
+        const tmp = arr[i];
+        arr[i] = arr[j];
+        arr[j] = tmp;
+    }
+    return arr;
+}
+
+export { createRng, pickRandom, shuffle };
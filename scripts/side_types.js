@@ -0,0 +1,122 @@
+// Side Types
+// Everything a triangle side can be, and how each type behaves for movement,
+// sight, sound, map strings and the raycast shader's maze texture.
+//
+// One-way mirrors are directional: the triangle whose side is ONE_WAY_MIRROR
+// sees a mirror, the neighbor on the other side stores ONE_WAY_WINDOW and
+// looks straight through it. Setting either one sets its counterpart on the neighbor.
+//
+// Portals lead somewhere else entirely: TriangularGrid pairs portal sides, and
+// walking or looking into one comes out of its partner. The type itself only
+// marks the side; a portal side without a partner behaves like a wall.
+
+/**
+ * Enum for triangle side types
+ */
+const SideType = Object.freeze({
+    EMPTY: 'empty',
+    MIRROR: 'mirror',
+    WALL: 'wall',                     // Opaque, non-reflective
+    DOOR_CLOSED: 'door_closed',       // Opaque until opened
+    DOOR_OPEN: 'door_open',           // Passable, drawn as a frame
+    GLASS: 'glass',                   // See-through, blocks movement
+    ONE_WAY_MIRROR: 'one_way_mirror', // Mirror when seen from this side
+    ONE_WAY_WINDOW: 'one_way_window', // Back of a one-way mirror, see-through
+    PORTAL: 'portal'                  // Leads out of the paired portal side (TriangularGrid.addPortal)
+});
+
+// Per-type behavior. `code` is the 4-bit value the shader reads for the edge
+// (keep in sync with the SIDE_* constants in raycast.frag.glsl). `muffling` is
+// the loudness a noise loses getting through the side, on top of the step
+// itself (see noise.js).
+const SIDE_TYPE_INFO = Object.freeze({
+    [SideType.EMPTY]:          { char: 'e', code: 0, passable: true,  transparent: true,  reflective: false, muffling: 0 },
+    [SideType.MIRROR]:         { char: 'm', code: 1, passable: false, transparent: false, reflective: true,  muffling: 2 },
+    [SideType.WALL]:           { char: 'w', code: 2, passable: false, transparent: false, reflective: false, muffling: 4 },
+    [SideType.DOOR_CLOSED]:    { char: 'd', code: 3, passable: false, transparent: false, reflective: false, muffling: 2 },
+    [SideType.DOOR_OPEN]:      { char: 'o', code: 4, passable: true,  transparent: true,  reflective: false, muffling: 0 },
+    [SideType.GLASS]:          { char: 'g', code: 5, passable: false, transparent: true,  reflective: false, muffling: 2 },
+    [SideType.ONE_WAY_MIRROR]: { char: 'r', code: 6, passable: false, transparent: false, reflective: true,  muffling: 2 },
+    [SideType.ONE_WAY_WINDOW]: { char: 'v', code: 7, passable: false, transparent: true,  reflective: false, muffling: 2 },
+    // Not passable or transparent towards the neighbor - Triangle.getPassage follows the pairing instead
+    // (an unpaired portal muffles like a wall)
+    [SideType.PORTAL]:         { char: 'p', code: 8, passable: false, transparent: false, reflective: false, muffling: 4 }
+});
+
+// Map string character -> SideType
+const SIDE_CHAR_MAP = Object.freeze(Object.fromEntries(
+    Object.entries(SIDE_TYPE_INFO).map(([type, info]) => [info.char, type])
+));
+
+// Bits per edge in the packed maze texture value
+const EDGE_CODE_BITS = 4;
+
+function isSideTypePassable(type) {
+    return SIDE_TYPE_INFO[type]?.passable ?? false;
+}
+
+function isSideTypeTransparent(type) {
+    return SIDE_TYPE_INFO[type]?.transparent ?? false;
+}
+
+function isSideTypeReflective(type) {
+    return SIDE_TYPE_INFO[type]?.reflective ?? false;
+}
+
+function getSideTypeMuffling(type) {
+    return SIDE_TYPE_INFO[type]?.muffling ?? 0;
+}
+
+function isDoorSideType(type) {
+    return type === SideType.DOOR_CLOSED || type === SideType.DOOR_OPEN;
+}
+
+/**
+ * Get the type the neighbor stores for a shared side
+ * (the other face of a one-way mirror, everything else is symmetric)
+ * @param {string} type - SideType value
+ * @returns {string}
+ */
+function getCounterpartSideType(type) {
+    if (type === SideType.ONE_WAY_MIRROR) return SideType.ONE_WAY_WINDOW;
+    if (type === SideType.ONE_WAY_WINDOW) return SideType.ONE_WAY_MIRROR;
+    return type;
+}
+
+function sideTypeToChar(type) {
+    return SIDE_TYPE_INFO[type]?.char ?? 'e';
+}
+
+function charToSideType(char) {
+    return SIDE_CHAR_MAP[char] ?? null;
+}
+
+function sideTypeToCode(type) {
+    return SIDE_TYPE_INFO[type]?.code ?? 0;
+}
+
+/**
+ * Pack three edge codes (indexed by shader edge index) into one integer:
+ * code(edge 0) | code(edge 1) << 4 | code(edge 2) << 8
+ * @param {Array<number>} codes
+ * @returns {number} 0..4095, exact in a float texture channel
+ */
+function packEdgeCodes(codes) {
+    return codes.reduce((packed, code, edgeIndex) => packed | (code << (EDGE_CODE_BITS * edgeIndex)), 0);
+}
+
+export {
+    SideType,
+    SIDE_TYPE_INFO,
+    EDGE_CODE_BITS,
+    isSideTypePassable,
+    isSideTypeTransparent,
+    isSideTypeReflective,
+    getSideTypeMuffling,
+    isDoorSideType,
+    getCounterpartSideType,
+    sideTypeToChar,
+    charToSideType,
+    sideTypeToCode,
+    packEdgeCodes
+};
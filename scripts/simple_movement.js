@@ -1,9 +1,22 @@
 // Simple Movement Controller
-// Handles WASD movement and mouse look
+// Handles WASD movement and mouse look. Sprinting and running into walls make
+// noises the enemies may hear (see noise.js).
 
 import * as THREE from 'three';
 import gameState from './player_logic/game_state.js';
-import { TRIANGLE_SIZE, TRIANGLE_HEIGHT } from './maze.js';
+import { SideType } from './grid_system.js';
+import { isDoorSideType } from './side_types.js';
+import { NoiseSource } from './noise.js';
+import {
+    TRIANGLE_SIZE,
+    TRIANGLE_HEIGHT,
+    EDGE_SIDES,
+    SIDE_NAMES,
+    getEdgeVertices,
+    getSideVertices,
+    getPortalTransform,
+    worldToTriangle
+} from './triangle_coords.js';
 
 class SimpleMovement {
     constructor() {
@@ -26,6 +39,18 @@ class SimpleMovement {
         this.sprintMultiplier = 2.0;
         this.mouseSensitivity = 0.002; // Radians per pixel
 
+        // Collision settings
+        // Radius must stay below the triangle inradius (TRIANGLE_HEIGHT / 3)
+        // or the player would not fit inside a dead-end triangle
+        this.playerRadius = 0.15;
+        this.collisionIterations = 4;
+        this.doorReach = 0.6; // How far away (units) the E key can open or close a door
+
+        // Noise settings
+        this.sprintStride = 0.5; // Units sprinted per sprint noise
+        this.sprintDistance = 0; // Units sprinted since the last sprint noise
+        this.bumping = false; // Stopped by a wall last frame (only the first frame makes a noise)
+
         // Touch/click control state
         this.turnSpeedTouch = 2.0; // Radians per second for on-screen turn
         this.pointerActions = new Map(); // pointerId -> 'forward' | 'left' | 'right'
@@ -72,6 +97,7 @@ class SimpleMovement {
         if (key === 'd') this.keys.d = true;
         if (key === ' ') this.keys.space = true;
         if (event.key === 'Shift') this.keys.shift = true;
+        if (key === 'e' && !event.repeat) this.toggleFacingDoor();
     }
     
     onKeyUp(event) {
@@ -182,24 +208,35 @@ class SimpleMovement {
     // Set reference to grid
     setGrid(grid) {
         this.grid = grid;
+        // The renderer's spawn point may sit closer to a mirror than our radius
+        this.resolveWallCollisions(this.position.clone());
+    }
+    
+    // Find the grid triangle containing a world position (exact point-in-triangle test,
+    // same search as worldToGrid in the raycast shader). Returns null outside the grid.
+    getTriangleAt(worldPos) {
+        if (!this.grid) return null;
+        
+        const { row, col } = worldToTriangle(worldPos.x, worldPos.z);
+        return this.grid.getTriangleWrapped(row, col) || null;
     }
     
     // Convert world position to grid coordinates
     worldToGrid(worldPos) {
         if (!this.grid) return { row: 0, col: 0 };
         
+        const triangle = this.getTriangleAt(worldPos);
+        if (triangle) {
+            return { row: triangle.row, col: triangle.col };
+        }
+        
         // Get grid dimensions
         const rowCount = this.grid.getRowCount();
         const colCount = this.grid.getColCount();
         
-        // Calculate row (z-axis)
-        const row = Math.floor((worldPos.z / TRIANGLE_HEIGHT) * 2);
-        
-        // Calculate column (x-axis) - accounting for row offset
-        const rowOffset = (row % 2 === 1) ? TRIANGLE_SIZE / 2 : 0;
-        const col = Math.floor((worldPos.x - rowOffset) / TRIANGLE_SIZE);
+        // Outside the grid - clamp the lattice triangle to the grid bounds
+        const { row, col } = worldToTriangle(worldPos.x, worldPos.z);
         
-        // Clamp to grid bounds
         return {
             row: Math.max(0, Math.min(rowCount - 1, row)),
             col: Math.max(0, Math.min(colCount - 1, col))
@@ -239,9 +276,18 @@ class SimpleMovement {
         rotatedMove.x = moveDir.x * Math.cos(this.yaw) - moveDir.z * Math.sin(this.yaw);
         rotatedMove.z = moveDir.x * Math.sin(this.yaw) + moveDir.z * Math.cos(this.yaw);
         
-        // Apply movement to position
-        this.position.x += rotatedMove.x * speed * deltaTime;
-        this.position.z += rotatedMove.z * speed * deltaTime;
+        // Apply movement to position (blocked and slid along mirrors)
+        const previous = this.position.clone();
+        const hitWall = this.moveWithCollision(rotatedMove.x * speed * deltaTime, rotatedMove.z * speed * deltaTime);
+        const intended = moveDir.lengthSq() > 0 ? speed * deltaTime : 0;
+        const travelled = Math.min(previous.distanceTo(this.position), intended); // A portal jumps farther
+        
+        // Walking off a wrapped edge comes back in on the opposite edge
+        if (this.grid) {
+            const wrapped = this.grid.wrapWorldPosition(this.position.x, this.position.z);
+            this.position.x = wrapped.x;
+            this.position.z = wrapped.z;
+        }
         
         // Update scene renderer if available
         if (this.sceneRenderer) {
@@ -250,6 +296,11 @@ class SimpleMovement {
         
         // Update game state with grid position
         if (this.grid) {
+            // Walls block everything but the exit, so leaving the grid means escaping
+            if (!this.getTriangleAt(this.position)) {
+                gameState.markPlayerEscaped();
+            }
+            
             const gridPos = this.worldToGrid(this.position);
             const player = gameState.getPlayer();
             player.row = gridPos.row;
@@ -261,9 +312,223 @@ class SimpleMovement {
             const directionIndex = Math.round(normalizedYaw / (Math.PI / 3)) % 6;
             const directions = ['right', 'up-right', 'up-left', 'left', 'down-left', 'down-right'];
             player.facing = directions[directionIndex];
+
+            // Sliding along a wall is quiet, running into one isn't
+            this.makeNoise(hitWall && travelled < intended * 0.5, this.keys.shift ? travelled : 0);
         }
     }
     
+    // Emit the noises of this frame's movement: one when the player runs into a wall
+    // (not again while pushing against it), and one per stride sprinted
+    makeNoise(bumped, sprinted) {
+        const player = gameState.getPlayer();
+        if (bumped && !this.bumping) {
+            gameState.emitNoise(player.row, player.col, NoiseSource.BUMP);
+        }
+        this.bumping = bumped;
+        
+        this.sprintDistance = sprinted > 0 ? this.sprintDistance + sprinted : 0;
+        while (this.sprintDistance >= this.sprintStride) {
+            this.sprintDistance -= this.sprintStride;
+            gameState.emitNoise(player.row, player.col, NoiseSource.SPRINT);
+        }
+    }
+    
+    // Move by (dx, dz) in world space, resolving collisions against mirror edges.
+    // Returns whether a wall got in the way.
+    moveWithCollision(dx, dz) {
+        if (!this.grid) {
+            this.position.x += dx;
+            this.position.z += dz;
+            return false;
+        }
+        
+        // Sub-step long moves so a low frame rate can never tunnel through a wall
+        const distance = Math.sqrt(dx * dx + dz * dz);
+        const steps = Math.max(1, Math.ceil(distance / (this.playerRadius * 0.5)));
+        let hitWall = false;
+        
+        for (let i = 0; i < steps; i++) {
+            const previous = this.position.clone();
+            this.position.x += dx / steps;
+            this.position.z += dz / steps;
+            
+            // The rest of the move continues in the portal's outgoing direction
+            const portal = this.passThroughPortals(previous);
+            if (portal) {
+                const turned = portal.rotate({ x: dx, z: dz });
+                dx = turned.x;
+                dz = turned.z;
+            }
+            
+            hitWall = this.resolveWallCollisions(previous) || hitWall;
+        }
+        return hitWall;
+    }
+    
+    // If the last sub-step crossed a paired portal side, carry the player through it:
+    // position and yaw go through the same rigid motion the raycast shader applies to rays.
+    // Returns the portal transform (triangle_coords.js getPortalTransform), or null.
+    passThroughPortals(previousPosition) {
+        const { row, col } = worldToTriangle(previousPosition.x, previousPosition.z);
+        const triangle = this.grid.getTriangleWrapped(row, col);
+        if (!triangle) return null;
+        
+        for (const side of SIDE_NAMES) {
+            const link = triangle.portalLinks[side];
+            if (!link || triangle.getSideState(side) !== SideType.PORTAL) continue;
+            
+            // Geometry from the unwrapped lattice cell, the one the player is actually in
+            const [a, b] = getSideVertices(row, col, side);
+            if (!this.segmentsCross(previousPosition, this.position, a, b)) continue;
+            
+            const transform = getPortalTransform(row, col, side, link.triangle.row, link.triangle.col, link.side);
+            const moved = transform.apply(this.position);
+            this.position.x = moved.x;
+            this.position.z = moved.z;
+            this.yaw += transform.angle;
+            console.log(`🌀 Portal: (${triangle.row}, ${triangle.col}) ${side} -> (${link.triangle.row}, ${link.triangle.col})`);
+            return transform;
+        }
+        return null;
+    }
+    
+    // Whether the move p -> q crosses the segment a-b (XZ plane)
+    segmentsCross(p, q, a, b) {
+        const orient = (o, u, v) => (u.x - o.x) * (v.z - o.z) - (u.z - o.z) * (v.x - o.x);
+        return orient(a, b, p) * orient(a, b, q) < 0 && orient(p, q, a) * orient(p, q, b) <= 0;
+    }
+    
+    // Push the player circle out of every nearby blocking edge (mirrors, walls, glass, closed doors).
+    // Removing only the penetrating component is what makes the player slide along walls.
+    // Returns whether the player had to be pushed out of any.
+    resolveWallCollisions(previousPosition) {
+        if (!this.grid) return false;
+        
+        const walls = this.getNearbyWallSegments(this.position);
+        const radius = this.playerRadius;
+        let touched = false;
+        
+        for (let iteration = 0; iteration < this.collisionIterations; iteration++) {
+            let pushed = false;
+            
+            for (const [a, b] of walls) {
+                // Closest point on the wall segment to the player (XZ plane)
+                const { x: closestX, z: closestZ } = this.closestPointOnSegment(this.position.x, this.position.z, a, b);
+                
+                let offsetX = this.position.x - closestX;
+                let offsetZ = this.position.z - closestZ;
+                const distSq = offsetX * offsetX + offsetZ * offsetZ;
+                if (distSq >= radius * radius) continue;
+                
+                let dist = Math.sqrt(distSq);
+                if (dist < 1e-6) {
+                    // Exactly on the wall line - push back towards the side we came from
+                    const abX = b.x - a.x;
+                    const abZ = b.z - a.z;
+                    const length = Math.sqrt(abX * abX + abZ * abZ);
+                    offsetX = -abZ / length;
+                    offsetZ = abX / length;
+                    const side = (previousPosition.x - closestX) * offsetX + (previousPosition.z - closestZ) * offsetZ;
+                    if (side < 0) {
+                        offsetX = -offsetX;
+                        offsetZ = -offsetZ;
+                    }
+                    dist = 1;
+                }
+                
+                const push = (radius - Math.sqrt(distSq)) / dist;
+                this.position.x += offsetX * push;
+                this.position.z += offsetZ * push;
+                pushed = true;
+            }
+            
+            if (!pushed) break;
+            touched = true;
+        }
+        return touched;
+    }
+    
+    // Closest point to (x, z) on the segment a-b (XZ plane)
+    closestPointOnSegment(x, z, a, b) {
+        const abX = b.x - a.x;
+        const abZ = b.z - a.z;
+        const t = Math.max(0, Math.min(1, ((x - a.x) * abX + (z - a.z) * abZ) / (abX * abX + abZ * abZ)));
+        return { x: a.x + abX * t, z: a.z + abZ * t };
+    }
+    
+    // Collect world-space segments of all blocking edges that could touch the player circle.
+    // Uses the same triangle geometry as the raycast shader (triangle_coords.js getEdgeVertices).
+    // Near a wrapped edge the window reaches past it: those cells read the opposite edge's
+    // triangles but keep their own (unwrapped) geometry.
+    getNearbyWallSegments(worldPos) {
+        const baseRow = Math.floor(worldPos.z / TRIANGLE_HEIGHT);
+        const baseCol = Math.floor(worldPos.x / (TRIANGLE_SIZE * 0.5));
+        const segments = [];
+        
+        // Triangles are one row tall and two columns wide, so this window
+        // covers every triangle within playerRadius of the position
+        for (let row = baseRow - 1; row <= baseRow + 1; row++) {
+            for (let col = baseCol - 2; col <= baseCol + 2; col++) {
+                const triangle = this.grid.getTriangleWrapped(row, col);
+                if (!triangle) continue;
+                
+                EDGE_SIDES.forEach((side, edgeIndex) => {
+                    // Paired portals are walked through (see passThroughPortals), unpaired ones block
+                    if (!triangle.isSidePassable(side) && !triangle.getPassage(side)) {
+                        segments.push(getEdgeVertices(row, col, edgeIndex));
+                    }
+                });
+            }
+        }
+        
+        return segments;
+    }
+    
+    // Open or close the nearest door in front of the player (E key)
+    toggleFacingDoor() {
+        if (!this.grid) return false;
+        
+        const forward = this.getForwardDirection();
+        const baseRow = Math.floor(this.position.z / TRIANGLE_HEIGHT);
+        const baseCol = Math.floor(this.position.x / (TRIANGLE_SIZE * 0.5));
+        let closest = null;
+        
+        for (let row = baseRow - 1; row <= baseRow + 1; row++) {
+            for (let col = baseCol - 2; col <= baseCol + 2; col++) {
+                const triangle = this.grid.getTriangleWrapped(row, col);
+                if (!triangle) continue;
+                
+                SIDE_NAMES.forEach(side => {
+                    if (!isDoorSideType(triangle.getSideState(side))) return;
+                    
+                    const [a, b] = getSideVertices(row, col, side);
+                    const point = this.closestPointOnSegment(this.position.x, this.position.z, a, b);
+                    const dx = point.x - this.position.x;
+                    const dz = point.z - this.position.z;
+                    const dist = Math.sqrt(dx * dx + dz * dz);
+                    
+                    // Must be within reach and roughly in front of us
+                    if (dist > this.doorReach || dx * forward.x + dz * forward.z < 0) return;
+                    if (!closest || dist < closest.dist) {
+                        closest = { row: triangle.row, col: triangle.col, side, dist };
+                    }
+                });
+            }
+        }
+        
+        if (!closest) return false;
+        
+        // Don't shut a door on ourselves
+        const triangle = this.grid.getTriangle(closest.row, closest.col);
+        const closing = triangle.getSideState(closest.side) === SideType.DOOR_OPEN;
+        if (closing && closest.dist < this.playerRadius) return false;
+        
+        gameState.toggleDoor(closest.row, closest.col, closest.side);
+        console.log(`🚪 Door ${closing ? 'closed' : 'opened'} at (${closest.row}, ${closest.col}) ${closest.side}`);
+        return true;
+    }
+    
     // Get current position (for other systems)
     getPosition() {
         return this.position.clone();
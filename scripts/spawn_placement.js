@@ -0,0 +1,183 @@
+// Spawn Placement
+// Chooses the player spawn, the exit and the enemy spawns of a generated maze
+// so the escape is never trivially short and no enemy starts in the way.
+//
+// Distances are in turns (moves + rotations), found by breadth-first search over
+// the oriented GridGraph - the same graph the enemy pathfinds on.
+
+import { GridGraph } from './player_logic/grid_graph.js';
+import { SIDE_NAMES } from './triangle_coords.js';
+import { SideType } from './side_types.js';
+import { pickRandom } from './rng.js';
+
+/**
+ * Breadth-first search over a GridGraph (every edge costs one turn)
+ * @param {GridGraph} graph
+ * @param {Array<GraphNode>} startNodes
+ * @returns {Object} {distances: Map nodeId -> turns, parents: Map nodeId -> GraphNode}
+ */
+function breadthFirstSearch(graph, startNodes) {
+    const distances = new Map();
+    const parents = new Map();
+    const queue = [];
+
+    startNodes.forEach(node => {
+        distances.set(node.getId(), 0);
+        queue.push(node);
+    });
+
+    for (let head = 0; head < queue.length; head++) {
+        const node = queue[head];
+        const distance = distances.get(node.getId());
+
+        for (const edge of node.edges) {
+            const targetId = edge.targetNode.getId();
+            if (!distances.has(targetId)) {
+                distances.set(targetId, distance + 1);
+                parents.set(targetId, node);
+                queue.push(edge.targetNode);
+            }
+        }
+    }
+
+    return { distances, parents };
+}
+
+// Pick a direction to face: an open side if there is one, so the first view isn't a mirror
+function pickOrientation(triangle, rng) {
+    const open = SIDE_NAMES.filter(side => triangle.neighbors[side] && triangle.isSidePassable(side));
+    return pickRandom(open.length > 0 ? open : SIDE_NAMES, rng);
+}
+
+/**
+ * Place the player spawn, exit and enemy spawns on a connected grid.
+ * The grid should have no open boundary sides yet; the chosen exit is opened.
+ * One enemy is stored as spawns.enemy, more as the list spawns.enemies.
+ *
+ * @param {TriangularGrid} grid
+ * @param {Function} rng - () => [0, 1)
+ * @param {Object} options
+ * @param {Object} options.playerSpawn - Fixed {row, col, orientation} (default: a random triangle)
+ * @param {number} options.minExitDistance - Minimum turns from the player spawn to leaving the maze
+ * @param {number} options.targetExitDistance - Pick the exit closest to this many turns instead
+ * @param {number} options.minEnemyDistance - Minimum turns from the player spawn to the enemy spawns
+ * @param {number} options.enemies - Number of enemies (default 1)
+ * @param {number} options.minEnemySpacing - Minimum triangle steps between two enemy spawns (default 0)
+ * @returns {Object} {exit: {row, col, side, distance}, spawns: {player, enemy} or {player, enemies}}
+ */
+function placeSpawnsAndExit(grid, rng, options = {}) {
+    const minExitDistance = options.minExitDistance ?? 0;
+    const targetExitDistance = options.targetExitDistance ?? null;
+    const minEnemyDistance = options.minEnemyDistance ?? 0;
+    const enemyCount = options.enemies ?? 1;
+    const minEnemySpacing = options.minEnemySpacing ?? 0;
+
+    const graph = new GridGraph();
+    graph.buildFromGrid(grid);
+
+    // Player spawn
+    let player = options.playerSpawn ? { ...options.playerSpawn } : null;
+    if (!player) {
+        const triangle = pickRandom(Array.from(grid.triangles.values()), rng);
+        player = { row: triangle.row, col: triangle.col, orientation: pickOrientation(triangle, rng) };
+    }
+
+    // Any orientation counts as the start - turning on the spot is part of the path
+    const startNodes = SIDE_NAMES.map(side => graph.getNode(player.row, player.col, side));
+    const { distances, parents } = breadthFirstSearch(graph, startNodes);
+    graph.dispose(); // Only needed for these distances - don't follow the exit being opened below
+
+    // Exit: a boundary side, reached by facing it and stepping out
+    const candidates = [];
+    for (const triangle of grid.triangles.values()) {
+        SIDE_NAMES.forEach(side => {
+            if (triangle.neighbors[side]) return;
+            const turns = distances.get(graph.getNode(triangle.row, triangle.col, side).getId());
+            if (turns !== undefined) {
+                candidates.push({ row: triangle.row, col: triangle.col, side, distance: turns + 1 });
+            }
+        });
+    }
+
+    let exitChoices;
+    if (targetExitDistance !== null) {
+        const bestError = Math.min(...candidates.map(c => Math.abs(c.distance - targetExitDistance)));
+        exitChoices = candidates.filter(c => Math.abs(c.distance - targetExitDistance) === bestError);
+    } else {
+        exitChoices = candidates.filter(c => c.distance >= minExitDistance);
+        if (exitChoices.length === 0) {
+            const farthest = Math.max(...candidates.map(c => c.distance));
+            console.warn(`[SpawnPlacement] No exit ${minExitDistance} turns from the player; using the farthest (${farthest}).`);
+            exitChoices = candidates.filter(c => c.distance === farthest);
+        }
+    }
+    const exit = pickRandom(exitChoices, rng);
+    grid.getTriangle(exit.row, exit.col).setSideState(exit.side, SideType.EMPTY, false);
+
+    // Triangles on the player's shortest way out - the enemy must not start there
+    const escapeRoute = new Set();
+    let node = graph.getNode(exit.row, exit.col, exit.side);
+    while (node) {
+        escapeRoute.add(`${node.row},${node.col}`);
+        node = parents.get(node.getId());
+    }
+
+    // Enemy spawns: closest turn count to the player from any of the enemy's orientations
+    const triangleDistances = new Map();
+    distances.forEach((turns, nodeId) => {
+        const key = nodeId.slice(0, nodeId.lastIndexOf(','));
+        if (!triangleDistances.has(key) || turns < triangleDistances.get(key)) {
+            triangleDistances.set(key, turns);
+        }
+    });
+
+    const offRoute = Array.from(triangleDistances.entries()).filter(([key]) => !escapeRoute.has(key));
+    let enemyChoices = offRoute.filter(([, turns]) => turns >= minEnemyDistance);
+    if (enemyChoices.length === 0) {
+        const pool = offRoute.length > 0 ? offRoute : Array.from(triangleDistances.entries());
+        const farthest = Math.max(...pool.map(([, turns]) => turns));
+        console.warn(`[SpawnPlacement] No enemy spawn ${minEnemyDistance} turns from the player off the escape route; using the farthest (${farthest}).`);
+        enemyChoices = pool.filter(([, turns]) => turns === farthest);
+    }
+
+    const enemies = [];
+    const enemyKeys = [];
+    while (enemies.length < enemyCount) {
+        if (enemyChoices.length === 0) {
+            // Spacing ruled out the rest - fall back to any free triangle but the player's
+            enemyChoices = Array.from(triangleDistances.entries())
+                .filter(([key, turns]) => turns > 0 && !enemyKeys.includes(key));
+            if (enemyChoices.length === 0) {
+                console.warn(`[SpawnPlacement] Only room for ${enemies.length} of ${enemyCount} enemies.`);
+                break;
+            }
+            console.warn(`[SpawnPlacement] No enemy spawn ${minEnemySpacing} steps from the other enemies; placing enemy ${enemies.length + 1} anywhere free.`);
+        }
+
+        const [enemyKey] = pickRandom(enemyChoices, rng);
+        const [enemyRow, enemyCol] = enemyKey.split(',').map(Number);
+        enemies.push({ row: enemyRow, col: enemyCol, orientation: pickOrientation(grid.getTriangle(enemyRow, enemyCol), rng) });
+        enemyKeys.push(enemyKey);
+
+        // Keep the next enemy out of this one's triangle and its surroundings
+        if (enemies.length < enemyCount) {
+            const steps = grid.findReachable(enemyRow, enemyCol);
+            enemyChoices = enemyChoices.filter(([key]) => key !== enemyKey && !(steps.get(key) < minEnemySpacing));
+        }
+    }
+
+    const spawns = enemies.length === 1 ? { player, enemy: enemies[0] } : { player, enemies };
+    grid.spawns = spawns;
+    grid.exitEdges = [{ row: exit.row, col: exit.col, side: exit.side }];
+
+    console.log('📍 Spawns placed', {
+        player: `(${player.row}, ${player.col})`,
+        enemies: enemies.map((enemy, index) =>
+            `(${enemy.row}, ${enemy.col}) ${triangleDistances.get(enemyKeys[index])} turns away`).join(', '),
+        exit: `(${exit.row}, ${exit.col}) ${exit.side}, ${exit.distance} turns away`
+    });
+
+    return { exit, spawns: JSON.parse(JSON.stringify(spawns)) };
+}
+
+export { placeSpawnsAndExit, breadthFirstSearch };
@@ -0,0 +1,302 @@
+// Triangle Coordinates
+// Single source of truth for triangle grid geometry, shared by the grid system,
+// movement, pathfinding, the minimap and (mirrored in GLSL) the raycast shader.
+//
+// Layout:
+// - Triangle (row, col) points UP when (row + col) is even, DOWN otherwise
+// - Columns advance by half a triangle width, rows by one triangle height
+// - World space is the XZ plane: x grows with col, z grows with row
+//
+// Sides and shader edges:
+// - 'third' = edge 0 = bit 0 (1): bottom edge of UP, top edge of DOWN
+// - 'right' = edge 1 = bit 1 (2): shared with (row, col + 1)
+// - 'left'  = edge 2 = bit 2 (4): shared with (row, col - 1)
+// - Edge N connects vertex (N+1) to vertex (N+2)
+
+// Triangle size constants (world space units)
+const TRIANGLE_SIZE = 0.85;
+const TRIANGLE_HEIGHT = Math.sqrt(3) * TRIANGLE_SIZE / 2;
+
+// Side names in the order TriangularGrid iterates them
+const SIDE_NAMES = Object.freeze(['left', 'right', 'third']);
+
+// Shader edge index -> side name
+const EDGE_SIDES = Object.freeze(['third', 'right', 'left']);
+
+// ============================================================================
+// Orientation and Sides
+// ============================================================================
+
+function isPointingUp(row, col) {
+    return ((row + col) % 2 + 2) % 2 === 0;
+}
+
+/**
+ * Convert a side name to its shader edge index
+ * @param {string} side - 'left', 'right', or 'third'
+ * @returns {number} 0, 1 or 2 (-1 for an unknown side)
+ */
+function sideToEdgeIndex(side) {
+    return EDGE_SIDES.indexOf(side);
+}
+
+/**
+ * Convert a shader edge index to its side name
+ * @param {number} edgeIndex - 0, 1 or 2
+ * @returns {string|null} 'third', 'right' or 'left'
+ */
+function edgeIndexToSide(edgeIndex) {
+    return EDGE_SIDES[edgeIndex] || null;
+}
+
+/**
+ * Get the wall bitmask bit for a side (as used by the maze texture)
+ * @param {string} side - 'left', 'right', or 'third'
+ * @returns {number} 1, 2 or 4
+ */
+function sideToBit(side) {
+    return 1 << sideToEdgeIndex(side);
+}
+
+/**
+ * Get the side on the neighbor that is shared with our side
+ * @param {string} side - 'left', 'right', or 'third'
+ * @returns {string|null}
+ */
+function getCorrespondingSide(side) {
+    if (side === 'left') return 'right';
+    if (side === 'right') return 'left';
+    if (side === 'third') return 'third';
+    return null;
+}
+
+/**
+ * Get the coordinates of the triangle across a side (unbounded - may be outside any grid)
+ * @param {number} row
+ * @param {number} col
+ * @param {string} side - 'left', 'right', or 'third'
+ * @returns {Object|null} {row, col}
+ */
+function getNeighborCoords(row, col, side) {
+    if (side === 'left') return { row, col: col - 1 };
+    if (side === 'right') return { row, col: col + 1 };
+    if (side === 'third') return { row: isPointingUp(row, col) ? row + 1 : row - 1, col };
+    return null;
+}
+
+// ============================================================================
+// World Geometry
+// ============================================================================
+
+// Get the three vertices of a triangle in world space
+function getTriangleVertices(row, col) {
+    const x = col * TRIANGLE_SIZE * 0.5;
+    const z = row * TRIANGLE_HEIGHT;
+
+    if (isPointingUp(row, col)) {
+        // Pointing UP triangle
+        return [
+            { x: x + TRIANGLE_SIZE / 2, z: z },                  // Top apex (edge 0 opposite)
+            { x: x, z: z + TRIANGLE_HEIGHT },                    // Bottom-left (edge 1 opposite)
+            { x: x + TRIANGLE_SIZE, z: z + TRIANGLE_HEIGHT }     // Bottom-right (edge 2 opposite)
+        ];
+    }
+
+    // Pointing DOWN triangle
+    return [
+        { x: x + TRIANGLE_SIZE / 2, z: z + TRIANGLE_HEIGHT },    // Bottom apex (edge 0 opposite)
+        { x: x, z: z },                                          // Top-left (edge 1 opposite)
+        { x: x + TRIANGLE_SIZE, z: z }                           // Top-right (edge 2 opposite)
+    ];
+}
+
+// Get the world-space centroid of a triangle
+function getTriangleCenter(row, col) {
+    const [v0, v1, v2] = getTriangleVertices(row, col);
+    return {
+        x: (v0.x + v1.x + v2.x) / 3,
+        z: (v0.z + v1.z + v2.z) / 3
+    };
+}
+
+// Get the two endpoints of a specific edge
+function getEdgeVertices(row, col, edgeIndex) {
+    const vertices = getTriangleVertices(row, col);
+    // Edge N connects vertex (N+1) to vertex (N+2), wrapping around
+    return [vertices[(edgeIndex + 1) % 3], vertices[(edgeIndex + 2) % 3]];
+}
+
+// Get the two endpoints of a named side
+function getSideVertices(row, col, side) {
+    return getEdgeVertices(row, col, sideToEdgeIndex(side));
+}
+
+// Barycentric point-in-triangle test in the XZ plane (edges count as inside)
+function pointInTriangle(x, z, v0, v1, v2) {
+    const d = (v1.z - v2.z) * (v0.x - v2.x) + (v2.x - v1.x) * (v0.z - v2.z);
+    const a = ((v1.z - v2.z) * (x - v2.x) + (v2.x - v1.x) * (z - v2.z)) / d;
+    const b = ((v2.z - v0.z) * (x - v2.x) + (v0.x - v2.x) * (z - v2.z)) / d;
+    const c = 1 - a - b;
+    return a >= 0 && b >= 0 && c >= 0;
+}
+
+/**
+ * Find the triangle containing a world position (same search as the shader's worldToGrid).
+ * Works on the unbounded lattice, so the result may be outside the grid.
+ * @param {number} x - World X
+ * @param {number} z - World Z
+ * @returns {Object} {row, col}
+ */
+function worldToTriangle(x, z) {
+    const row = Math.floor(z / TRIANGLE_HEIGHT);
+    const baseCol = Math.floor(x / (TRIANGLE_SIZE * 0.5));
+
+    // Triangles span two columns, so the point lies in baseCol - 1 or baseCol
+    for (let col = baseCol - 1; col <= baseCol; col++) {
+        const [v0, v1, v2] = getTriangleVertices(row, col);
+        if (pointInTriangle(x, z, v0, v1, v2)) {
+            return { row, col };
+        }
+    }
+
+    // Only reachable through floating point error on an edge
+    return { row, col: baseCol };
+}
+
+// World position of a triangle (its centroid)
+function triangleToWorld(row, col) {
+    return getTriangleCenter(row, col);
+}
+
+/**
+ * Rigid motion (rotation + translation) carrying one triangle side onto another,
+ * such that leaving the first triangle through its side means entering the second
+ * through its side. Used to walk and look through paired portals.
+ * @returns {Object} {angle (radians, counterclockwise in XZ), apply({x, z}) => {x, z}, rotate({x, z}) => {x, z}}
+ */
+function getPortalTransform(fromRow, fromCol, fromSide, toRow, toCol, toSide) {
+    const cross = (u, v) => u.x * v.z - u.z * v.x;
+    const [a, b] = getSideVertices(fromRow, fromCol, fromSide);
+    let [r, s] = getSideVertices(toRow, toCol, toSide);
+    const fromCenter = getTriangleCenter(fromRow, fromCol);
+    const toCenter = getTriangleCenter(toRow, toCol);
+
+    // Our triangle must land on the far side of the target edge, not on top of the target
+    const fromInside = cross({ x: b.x - a.x, z: b.z - a.z }, { x: fromCenter.x - a.x, z: fromCenter.z - a.z });
+    const toInside = cross({ x: s.x - r.x, z: s.z - r.z }, { x: toCenter.x - r.x, z: toCenter.z - r.z });
+    if (fromInside * toInside > 0) {
+        [r, s] = [s, r];
+    }
+
+    const angle = Math.atan2(
+        cross({ x: b.x - a.x, z: b.z - a.z }, { x: s.x - r.x, z: s.z - r.z }),
+        (b.x - a.x) * (s.x - r.x) + (b.z - a.z) * (s.z - r.z)
+    );
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const rotate = (v) => ({ x: v.x * cos - v.z * sin, z: v.x * sin + v.z * cos });
+
+    return {
+        angle,
+        rotate,
+        apply: (p) => {
+            const rotated = rotate({ x: p.x - a.x, z: p.z - a.z });
+            return { x: r.x + rotated.x, z: r.z + rotated.z };
+        }
+    };
+}
+
+// ============================================================================
+// Distance and Area Queries
+// ============================================================================
+
+/**
+ * Strip coordinates of a triangle. The grid is cut by three families of
+ * lattice lines (horizontal, "/" and "\"); each coordinate is the index of the
+ * strip between two neighboring lines of one family.
+ * @returns {Object} {a, b, c}
+ */
+function toStripCoords(row, col) {
+    return {
+        a: row,
+        b: Math.floor((row + col) / 2),
+        c: Math.floor((col - row + 1) / 2)
+    };
+}
+
+/**
+ * Exact number of steps between two triangles on an unbounded grid.
+ * Every step to a neighbor crosses exactly one lattice line, so the
+ * distance is the sum of the strip index differences.
+ */
+function getTriangleDistance(row1, col1, row2, col2) {
+    const p = toStripCoords(row1, col1);
+    const q = toStripCoords(row2, col2);
+    return Math.abs(p.a - q.a) + Math.abs(p.b - q.b) + Math.abs(p.c - q.c);
+}
+
+/**
+ * Get all triangles within a step distance (unbounded - filter against the grid if needed)
+ * @param {number} row
+ * @param {number} col
+ * @param {number} radius - Maximum step distance
+ * @returns {Array<Object>} Array of {row, col, distance}
+ */
+function getTrianglesInRange(row, col, radius) {
+    const result = [];
+
+    // A step moves at most one row or one column
+    for (let r = row - radius; r <= row + radius; r++) {
+        for (let c = col - radius; c <= col + radius; c++) {
+            const distance = getTriangleDistance(row, col, r, c);
+            if (distance <= radius) {
+                result.push({ row: r, col: c, distance });
+            }
+        }
+    }
+
+    return result;
+}
+
+/**
+ * Get all triangles at exactly a step distance
+ * @param {number} row
+ * @param {number} col
+ * @param {number} radius - Exact step distance
+ * @returns {Array<Object>} Array of {row, col, distance}
+ */
+function getTrianglesInRing(row, col, radius) {
+    return getTrianglesInRange(row, col, radius).filter(t => t.distance === radius);
+}
+
+export {
+    // Constants
+    TRIANGLE_SIZE,
+    TRIANGLE_HEIGHT,
+    SIDE_NAMES,
+    EDGE_SIDES,
+
+    // Orientation and sides
+    isPointingUp,
+    sideToEdgeIndex,
+    edgeIndexToSide,
+    sideToBit,
+    getCorrespondingSide,
+    getNeighborCoords,
+
+    // World geometry
+    getTriangleVertices,
+    getTriangleCenter,
+    getEdgeVertices,
+    getSideVertices,
+    pointInTriangle,
+    worldToTriangle,
+    triangleToWorld,
+    getPortalTransform,
+
+    // Distance and area queries
+    toStripCoords,
+    getTriangleDistance,
+    getTrianglesInRange,
+    getTrianglesInRing
+};
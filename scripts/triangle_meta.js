@@ -0,0 +1,119 @@
+// Triangle Metadata
+// Everything about a triangle besides its sides: what its floor is made of, the
+// region (zone) it belongs to, how brightly it is lit and a decal on the floor.
+// Kept on Triangle.meta, saved in levels ("meta", see level_format.js) and packed
+// into the maze texture channels the sides leave free:
+//
+// B: material | decal << 4 | light << 8   (light 0..1 stored as 0..255)
+// A: region
+//
+// Material and decal codes are read by renderFloor/renderCeiling in
+// raycast.frag.glsl (keep the FLOOR_* and DECAL_* constants there in sync).
+
+/**
+ * Enum for floor materials (the ceiling above follows the floor)
+ */
+const FloorMaterial = Object.freeze({
+    DEFAULT: 'default', // Red noise floor, pale ceiling
+    TILES: 'tiles',     // floor.jpg
+    STONE: 'stone',
+    WOOD: 'wood',
+    METAL: 'metal'
+});
+
+/**
+ * Enum for floor decals
+ */
+const FloorDecal = Object.freeze({
+    NONE: 'none',
+    BLOOD: 'blood',
+    CRACKS: 'cracks',
+    MOSS: 'moss'
+});
+
+// Shader codes (4 bits each)
+const MATERIAL_CODES = Object.freeze({
+    [FloorMaterial.DEFAULT]: 0,
+    [FloorMaterial.TILES]: 1,
+    [FloorMaterial.STONE]: 2,
+    [FloorMaterial.WOOD]: 3,
+    [FloorMaterial.METAL]: 4
+});
+
+const DECAL_CODES = Object.freeze({
+    [FloorDecal.NONE]: 0,
+    [FloorDecal.BLOOD]: 1,
+    [FloorDecal.CRACKS]: 2,
+    [FloorDecal.MOSS]: 3
+});
+
+const MAX_REGION = 65535; // Region ids are stored as-is in a float channel
+
+const DEFAULT_TRIANGLE_META = Object.freeze({
+    material: FloorMaterial.DEFAULT,
+    region: 0,   // 0 = no region; generated rooms use their room id + 1
+    light: 1,    // 0 (dark) .. 1 (fully lit)
+    decal: FloorDecal.NONE
+});
+
+const META_KEYS = Object.freeze(Object.keys(DEFAULT_TRIANGLE_META));
+
+/**
+ * Check metadata values
+ * @param {Object} values - Any of {material, region, light, decal}
+ * @throws {Error} For an unknown key or a value out of range
+ */
+function checkTriangleMeta(values) {
+    Object.keys(values).forEach(key => {
+        if (!META_KEYS.includes(key)) {
+            throw new Error(`Unknown triangle metadata "${key}". Expected ${META_KEYS.join(', ')}`);
+        }
+    });
+    const { material, region, light, decal } = values;
+    if (material !== undefined && !Object.values(FloorMaterial).includes(material)) {
+        throw new Error(`Unknown floor material "${material}". Expected one of ${Object.values(FloorMaterial).join(', ')}`);
+    }
+    if (decal !== undefined && !Object.values(FloorDecal).includes(decal)) {
+        throw new Error(`Unknown floor decal "${decal}". Expected one of ${Object.values(FloorDecal).join(', ')}`);
+    }
+    if (region !== undefined && !(Number.isInteger(region) && region >= 0 && region <= MAX_REGION)) {
+        throw new Error(`Region must be an integer from 0 to ${MAX_REGION} (got ${region})`);
+    }
+    if (light !== undefined && !(typeof light === 'number' && light >= 0 && light <= 1)) {
+        throw new Error(`Light level must be a number from 0 to 1 (got ${light})`);
+    }
+}
+
+/**
+ * Get the values that differ from the defaults (what levels store)
+ * @param {Object} meta
+ * @returns {Object} Possibly empty
+ */
+function getChangedTriangleMeta(meta) {
+    return Object.fromEntries(META_KEYS
+        .filter(key => meta[key] !== DEFAULT_TRIANGLE_META[key])
+        .map(key => [key, meta[key]]));
+}
+
+/**
+ * Pack metadata into the maze texture's B and A channels
+ * @param {Object} meta - {material, region, light, decal}
+ * @returns {Object} {b, a} - integers, exact in a float texture channel
+ */
+function packTriangleMeta(meta) {
+    const light = Math.round(Math.max(0, Math.min(1, meta.light)) * 255);
+    return {
+        b: MATERIAL_CODES[meta.material] | (DECAL_CODES[meta.decal] << 4) | (light << 8),
+        a: meta.region
+    };
+}
+
+export {
+    FloorMaterial,
+    FloorDecal,
+    DEFAULT_TRIANGLE_META,
+    MAX_REGION,
+    checkTriangleMeta,
+    getChangedTriangleMeta,
+    packTriangleMeta
+};
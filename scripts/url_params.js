@@ -0,0 +1,8 @@
+// URL Params
+// The index.html URL params a generated maze and its rules are set up from. The end
+// screens carry them over to "retry same seed" and "new maze", so the next game is
+// made the same way (see GameOutcome.getEndScreenUrl and end_win.html / end_lose.html).
+
+const CARRIED_URL_PARAMS = Object.freeze(['algorithm', 'symmetry', 'shape', 'wrap', 'portals', 'dynamic', 'enemies', 'freeze']);
+
+export { CARRIED_URL_PARAMS };